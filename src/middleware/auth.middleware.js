@@ -1,6 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User.model');
 const userService = require('../modules/auth/user.service');
+const revocationService = require('../services/revocation.service');
+const sessionService = require('../modules/auth/session.service');
+const verificationService = require('../modules/auth/verification.service');
 const protect = async (req, res, next) => {
   try {
     // 1) Getting token and check if it exists
@@ -21,7 +24,16 @@ const protect = async (req, res, next) => {
     // 2) Verification token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // 3) Check if user still exists
+    // 3) Check if the token was revoked (logout)
+    if (await revocationService.isRevoked(decoded)) {
+      return res.status(401).json({
+        success: false,
+        message: 'This token has been revoked. Please log in again.',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+
+    // 4) Check if user still exists
     const currentUser = await userService.findById(decoded.id);
     if (!currentUser) {
       return res.status(401).json({
@@ -31,7 +43,7 @@ const protect = async (req, res, next) => {
       });
     }
 
-    // 4) Check if user is active
+    // 5) Check if user is active
     if (!currentUser.isActive) {
       return res.status(401).json({
         success: false,
@@ -40,7 +52,7 @@ const protect = async (req, res, next) => {
       });
     }
 
-    // 5) Check if user changed password after the token was issued
+    // 6) Check if user changed password after the token was issued
     if (userService.passwordChangedAfterJWT(currentUser, decoded.iat)) {
       return res.status(401).json({
         success: false,
@@ -49,8 +61,14 @@ const protect = async (req, res, next) => {
       });
     }
 
+    // Keep the session's last-seen time current (throttled, never blocks the request)
+    sessionService.touchSession(decoded.sid).catch(error => {
+      console.error('Failed to update session activity:', error.message);
+    });
+
     // Grant access to protected route
     req.user = currentUser;
+    req.tokenPayload = decoded;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -77,8 +95,11 @@ const protect = async (req, res, next) => {
 
 const restrictTo = (...roles) => {
   return (req, res, next) => {
-    // For now, we don't have roles, but this is prepared for future enhancement
-    if (!roles.includes(req.user.role || 'user')) {
+    // Inside a workspace (see resolveWorkspace) the member's workspace role applies;
+    // elsewhere every user has the plain 'user' role
+    const role = req.workspace ? req.workspaceRole : (req.user.role || 'user');
+
+    if (!roles.includes(role)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to perform this action',
@@ -89,6 +110,20 @@ const restrictTo = (...roles) => {
   };
 };
 
+// Blocks unverified users when EMAIL_VERIFICATION_POLICY requires a verified email for the action
+const requireVerifiedEmail = (action = 'tasks') => {
+  return (req, res, next) => {
+    if (!req.user.emailVerified && verificationService.isRequiredFor(action)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address to perform this action',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+    next();
+  };
+};
+
 const optionalAuth = async (req, res, next) => {
   try {
     let token;
@@ -104,6 +139,11 @@ const optionalAuth = async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Revoked tokens authenticate nobody
+    if (await revocationService.isRevoked(decoded)) {
+      return next(); // Continue without authentication
+    }
+
     // Check if user still exists
     const currentUser = await User.findById(decoded.id);
     if (!currentUser || !currentUser.isActive) {
@@ -111,12 +151,13 @@ const optionalAuth = async (req, res, next) => {
     }
 
     // Check if user changed password after the token was issued
-    if (currentUser.changedPasswordAfter(decoded.iat)) {
+    if (userService.passwordChangedAfterJWT(currentUser, decoded.iat)) {
       return next(); // Continue without authentication
     }
 
     // Add user to request if authentication is successful
     req.user = currentUser;
+    req.tokenPayload = decoded;
     next();
   } catch (error) {
     // If there's any error with optional auth, just continue without authentication
@@ -170,6 +211,7 @@ const checkResourceOwnership = (resourceUserField = 'user') => {
 module.exports = {
   protect,
   restrictTo,
+  requireVerifiedEmail,
   optionalAuth,
   checkResourceOwnership
 };
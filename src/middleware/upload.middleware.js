@@ -0,0 +1,149 @@
+const multer = require('multer');
+
+/**
+ * File upload middleware configuration (multipart/form-data)
+ */
+
+const DEFAULT_ALLOWED_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'text/markdown',
+  'text/csv',
+  'application/json',
+  'application/zip',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+// Task imports (see taskService.importTasks) accept CSV and JSON only
+const IMPORT_EXTENSIONS = ['csv', 'json'];
+const IMPORT_TYPES = ['text/csv', 'application/csv', 'text/x-csv', 'application/json', 'text/json'];
+
+// Generous per-row allowance; the row limit itself is checked after parsing
+const IMPORT_BYTES_PER_ROW = 4 * 1024;
+
+const getMaxFileSize = () => {
+  const megabytes = parseInt(process.env.ATTACHMENT_MAX_SIZE_MB) || 10;
+  return megabytes * 1024 * 1024;
+};
+
+const getImportMaxSize = () => {
+  const maxRows = parseInt(process.env.IMPORT_MAX_ROWS) || 1000;
+  return maxRows * IMPORT_BYTES_PER_ROW + 64 * 1024;
+};
+
+const formatSize = (bytes) => {
+  return bytes >= 1024 * 1024
+    ? `${Math.round(bytes / (1024 * 1024))} MB`
+    : `${Math.round(bytes / 1024)} KB`;
+};
+
+const getAllowedTypes = () => {
+  if (process.env.ATTACHMENT_ALLOWED_TYPES) {
+    return process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(type => type.trim()).filter(Boolean);
+  }
+  return DEFAULT_ALLOWED_TYPES;
+};
+
+// Files are kept in memory and handed to the storage adapter by the service
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: getMaxFileSize(),
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    if (!getAllowedTypes().includes(file.mimetype)) {
+      const error = new Error(`File type '${file.mimetype}' is not allowed`);
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      return callback(error);
+    }
+    callback(null, true);
+  }
+});
+
+// Browsers often send CSV files as application/vnd.ms-excel or application/octet-stream,
+// so the file name's extension counts as much as the content type
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: getImportMaxSize(),
+    files: 1
+  },
+  fileFilter: (req, file, callback) => {
+    const extension = (file.originalname || '').split('.').pop().toLowerCase();
+
+    if (!IMPORT_EXTENSIONS.includes(extension) && !IMPORT_TYPES.includes(file.mimetype)) {
+      const error = new Error('Only CSV and JSON files can be imported');
+      error.code = 'UNSUPPORTED_FILE_TYPE';
+      return callback(error);
+    }
+    callback(null, true);
+  }
+});
+
+const handleSingle = (instance, fieldName, maxFileSize) => {
+  const handler = instance.single(fieldName);
+
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (!error) {
+        if (!req.file) {
+          return res.status(400).json({
+            success: false,
+            message: `A file is required in the '${fieldName}' field`,
+            code: 'FILE_REQUIRED',
+            timestamp: new Date().toISOString()
+          });
+        }
+        return next();
+      }
+
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          success: false,
+          message: `File must not exceed ${formatSize(maxFileSize)}`,
+          code: 'FILE_TOO_LARGE',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error.code === 'UNSUPPORTED_FILE_TYPE') {
+        return res.status(415).json({
+          success: false,
+          message: error.message,
+          code: 'UNSUPPORTED_FILE_TYPE',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (error instanceof multer.MulterError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          code: error.code,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      return next(error);
+    });
+  };
+};
+
+//Middleware to accept a single uploaded file in the given form field
+
+const uploadSingle = (fieldName = 'file') => handleSingle(upload, fieldName, getMaxFileSize());
+
+//Middleware to accept a single CSV or JSON file to import in the given form field
+
+const uploadImport = (fieldName = 'file') => handleSingle(importUpload, fieldName, getImportMaxSize());
+
+module.exports = {
+  uploadSingle,
+  uploadImport
+};
@@ -0,0 +1,68 @@
+const Workspace = require('../models/Workspace.model');
+
+/**
+ * Resolve the active workspace from the :workspaceId route param or the X-Workspace-Id header
+ * Sets req.workspace and req.workspaceRole for restrictTo and the services;
+ * without either the request stays in the user's personal scope
+ * @param {Object} options - { required: true } rejects requests without a workspace
+ */
+const resolveWorkspace = ({ required = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const workspaceId = req.params.workspaceId || req.headers['x-workspace-id'];
+
+      if (!workspaceId) {
+        if (required) {
+          return res.status(400).json({
+            success: false,
+            message: 'A workspace is required for this request',
+            code: 'WORKSPACE_REQUIRED'
+          });
+        }
+        return next();
+      }
+
+      if (!/^[0-9a-fA-F]{24}$/.test(workspaceId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid workspace ID format',
+          code: 'INVALID_WORKSPACE_ID'
+        });
+      }
+
+      const workspace = await Workspace.findById(workspaceId);
+
+      if (!workspace) {
+        return res.status(404).json({
+          success: false,
+          message: 'Workspace not found',
+          code: 'WORKSPACE_NOT_FOUND'
+        });
+      }
+
+      const role = workspace.getRoleFor(req.user._id);
+
+      if (!role) {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not a member of this workspace',
+          code: 'NOT_WORKSPACE_MEMBER'
+        });
+      }
+
+      req.workspace = workspace;
+      req.workspaceRole = role;
+      next();
+    } catch (error) {
+      return res.status(500).json({
+        success: false,
+        message: 'Error resolving workspace',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  };
+};
+
+module.exports = {
+  resolveWorkspace
+};
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+/**
+ * Activity Model Schema
+ * Immutable audit entry for a change to a task
+ */
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  _id: false,
+  versionKey: false
+});
+
+const activitySchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Activity must reference a task'],
+    index: true
+  },
+
+  // Snapshot so entries stay readable after the task is deleted
+  taskTitle: {
+    type: String,
+    default: null
+  },
+
+  // Owner of the task, used for the user-wide feed
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // User who performed the action (null for system actions such as the trash purge)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  action: {
+    type: String,
+    enum: {
+      values: ['created', 'updated', 'completed', 'assigned', 'deleted', 'restored', 'purged'],
+      message: 'Action must be either created, updated, completed, assigned, deleted, restored, or purged'
+    },
+    required: true
+  },
+
+  // True when the change was part of a bulk operation
+  bulk: {
+    type: Boolean,
+    default: false
+  },
+
+  changes: {
+    type: [changeSchema],
+    default: []
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Indexes for better query performance
+ */
+activitySchema.index({ task: 1, createdAt: -1 });
+activitySchema.index({ owner: 1, createdAt: -1 });
+
+/**
+ * Activity entries are append-only
+ */
+activitySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Activity entries are immutable'));
+  }
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach(operation => {
+  activitySchema.pre(operation, function(next) {
+    next(new Error('Activity entries are immutable'));
+  });
+});
+
+const Activity = mongoose.model('Activity', activitySchema);
+
+module.exports = Activity;
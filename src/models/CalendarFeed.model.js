@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Calendar Feed Model Schema
+ * A user's personal iCalendar subscription. The feed URL carries a secret token;
+ * only its hash is stored, so a lost URL can be revoked but never read back.
+ */
+const calendarFeedSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Feed user is required'],
+    unique: true
+  },
+
+  tokenHash: {
+    type: String,
+    required: [true, 'Feed token is required'],
+    unique: true
+  },
+
+  // Last time a calendar client fetched the feed
+  lastAccessedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields automatically
+  versionKey: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Static method to hash a feed token for storage and lookup
+ * @param {string} token - Plain feed token
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+calendarFeedSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const CalendarFeed = mongoose.model('CalendarFeed', calendarFeedSchema);
+
+module.exports = CalendarFeed;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+/**
+ * Comment Model Schema
+ * Discussion on a task; replies are one level deep (parent is always a top-level comment)
+ */
+const commentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Comment must belong to a task'],
+    index: true
+  },
+
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Comment must have an author']
+  },
+
+  body: {
+    type: String,
+    required: [true, 'Comment body is required'],
+    trim: true,
+    minlength: [1, 'Comment cannot be empty'],
+    maxlength: [2000, 'Comment must not exceed 2000 characters']
+  },
+
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+
+  // Users referenced with @username in the body
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields automatically
+  versionKey: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Indexes for better query performance
+ */
+commentSchema.index({ task: 1, parent: 1, createdAt: 1 });
+
+/**
+ * Instance method to check if user wrote this comment
+ * @param {string} userId - User ID to check
+ * @returns {boolean} - True if user is the author
+ */
+commentSchema.methods.isAuthoredBy = function(userId) {
+  return this.author.toString() === userId.toString();
+};
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
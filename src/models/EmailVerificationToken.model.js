@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Email Verification Token Model Schema
+ * One record per verification link sent to a user's address. Only the hash of the
+ * token is stored; a token works once, until it expires, and only while the user
+ * still has the address it was sent to.
+ */
+const emailVerificationTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Token user is required'],
+    index: true
+  },
+
+  // Address the link was sent to
+  email: {
+    type: String,
+    required: [true, 'Token email is required'],
+    lowercase: true,
+    trim: true
+  },
+
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: [true, 'Token expiry is required']
+  },
+
+  // Set when the token was used to verify the address
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields automatically
+  versionKey: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Indexes for better query performance
+ */
+// MongoDB removes records once they expire
+emailVerificationTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+emailVerificationTokenSchema.index({ user: 1, createdAt: -1 });
+
+/**
+ * Static method to hash a verification token for storage and lookup
+ * @param {string} token - Plain verification token
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+emailVerificationTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const EmailVerificationToken = mongoose.model('EmailVerificationToken', emailVerificationTokenSchema);
+
+module.exports = EmailVerificationToken;
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Password Reset Token Model Schema
+ * One record per reset link sent by "forgot password". Only the hash of the token
+ * is stored; a token works once and only until it expires.
+ */
+const passwordResetTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Token user is required'],
+    index: true
+  },
+
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: [true, 'Token expiry is required']
+  },
+
+  // Set when the token was used to reset the password
+  usedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields automatically
+  versionKey: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Indexes for better query performance
+ */
+// MongoDB removes records once they expire
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static method to hash a reset token for storage and lookup
+ * @param {string} token - Plain reset token
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+passwordResetTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
+
+module.exports = PasswordResetToken;
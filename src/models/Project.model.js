@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const { STATUS_CATEGORIES } = require('../utils/workflow.util');
+
+/**
+ * Workflow Status Schema
+ * One column of a project's workflow
+ */
+const workflowStatusSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Status key is required'],
+    trim: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Status key may only contain lowercase letters, numbers and dashes'],
+    maxlength: [30, 'Status key must not exceed 30 characters']
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Status name is required'],
+    trim: true,
+    maxlength: [50, 'Status name must not exceed 50 characters']
+  },
+
+  category: {
+    type: String,
+    enum: {
+      values: STATUS_CATEGORIES,
+      message: 'Category must be either todo, active, or done'
+    },
+    required: [true, 'Status category is required']
+  }
+}, {
+  _id: false,
+  versionKey: false
+});
+
+/**
+ * Workflow Schema
+ * Ordered statuses and the transitions allowed between them (none listed = all allowed)
+ */
+const workflowSchema = new mongoose.Schema({
+  statuses: {
+    type: [workflowStatusSchema],
+    validate: {
+      validator: statuses => statuses.length > 0 && statuses.length <= 20,
+      message: 'A workflow must have between 1 and 20 statuses'
+    }
+  },
+
+  transitions: {
+    type: [{
+      _id: false,
+      from: { type: String, required: true },
+      to: { type: String, required: true }
+    }],
+    default: []
+  }
+}, {
+  _id: false,
+  versionKey: false
+});
+
+/**
+ * Project Model Schema
+ * Groups related tasks of a user (e.g. "Website relaunch", "Hiring")
+ */
+const projectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    minlength: [1, 'Project name cannot be empty'],
+    maxlength: [100, 'Project name must not exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Project description must not exceed 500 characters'],
+    default: ''
+  },
+
+  color: {
+    type: String,
+    trim: true,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #1E90FF'],
+    default: '#6B7280'
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Project must belong to a user'],
+    index: true
+  },
+
+  isArchived: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Custom statuses for the project's tasks; null uses the default workflow
+  workflow: {
+    type: workflowSchema,
+    default: null
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields automatically
+  versionKey: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Indexes for better query performance
+ */
+projectSchema.index({ owner: 1, name: 1 }, { unique: true });
+projectSchema.index({ owner: 1, isArchived: 1, createdAt: -1 });
+
+/**
+ * Pre-save middleware to keep archivedAt in sync with isArchived
+ */
+projectSchema.pre('save', function(next) {
+  if (this.isModified('isArchived')) {
+    this.archivedAt = this.isArchived ? new Date() : null;
+  }
+  next();
+});
+
+/**
+ * Instance method to check if user owns this project
+ * @param {string} userId - User ID to check
+ * @returns {boolean} - True if user owns the project
+ */
+projectSchema.methods.isOwnedBy = function(userId) {
+  return this.owner.toString() === userId.toString();
+};
+
+const Project = mongoose.model('Project', projectSchema);
+
+module.exports = Project;
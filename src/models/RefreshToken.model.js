@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Refresh Token Model Schema
+ * One record per issued refresh token, stored as a hash. Every refresh rotates the
+ * token: the old record is marked used and a new one is issued in the same family.
+ * A family starts at login/register, so presenting a used token again means it was
+ * copied and the whole family is revoked.
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Token user is required'],
+    index: true
+  },
+
+  // Login session the token belongs to
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null,
+    index: true
+  },
+
+  // Shared by every token rotated from the same login
+  family: {
+    type: String,
+    required: [true, 'Token family is required'],
+    index: true
+  },
+
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: [true, 'Token expiry is required']
+  },
+
+  // Set when the token was exchanged for a new one
+  usedAt: {
+    type: Date,
+    default: null
+  },
+
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefreshToken',
+    default: null
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedReason: {
+    type: String,
+    enum: ['reuse', 'password-changed', 'logout', 'session-revoked'],
+    default: null
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields automatically
+  versionKey: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Indexes for better query performance
+ */
+// MongoDB removes records once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Static method to hash a refresh token for storage and lookup
+ * @param {string} token - Plain refresh token
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Static method to revoke every token of a family
+ * @param {string} family - Token family
+ * @param {string} reason - 'reuse' | 'password-changed' | 'logout' | 'session-revoked'
+ * @returns {Promise<number>} - Number of revoked tokens
+ */
+refreshTokenSchema.statics.revokeFamily = async function(family, reason) {
+  const result = await this.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Instance method to check if the token can still be exchanged
+ * @returns {boolean} - True while the token is unused, not revoked and not expired
+ */
+refreshTokenSchema.methods.isActive = function() {
+  return !this.usedAt && !this.revokedAt && this.expiresAt > new Date();
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+module.exports = RefreshToken;
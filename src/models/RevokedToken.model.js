@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * Revoked Token Model Schema
+ * Access tokens that must no longer be accepted although their signature is valid.
+ * A record names one token (key "jti:<token id>"), every token of a session (key
+ * "sid:<session id>") or cuts off every token a user was issued up to a point in
+ * time (key "user:<user id>"). Records only need to outlive the tokens they revoke,
+ * so MongoDB removes them at expiresAt.
+ */
+const revokedTokenSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Revocation key is required'],
+    unique: true
+  },
+
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // User-wide revocations: tokens issued at or before this time are revoked
+  issuedBefore: {
+    type: Date,
+    default: null
+  },
+
+  expiresAt: {
+    type: Date,
+    required: [true, 'Revocation expiry is required']
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields automatically
+  versionKey: false
+});
+
+/**
+ * Indexes for better query performance
+ */
+// MongoDB removes records once the tokens they revoke have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+module.exports = RevokedToken;
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+/**
+ * Session Model Schema
+ * One record per login (or registration) on a device. The session's refresh tokens,
+ * access tokens (sid claim) and WebSocket connections all carry its ID, so revoking
+ * a session logs that device out everywhere at once.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Session user is required'],
+    index: true
+  },
+
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent must not exceed 500 characters'],
+    default: ''
+  },
+
+  ip: {
+    type: String,
+    default: null
+  },
+
+  // Readable device name parsed from the user agent, e.g. "Chrome on Windows"
+  deviceName: {
+    type: String,
+    default: 'Unknown device'
+  },
+
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Follows the expiry of the session's latest refresh token
+  expiresAt: {
+    type: Date,
+    required: [true, 'Session expiry is required']
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'password-changed'],
+    default: null
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields automatically
+  versionKey: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Indexes for better query performance
+ */
+// MongoDB removes sessions once their last refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+
+/**
+ * Static method to get the filter of a user's active sessions
+ * @param {string} userId - User ID
+ * @returns {Object} - MongoDB filter
+ */
+sessionSchema.statics.activeFor = function(userId) {
+  return { user: userId, revokedAt: null, expiresAt: { $gt: new Date() } };
+};
+
+/**
+ * Instance method to check if the session is still usable
+ * @returns {boolean} - True while the session is not revoked and not expired
+ */
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
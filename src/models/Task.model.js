@@ -1,4 +1,191 @@
 const mongoose = require('mongoose');
+const { RANK_STEP } = require('../utils/rank.util');
+const { STATUS_CATEGORIES, DEFAULT_WORKFLOW } = require('../utils/workflow.util');
+const { escapeRegex, parseSearchQuery } = require('../utils/search.util');
+const { createCursor, readCursor, cursorSort, cursorFilter, getPageCursors } = require('../utils/cursor.util');
+
+/**
+ * Subtask Schema
+ * Ordered checklist items embedded in a task (array order is display order)
+ */
+const subtaskSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Subtask title is required'],
+    trim: true,
+    minlength: [1, 'Subtask title cannot be empty'],
+    maxlength: [100, 'Subtask title must not exceed 100 characters']
+  },
+
+  done: {
+    type: Boolean,
+    default: false
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  versionKey: false
+});
+
+/**
+ * Attachment Schema
+ * Metadata for a file kept in the configured storage backend
+ */
+const attachmentSchema = new mongoose.Schema({
+  filename: {
+    type: String,
+    required: [true, 'Attachment filename is required'],
+    trim: true,
+    maxlength: [255, 'Attachment filename must not exceed 255 characters']
+  },
+
+  // Opaque key inside the storage backend (not exposed to clients)
+  storageKey: {
+    type: String,
+    required: true
+  },
+
+  mimeType: {
+    type: String,
+    required: true
+  },
+
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.storageKey;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Collaborator Schema
+ * A user the task is shared with and their role on it
+ */
+const collaboratorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Collaborator user is required']
+  },
+
+  role: {
+    type: String,
+    enum: {
+      values: ['viewer', 'editor'],
+      message: 'Role must be either viewer or editor'
+    },
+    default: 'viewer'
+  },
+
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false,
+  versionKey: false
+});
+
+/**
+ * Recurrence Schema
+ * Rule used to generate the next occurrence when a recurring task is completed
+ */
+const recurrenceSchema = new mongoose.Schema({
+  frequency: {
+    type: String,
+    enum: {
+      values: ['daily', 'weekly', 'monthly', 'custom'],
+      message: 'Frequency must be either daily, weekly, monthly, or custom'
+    },
+    required: [true, 'Recurrence frequency is required']
+  },
+
+  interval: {
+    type: Number,
+    min: [1, 'Interval must be at least 1'],
+    max: [365, 'Interval must not exceed 365'],
+    default: 1
+  },
+
+  // Unit of the interval for custom recurrences
+  unit: {
+    type: String,
+    enum: {
+      values: ['day', 'week', 'month'],
+      message: 'Unit must be either day, week, or month'
+    },
+    default: 'day'
+  },
+
+  // Days of the week for weekly recurrences (Sunday = 0)
+  weekdays: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+
+  // Day of the month for monthly recurrences
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 31,
+    default: null
+  },
+
+  endDate: {
+    type: Date,
+    default: null
+  },
+
+  // Total number of occurrences in the series
+  count: {
+    type: Number,
+    min: 1,
+    default: null
+  }
+}, {
+  _id: false,
+  versionKey: false
+});
+
+/**
+ * Calculate checklist progress for a list of subtasks
+ * @param {Array} subtasks - Subtask documents or plain objects
+ * @returns {Object} - Progress with done and total counts
+ */
+const calculateProgress = (subtasks = []) => {
+  const total = subtasks.length;
+  const done = subtasks.filter(subtask => subtask.done).length;
+  return { done, total };
+};
 
 /**
  * Task Model Schema
@@ -22,20 +209,52 @@ const taskSchema = new mongoose.Schema({
     maxlength: [500, 'Task description must not exceed 500 characters']
   },
   
+  // Key of a status in the project's workflow (see workflow.util)
   status: {
+    type: String,
+    trim: true,
+    match: [/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Status may only contain lowercase letters, numbers and dashes'],
+    maxlength: [30, 'Status must not exceed 30 characters'],
+    default: 'pending',
+    index: true
+  },
+
+  // Category of the status, kept in sync by the task service
+  statusCategory: {
     type: String,
     enum: {
-      values: ['pending', 'in-progress', 'completed'],
-      message: 'Status must be either pending, in-progress, or completed'
+      values: STATUS_CATEGORIES,
+      message: 'Status category must be either todo, active, or done'
     },
-    default: 'pending',
+    default: 'todo',
     index: true
   },
   
-  user: {
+  createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Task must belong to a user'],
+    required: [true, 'Task must have a creator'],
+    index: true
+  },
+
+  assignee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    index: true
+  },
+
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null,
+    index: true
+  },
+  
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null,
     index: true
   },
   
@@ -70,17 +289,95 @@ const taskSchema = new mongoose.Schema({
     default: null
   },
   
+  // Manual position within the task's status column (board ordering)
+  rank: {
+    type: Number,
+    default: null
+  },
+  
   tags: [{
     type: String,
     trim: true,
     maxlength: [20, 'Tag must not exceed 20 characters']
-  }]
+  }],
+
+  subtasks: {
+    type: [subtaskSchema],
+    default: [],
+    validate: {
+      validator: function(value) {
+        return value.length <= 50;
+      },
+      message: 'Cannot have more than 50 subtasks'
+    }
+  },
+
+  // Complete the task automatically once every subtask is done
+  autoComplete: {
+    type: Boolean,
+    default: false
+  },
+
+  // Tasks that must be completed before this one can start
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+
+  collaborators: {
+    type: [collaboratorSchema],
+    default: []
+  },
+
+  attachments: {
+    type: [attachmentSchema],
+    default: [],
+    validate: {
+      validator: function(value) {
+        return value.length <= 20;
+      },
+      message: 'Cannot have more than 20 attachments'
+    }
+  },
+
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+
+  // Shared by every occurrence of a recurring task (the first occurrence's ID)
+  seriesId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+
+  occurrenceIndex: {
+    type: Number,
+    default: null
+  },
+
+  // Set when the task is moved to the trash; purged after the retention period
+  deletedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
 }, {
   timestamps: true, // Adds createdAt and updatedAt fields automatically
   versionKey: false,
   toJSON: {
     transform: function(doc, ret) {
       delete ret.__v;
+      if (Array.isArray(ret.subtasks)) {
+        ret.progress = calculateProgress(ret.subtasks);
+      }
       return ret;
     }
   },
@@ -95,30 +392,62 @@ const taskSchema = new mongoose.Schema({
 /**
  * Indexes for better query performance
  */
-taskSchema.index({ user: 1, status: 1 });
-taskSchema.index({ user: 1, createdAt: -1 });
-taskSchema.index({ user: 1, updatedAt: -1 });
+taskSchema.index({ createdBy: 1, status: 1 });
+taskSchema.index({ createdBy: 1, createdAt: -1 });
+taskSchema.index({ createdBy: 1, updatedAt: -1 });
 // Individual indexes for better performance with regex searches
-taskSchema.index({ user: 1, title: 1 });
-taskSchema.index({ user: 1, description: 1 });
-taskSchema.index({ user: 1, tags: 1 });
-taskSchema.index({ user: 1, dueDate: 1 });
-taskSchema.index({ user: 1, priority: 1 });
+taskSchema.index({ createdBy: 1, title: 1 });
+taskSchema.index({ createdBy: 1, description: 1 });
+taskSchema.index({ createdBy: 1, tags: 1 });
+taskSchema.index({ createdBy: 1, dueDate: 1 });
+taskSchema.index({ createdBy: 1, priority: 1 });
+taskSchema.index({ createdBy: 1, project: 1, status: 1 });
+taskSchema.index({ createdBy: 1, status: 1, rank: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ seriesId: 1, occurrenceIndex: 1 });
+taskSchema.index({ createdBy: 1, deletedAt: -1 });
+taskSchema.index({ 'collaborators.user': 1, deletedAt: 1 });
+taskSchema.index({ assignee: 1, status: 1 });
+taskSchema.index({ assignee: 1, dueDate: 1 });
+taskSchema.index({ workspace: 1, status: 1, rank: 1 });
+taskSchema.index(
+  { title: 'text', description: 'text', tags: 'text' },
+  { name: 'task_text_search', weights: { title: 10, tags: 5, description: 1 }, default_language: 'english' }
+);
 
 /**
- * Pre-save middleware to set completedAt when status changes to completed
+ * Pre-save middleware to set completedAt when the task enters or leaves a done status
  */
 taskSchema.pre('save', function(next) {
-  if (this.isModified('status')) {
-    if (this.status === 'completed' && !this.completedAt) {
+  if (this.isModified('status') || this.isModified('statusCategory')) {
+    if (this.statusCategory === 'done' && !this.completedAt) {
       this.completedAt = new Date();
-    } else if (this.status !== 'completed' && this.completedAt) {
+    } else if (this.statusCategory !== 'done' && this.completedAt) {
       this.completedAt = null;
     }
   }
   next();
 });
 
+/**
+ * Pre-save middleware to start a series when a task first gets a recurrence rule
+ */
+taskSchema.pre('save', function(next) {
+  if (this.recurrence && !this.seriesId) {
+    this.seriesId = this._id;
+    this.occurrenceIndex = 1;
+  }
+
+  // Pin the day of month so short months don't shift later occurrences
+  const monthly = this.recurrence &&
+    (this.recurrence.frequency === 'monthly' ||
+      (this.recurrence.frequency === 'custom' && this.recurrence.unit === 'month'));
+  if (monthly && !this.recurrence.dayOfMonth && this.dueDate) {
+    this.recurrence.dayOfMonth = this.dueDate.getUTCDate();
+  }
+  next();
+});
+
 /**
  * Virtual for task duration (if completed)
  */
@@ -133,14 +462,57 @@ taskSchema.virtual('duration').get(function() {
  * Virtual for checking if task is overdue
  */
 taskSchema.virtual('isOverdue').get(function() {
-  if (this.dueDate && this.status !== 'completed') {
+  if (this.dueDate && this.statusCategory !== 'done') {
     return new Date() > this.dueDate;
   }
   return false;
 });
 
+/**
+ * Static method to build the filter for the tasks a user sees in the active scope
+ * Personal scope: tasks outside any workspace the user created or must do.
+ * Workspace scope: every task of the workspace, except guests who only see their own,
+ * assigned and shared tasks.
+ * @param {string} userId - User ID
+ * @param {Object} options - { workspace, workspaceRole } from resolveWorkspace
+ * @returns {Object} - MongoDB filter
+ */
+taskSchema.statics.scopeFor = function(userId, options = {}) {
+  const { workspace, workspaceRole } = options;
+  const ownTasks = [{ createdBy: userId }, { assignee: userId }];
+
+  if (!workspace) {
+    return { workspace: null, $or: ownTasks };
+  }
+
+  if (workspaceRole === 'guest') {
+    return { workspace, $or: [...ownTasks, { 'collaborators.user': userId }] };
+  }
+
+  return { workspace };
+};
+
+/**
+ * Static method to build the filter for the trashed tasks a user manages in the active scope
+ * Narrows scopeFor to the tasks the user may restore or purge: their own, and in a
+ * workspace they administer, every task of the workspace.
+ * @param {string} userId - User ID
+ * @param {Object} options - { workspace, workspaceRole } from resolveWorkspace
+ * @returns {Object} - MongoDB filter
+ */
+taskSchema.statics.trashScopeFor = function(userId, options = {}) {
+  const { workspace, workspaceRole } = options;
+
+  if (workspace && ['owner', 'admin'].includes(workspaceRole)) {
+    return this.scopeFor(userId, options);
+  }
+
+  return { workspace: workspace || null, createdBy: userId };
+};
+
 /**
  * Static method to get tasks by user with pagination and filtering
+ * Pages by number (page) or, when an after/before cursor is given, by cursor
  * @param {string} userId - User ID
  * @param {Object} options - Query options
  * @returns {Promise<Object>} - Paginated tasks result
@@ -149,24 +521,141 @@ taskSchema.statics.getTasksByUser = async function(userId, options = {}) {
   const {
     page = 1,
     limit = 10,
-    status,
     sortBy = 'createdAt',
     sortOrder = 'desc',
-    search,
-    priority,
-    dueDate
+    after,
+    before
   } = options;
 
+  const query = await this.buildTaskQuery(userId, options);
+
+  if (after || before) {
+    return await this.getTasksPageByCursor(query, { limit, sortBy, sortOrder, after, before });
+  }
+
   const skip = (page - 1) * limit;
-  const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+  const sort = cursorSort(sortBy, sortOrder);
+
+  // Execute query with pagination
+  const [tasks, total] = await Promise.all([
+    this.find(query)
+      .select('-attachments.storageKey')
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    this.countDocuments(query)
+  ]);
+
+  const pages = Math.ceil(total / limit);
 
-  // Build query
-  const query = { user: userId };
+  return {
+    tasks: tasks.map(task => ({ ...task, progress: calculateProgress(task.subtasks) })),
+    pagination: {
+      current: page,
+      pages,
+      total,
+      limit,
+      // Let page-number clients switch to cursors from any page
+      nextCursor: page < pages && tasks.length > 0 ? createCursor(tasks[tasks.length - 1], sortBy) : null,
+      prevCursor: page > 1 && tasks.length > 0 ? createCursor(tasks[0], sortBy) : null
+    }
+  };
+};
+
+/**
+ * Static method to get one cursor page of a task query
+ * @param {Object} query - MongoDB filter of the listing
+ * @param {Object} options - { limit, sortBy, sortOrder, after, before }
+ * @returns {Promise<Object>} - Tasks and cursor pagination ({ limit, nextCursor, prevCursor })
+ */
+taskSchema.statics.getTasksPageByCursor = async function(query, options) {
+  const { limit = 10, sortBy = 'createdAt', sortOrder = 'desc', after, before } = options;
+  const direction = after ? 'after' : 'before';
+  const cursor = readCursor(after || before, sortBy);
+
+  // One extra task tells whether there is another page in this direction
+  const found = await this.find({ ...query, $and: [...(query.$and || []), cursorFilter(sortBy, sortOrder, cursor, direction)] })
+    .select('-attachments.storageKey')
+    .sort(cursorSort(sortBy, sortOrder, direction))
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = found.length > limit;
+  const tasks = found.slice(0, limit);
+
+  if (direction === 'before') {
+    tasks.reverse();
+  }
+
+  return {
+    tasks: tasks.map(task => ({ ...task, progress: calculateProgress(task.subtasks) })),
+    pagination: {
+      limit,
+      ...getPageCursors(tasks, { sortBy, direction, hasMore })
+    }
+  };
+};
+
+/**
+ * Static method to get the checklist progress of a plain (lean) task
+ * @param {Object} task - Task with subtasks
+ * @returns {Object} - { done, total }
+ */
+taskSchema.statics.calculateProgress = function(task) {
+  return calculateProgress(task.subtasks);
+};
+
+/**
+ * Static method to count the tasks a task list query would return
+ * @param {string} userId - User ID
+ * @param {Object} options - Filter options (see buildTaskQuery)
+ * @returns {Promise<number>} - Number of matching tasks
+ */
+taskSchema.statics.countTasks = async function(userId, options = {}) {
+  return await this.countDocuments(await this.buildTaskQuery(userId, options));
+};
+
+/**
+ * Static method to build the filter of a task list query
+ * @param {string} userId - User ID
+ * @param {Object} options - Filter options (status, category, priority, dueDate, search, q, fullText, ready, project, assignee, scope)
+ * @returns {Promise<Object>} - MongoDB filter
+ */
+taskSchema.statics.buildTaskQuery = async function(userId, options = {}) {
+  const {
+    status,
+    search,
+    priority,
+    dueDate,
+    ready,
+    project,
+    assignee,
+    category,
+    q,
+    fullText
+  } = options;
+
+  // Build query: tasks visible in the active scope (trashed tasks are never listed)
+  const query = {
+    $and: [this.scopeFor(userId, options)],
+    deletedAt: null
+  };
+  
+  if (assignee) {
+    // 'me' is the requesting user, 'none' lists unassigned tasks
+    const assigneeIds = { me: userId, none: null };
+    query.assignee = assignee in assigneeIds ? assigneeIds[assignee] : assignee;
+  }
   
   if (status) {
     query.status = status;
   }
   
+  if (category) {
+    query.statusCategory = category;
+  }
+  
   if (priority) {
     query.priority = priority;
   }
@@ -175,10 +664,23 @@ taskSchema.statics.getTasksByUser = async function(userId, options = {}) {
     query.dueDate = { $lte: new Date(dueDate) };
   }
   
+  if (project) {
+    // 'none' lists tasks that are not in any project
+    query.project = project === 'none' ? null : project;
+  }
+  
+  if (ready !== undefined) {
+    // A task is ready when none of its blockers are still open
+    const blockerIds = await this.distinct('blockedBy', { $and: query.$and, deletedAt: null });
+    const openTaskIds = await this.distinct('_id', { _id: { $in: blockerIds }, statusCategory: { $ne: 'done' }, deletedAt: null });
+    const onlyReady = ready === true || ready === 'true';
+    query.blockedBy = onlyReady ? { $nin: openTaskIds } : { $in: openTaskIds };
+  }
+  
   if (search) {
     // Use regex for phrase-based search instead of word-based text search
     // This allows for partial phrase matching while being more precise
-    const searchRegex = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    const searchRegex = new RegExp(escapeRegex(search), 'i');
     query.$or = [
       { title: searchRegex },
       { description: searchRegex },
@@ -186,9 +688,114 @@ taskSchema.statics.getTasksByUser = async function(userId, options = {}) {
     ];
   }
 
-  // Execute query with pagination
+  if (q) {
+    // Search language terms (see search.util); parse errors reach the caller
+    query.$and.push(...parseSearchQuery(q, { userId, fullText }));
+  }
+
+  return query;
+};
+
+/**
+ * Static method to get the filter of the board a task is ranked on
+ * Workspace tasks share the workspace board, other tasks their creator's board
+ * @param {string} userId - Creator's user ID
+ * @param {string|null} workspace - Workspace ID
+ * @returns {Object} - MongoDB filter
+ */
+taskSchema.statics.boardScope = function(userId, workspace = null) {
+  return workspace ? { workspace } : { createdBy: userId, workspace: null };
+};
+
+/**
+ * Static method to get the rank that places a task at the bottom of a status column
+ * @param {string} userId - Creator's user ID
+ * @param {string} status - Status column
+ * @param {string|null} workspace - Workspace ID
+ * @returns {Promise<number>} - Rank for the new last task
+ */
+taskSchema.statics.getNextRank = async function(userId, status, workspace = null) {
+  const last = await this.findOne({ ...this.boardScope(userId, workspace), status, rank: { $ne: null }, deletedAt: null })
+    .sort({ rank: -1 })
+    .select('rank')
+    .lean();
+
+  return last ? last.rank + RANK_STEP : RANK_STEP;
+};
+
+/**
+ * Static method to get a user's tasks grouped into board columns
+ * @param {string} userId - User ID
+ * @param {Object} options - Board filters and the status columns to load
+ * @returns {Promise<Object>} - Tasks per status in rank order
+ */
+taskSchema.statics.getBoard = async function(userId, options = {}) {
+  const {
+    project,
+    priority,
+    limit = 100,
+    statuses = DEFAULT_WORKFLOW.statuses.map(status => status.key)
+  } = options;
+
+  const query = { ...this.scopeFor(userId, options), deletedAt: null };
+
+  if (project) {
+    query.project = project === 'none' ? null : project;
+  }
+
+  if (priority) {
+    query.priority = priority;
+  }
+
+  const columns = await Promise.all(statuses.map(status =>
+    this.find({ ...query, status })
+      .select('-attachments.storageKey')
+      .sort({ rank: 1, createdAt: 1 })
+      .limit(limit)
+      .lean()
+  ));
+
+  const board = {};
+  statuses.forEach((status, index) => {
+    board[status] = columns[index].map(task => ({ ...task, progress: calculateProgress(task.subtasks) }));
+  });
+
+  return board;
+};
+
+/**
+ * Static method to get tasks other users have shared with a user
+ * @param {string} userId - Collaborator's user ID
+ * @param {Object} options - Query options
+ * @returns {Promise<Object>} - Paginated tasks result
+ */
+taskSchema.statics.getSharedWithUser = async function(userId, options = {}) {
+  const {
+    page = 1,
+    limit = 10,
+    status,
+    priority,
+    sortBy = 'createdAt',
+    sortOrder = 'desc'
+  } = options;
+
+  const skip = (page - 1) * limit;
+  const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+
+  const query = { 'collaborators.user': userId, deletedAt: null };
+
+  if (status) {
+    query.status = status;
+  }
+
+  if (priority) {
+    query.priority = priority;
+  }
+
   const [tasks, total] = await Promise.all([
     this.find(query)
+      .select('-attachments.storageKey')
+      .populate('createdBy', 'username')
       .sort(sort)
       .skip(skip)
       .limit(limit)
@@ -196,6 +803,46 @@ taskSchema.statics.getTasksByUser = async function(userId, options = {}) {
     this.countDocuments(query)
   ]);
 
+  return {
+    tasks: tasks.map(task => {
+      const collaborator = task.collaborators.find(item => item.user.toString() === userId.toString());
+      return {
+        ...task,
+        progress: calculateProgress(task.subtasks),
+        role: collaborator ? collaborator.role : null
+      };
+    }),
+    pagination: {
+      current: page,
+      pages: Math.ceil(total / limit),
+      total,
+      limit
+    }
+  };
+};
+
+/**
+ * Static method to get a user's trashed tasks, most recently deleted first
+ * @param {string} userId - User ID
+ * @param {Object} options - Pagination options and the workspace scope
+ * @returns {Promise<Object>} - Paginated trashed tasks result
+ */
+taskSchema.statics.getTrashedTasks = async function(userId, options = {}) {
+  const { page = 1, limit = 10 } = options;
+  const skip = (page - 1) * limit;
+
+  const query = { ...this.trashScopeFor(userId, options), deletedAt: { $ne: null } };
+
+  const [tasks, total] = await Promise.all([
+    this.find(query)
+      .select('-attachments.storageKey')
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    this.countDocuments(query)
+  ]);
+
   return {
     tasks,
     pagination: {
@@ -210,63 +857,274 @@ taskSchema.statics.getTasksByUser = async function(userId, options = {}) {
 /**
  * Static method to get task statistics for a user
  * @param {string} userId - User ID
+ * @param {Object} options - { by: 'creator' | 'assignee' } selects whose tasks are counted
  * @returns {Promise<Object>} - Task statistics
  */
-taskSchema.statics.getTaskStats = async function(userId) {
+taskSchema.statics.getTaskStats = async function(userId, options = {}) {
+  const field = options.by === 'assignee' ? 'assignee' : 'createdBy';
+
   const stats = await this.aggregate([
-    { $match: { user: new mongoose.Types.ObjectId(userId) } },
+    { $match: { [field]: new mongoose.Types.ObjectId(userId), deletedAt: null } },
     {
       $group: {
-        _id: '$status',
+        _id: { status: '$status', category: '$statusCategory' },
         count: { $sum: 1 }
       }
     }
   ]);
 
+  // Per-status counts (default statuses always present) plus counts per category,
+  // so custom workflows report completion through byCategory.done
   const result = {
     pending: 0,
     'in-progress': 0,
     completed: 0,
-    total: 0
+    total: 0,
+    byCategory: {
+      todo: 0,
+      active: 0,
+      done: 0
+    }
   };
 
   stats.forEach(stat => {
-    result[stat._id] = stat.count;
+    result[stat._id.status] = (result[stat._id.status] || 0) + stat.count;
+    result.byCategory[stat._id.category] += stat.count;
     result.total += stat.count;
   });
 
   return result;
 };
 
+/**
+ * Static method to get task statistics for a single project
+ * @param {string} userId - User ID
+ * @param {string} projectId - Project ID
+ * @param {Array<string>} statuses - Status keys of the project's workflow
+ * @returns {Promise<Object>} - Status, category and priority counts with completion percentage
+ */
+taskSchema.statics.getProjectStats = async function(userId, projectId, statuses = DEFAULT_WORKFLOW.statuses.map(status => status.key)) {
+  const [stats] = await this.aggregate([
+    {
+      $match: {
+        createdBy: new mongoose.Types.ObjectId(userId),
+        project: new mongoose.Types.ObjectId(projectId),
+        deletedAt: null
+      }
+    },
+    {
+      $facet: {
+        byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+        byCategory: [{ $group: { _id: '$statusCategory', count: { $sum: 1 } } }],
+        byPriority: [{ $group: { _id: '$priority', count: { $sum: 1 } } }]
+      }
+    }
+  ]);
+
+  const result = {
+    status: Object.fromEntries(statuses.map(status => [status, 0])),
+    category: {
+      todo: 0,
+      active: 0,
+      done: 0
+    },
+    priority: {
+      low: 0,
+      medium: 0,
+      high: 0,
+      urgent: 0
+    },
+    total: 0,
+    completionPercentage: 0
+  };
+
+  stats.byStatus.forEach(stat => {
+    result.status[stat._id] = stat.count;
+    result.total += stat.count;
+  });
+
+  stats.byCategory.forEach(stat => {
+    result.category[stat._id] = stat.count;
+  });
+
+  stats.byPriority.forEach(stat => {
+    result.priority[stat._id] = stat.count;
+  });
+
+  if (result.total > 0) {
+    result.completionPercentage = Math.round((result.category.done / result.total) * 100);
+  }
+
+  return result;
+};
+
 /**
  * Static method to get overdue tasks for a user
  * @param {string} userId - User ID
+ * @param {Object} options - { by: 'creator' | 'assignee' } selects whose tasks are listed
  * @returns {Promise<Array>} - Array of overdue tasks
  */
-taskSchema.statics.getOverdueTasks = function(userId) {
+taskSchema.statics.getOverdueTasks = function(userId, options = {}) {
+  const field = options.by === 'assignee' ? 'assignee' : 'createdBy';
+
   return this.find({
-    user: userId,
-    status: { $ne: 'completed' },
+    [field]: userId,
+    deletedAt: null,
+    statusCategory: { $ne: 'done' },
     dueDate: { $lt: new Date() }
   }).sort({ dueDate: 1 });
 };
 
+/**
+ * Static method to move tasks stored before the creator/assignee split
+ * Copies the legacy `user` field into createdBy and assignee; safe to run repeatedly
+ * @returns {Promise<number>} - Number of migrated tasks
+ */
+taskSchema.statics.migrateLegacyOwnership = async function() {
+  const result = await this.collection.updateMany(
+    { createdBy: { $exists: false }, user: { $exists: true } },
+    [
+      { $set: { createdBy: '$user', assignee: '$user' } },
+      { $unset: 'user' }
+    ]
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Static method to fill in statusCategory for tasks stored before custom workflows
+ * Those tasks all use the default workflow; safe to run repeatedly
+ * @returns {Promise<number>} - Number of migrated tasks
+ */
+taskSchema.statics.migrateStatusCategories = async function() {
+  let modified = 0;
+
+  for (const status of DEFAULT_WORKFLOW.statuses) {
+    const result = await this.collection.updateMany(
+      { statusCategory: { $exists: false }, status: status.key },
+      { $set: { statusCategory: status.category } }
+    );
+    modified += result.modifiedCount;
+  }
+
+  return modified;
+};
+
+/**
+ * Static method to check whether adding a dependency would create a cycle
+ * Walks the blockedBy graph starting at the prospective blocker
+ * @param {string} taskId - Task that would become blocked
+ * @param {string} blockerId - Task that would block it
+ * @returns {Promise<boolean>} - True if the blocker already depends on the task
+ */
+taskSchema.statics.wouldCreateCycle = async function(taskId, blockerId) {
+  const target = taskId.toString();
+  const visited = new Set();
+  let frontier = [blockerId.toString()];
+
+  while (frontier.length > 0) {
+    if (frontier.includes(target)) {
+      return true;
+    }
+
+    frontier.forEach(id => visited.add(id));
+
+    const tasks = await this.find({ _id: { $in: frontier } }).select('blockedBy').lean();
+    frontier = [...new Set(
+      tasks.flatMap(task => task.blockedBy.map(id => id.toString()))
+    )].filter(id => !visited.has(id));
+  }
+
+  return false;
+};
+
+/**
+ * Instance method to get blockers that are not completed yet
+ * @returns {Promise<Array>} - Array of open blocker tasks
+ */
+taskSchema.methods.getOpenBlockers = function() {
+  if (!this.blockedBy || this.blockedBy.length === 0) {
+    return Promise.resolve([]);
+  }
+
+  return this.constructor.find({
+    _id: { $in: this.blockedBy },
+    statusCategory: { $ne: 'done' },
+    deletedAt: null
+  }).select('title status').lean();
+};
+
 /**
  * Instance method to mark task as completed
+ * @param {string} status - Done status of the task's workflow to move to
  */
-taskSchema.methods.markAsCompleted = function() {
-  this.status = 'completed';
+taskSchema.methods.markAsCompleted = function(status = 'completed') {
+  this.status = status;
+  this.statusCategory = 'done';
   this.completedAt = new Date();
   return this.save();
 };
 
 /**
- * Instance method to check if user owns this task
+ * Instance method to get checklist progress
+ * @returns {Object} - Progress with done and total counts
+ */
+taskSchema.methods.getProgress = function() {
+  return calculateProgress(this.subtasks);
+};
+
+/**
+ * Instance method to check if every subtask is done
+ * @returns {boolean} - True if the task has subtasks and all are done
+ */
+taskSchema.methods.allSubtasksDone = function() {
+  const { done, total } = this.getProgress();
+  return total > 0 && done === total;
+};
+
+/**
+ * Instance method to check if the task is in the trash
+ * @returns {boolean} - True if the task has been soft deleted
+ */
+taskSchema.methods.isTrashed = function() {
+  return !!this.deletedAt;
+};
+
+/**
+ * Instance method to get a user's role on this task (workspace roles are applied by the task service)
+ * @param {string} userId - User ID to check
+ * @returns {string|null} - 'owner', 'assignee', 'editor', 'viewer' or null without access
+ */
+taskSchema.methods.getRoleFor = function(userId) {
+  if (this.isOwnedBy(userId)) {
+    return 'owner';
+  }
+
+  if (this.isAssignedTo(userId)) {
+    return 'assignee';
+  }
+
+  const collaborator = this.collaborators.find(item => item.user.toString() === userId.toString());
+  return collaborator ? collaborator.role : null;
+};
+
+/**
+ * Instance method to check if user owns (created) this task
  * @param {string} userId - User ID to check
  * @returns {boolean} - True if user owns the task
  */
 taskSchema.methods.isOwnedBy = function(userId) {
-  return this.user.toString() === userId.toString();
+  return this.createdBy.toString() === userId.toString();
+};
+
+/**
+ * Instance method to check if the task is assigned to a user
+ * @param {string} userId - User ID to check
+ * @returns {boolean} - True if user is the assignee
+ */
+taskSchema.methods.isAssignedTo = function(userId) {
+  return Boolean(this.assignee) && this.assignee.toString() === userId.toString();
 };
 
 const Task = mongoose.model('Task', taskSchema);
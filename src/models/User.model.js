@@ -43,6 +43,17 @@ const userSchema = new mongoose.Schema({
     index: true
   },
   
+  // Set once the user opened the link emailed to the current address
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  
   lastLogin: {
     type: Date,
     default: null
@@ -106,6 +117,20 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+/**
+ * Static method to mark users stored before email verification as verified
+ * Their addresses were accepted without it, so the policy must not lock them out;
+ * safe to run repeatedly
+ * @returns {Promise<number>} - Number of migrated users
+ */
+userSchema.statics.migrateEmailVerification = async function() {
+  const result = await this.collection.updateMany(
+    { emailVerified: { $exists: false } },
+    [{ $set: { emailVerified: true, emailVerifiedAt: { $ifNull: ['$createdAt', '$$NOW'] } } }]
+  );
+
+  return result.modifiedCount;
+};
 
 /**
  * Note: Business logic methods have been moved to UserService
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const { STATUS_CATEGORIES } = require('../utils/workflow.util');
+
+/**
+ * View Filters Schema
+ * The task list filters a view applies (same meaning as the GET /api/tasks query)
+ */
+const viewFiltersSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    trim: true,
+    default: undefined
+  },
+
+  category: {
+    type: String,
+    enum: {
+      values: STATUS_CATEGORIES,
+      message: 'Category must be either todo, active, or done'
+    },
+    default: undefined
+  },
+
+  priority: {
+    type: String,
+    enum: {
+      values: ['low', 'medium', 'high', 'urgent'],
+      message: 'Priority must be either low, medium, high, or urgent'
+    },
+    default: undefined
+  },
+
+  // Tasks due on or before this date
+  dueDate: {
+    type: Date,
+    default: undefined
+  },
+
+  search: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Search term must not exceed 100 characters'],
+    default: undefined
+  },
+
+  ready: {
+    type: Boolean,
+    default: undefined
+  },
+
+  // Project ID or 'none'
+  project: {
+    type: String,
+    default: undefined
+  },
+
+  // User ID, 'me' or 'none'
+  assignee: {
+    type: String,
+    default: undefined
+  }
+}, {
+  _id: false,
+  versionKey: false
+});
+
+/**
+ * View Model Schema
+ * A named, saved task list query (filters plus sort) of a user
+ */
+const viewSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'View name is required'],
+    trim: true,
+    minlength: [1, 'View name cannot be empty'],
+    maxlength: [100, 'View name must not exceed 100 characters']
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'View must belong to a user'],
+    index: true
+  },
+
+  // Views of a workspace list its tasks; others list the owner's personal tasks
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+
+  filters: {
+    type: viewFiltersSchema,
+    default: () => ({})
+  },
+
+  sortBy: {
+    type: String,
+    enum: {
+      values: ['createdAt', 'updatedAt', 'title', 'status', 'rank'],
+      message: 'Sort field must be either createdAt, updatedAt, title, status, or rank'
+    },
+    default: 'createdAt'
+  },
+
+  sortOrder: {
+    type: String,
+    enum: {
+      values: ['asc', 'desc'],
+      message: 'Sort order must be either asc or desc'
+    },
+    default: 'desc'
+  },
+
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields automatically
+  versionKey: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Indexes for better query performance
+ */
+viewSchema.index({ owner: 1, name: 1 }, { unique: true });
+viewSchema.index({ owner: 1, isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+
+/**
+ * Instance method to check if user owns this view
+ * @param {string} userId - User ID to check
+ * @returns {boolean} - True if user owns the view
+ */
+viewSchema.methods.isOwnedBy = function(userId) {
+  return this.owner.toString() === userId.toString();
+};
+
+/**
+ * Instance method to get the task list options the view runs with
+ * @returns {Object} - Options for Task.getTasksByUser / Task.countTasks
+ */
+viewSchema.methods.toQueryOptions = function() {
+  const filters = this.filters ? this.filters.toObject() : {};
+
+  Object.keys(filters).forEach(key => {
+    if (filters[key] === undefined || filters[key] === null) {
+      delete filters[key];
+    }
+  });
+
+  return {
+    ...filters,
+    sortBy: this.sortBy,
+    sortOrder: this.sortOrder
+  };
+};
+
+const View = mongoose.model('View', viewSchema);
+
+module.exports = View;
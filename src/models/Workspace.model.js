@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+/**
+ * Workspace member roles, from most to least privileged
+ */
+const WORKSPACE_ROLES = ['owner', 'admin', 'member', 'guest'];
+
+/**
+ * Member Schema
+ * A user belonging to a workspace and their role in it
+ */
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Member user is required']
+  },
+
+  role: {
+    type: String,
+    enum: {
+      values: WORKSPACE_ROLES,
+      message: 'Role must be either owner, admin, member, or guest'
+    },
+    default: 'member'
+  },
+
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  _id: false,
+  versionKey: false
+});
+
+/**
+ * Workspace Model Schema
+ * A team of users sharing tasks
+ */
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Workspace name is required'],
+    trim: true,
+    minlength: [1, 'Workspace name cannot be empty'],
+    maxlength: [100, 'Workspace name must not exceed 100 characters']
+  },
+
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Workspace description must not exceed 500 characters'],
+    default: ''
+  },
+
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Workspace must have an owner'],
+    index: true
+  },
+
+  members: {
+    type: [memberSchema],
+    default: []
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields automatically
+  versionKey: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Indexes for better query performance
+ */
+workspaceSchema.index({ 'members.user': 1 });
+
+/**
+ * Instance method to get a user's role in this workspace
+ * @param {string} userId - User ID to check
+ * @returns {string|null} - Workspace role or null for non-members
+ */
+workspaceSchema.methods.getRoleFor = function(userId) {
+  const member = this.members.find(item => (item.user._id || item.user).toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+/**
+ * Instance method to check if user belongs to this workspace
+ * @param {string} userId - User ID to check
+ * @returns {boolean} - True for every member, guests included
+ */
+workspaceSchema.methods.isMember = function(userId) {
+  return this.getRoleFor(userId) !== null;
+};
+
+/**
+ * Instance method to check if user owns this workspace
+ * @param {string} userId - User ID to check
+ * @returns {boolean} - True if user owns the workspace
+ */
+workspaceSchema.methods.isOwnedBy = function(userId) {
+  return this.owner.toString() === userId.toString();
+};
+
+const Workspace = mongoose.model('Workspace', workspaceSchema);
+
+module.exports = Workspace;
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Workspace Invitation Model Schema
+ * A pending invitation to join a workspace, accepted with a one-time token
+ */
+const workspaceInvitationSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: [true, 'Invitation must belong to a workspace'],
+    index: true
+  },
+
+  email: {
+    type: String,
+    required: [true, 'Invitation email is required'],
+    lowercase: true,
+    trim: true
+  },
+
+  role: {
+    type: String,
+    enum: {
+      values: ['admin', 'member', 'guest'],
+      message: 'Role must be either admin, member, or guest'
+    },
+    default: 'member'
+  },
+
+  // Only the SHA-256 hash of the token is stored; the token itself is handed out once
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields automatically
+  versionKey: false,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  },
+  toObject: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+/**
+ * Indexes for better query performance
+ */
+workspaceInvitationSchema.index({ workspace: 1, email: 1, acceptedAt: 1 });
+
+/**
+ * Static method to hash an invitation token for storage and lookup
+ * @param {string} token - Plain invitation token
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+workspaceInvitationSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Instance method to check if the invitation can still be accepted
+ * @returns {boolean} - True while the invitation is unused and not expired
+ */
+workspaceInvitationSchema.methods.isPending = function() {
+  return !this.acceptedAt && this.expiresAt > new Date();
+};
+
+const WorkspaceInvitation = mongoose.model('WorkspaceInvitation', workspaceInvitationSchema);
+
+module.exports = WorkspaceInvitation;
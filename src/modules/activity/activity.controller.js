@@ -0,0 +1,35 @@
+const activityService = require('./activity.service');
+const {
+  sendError,
+  sendPaginatedResponse
+} = require('../../utils/response.util');
+
+// Active workspace (see resolveWorkspace) for the service's task scope
+const workspaceScope = (req) => (
+  req.workspace ? { workspace: req.workspace._id, workspaceRole: req.workspaceRole } : {}
+);
+
+
+class ActivityController {
+
+  async getActivityFeed(req, res) {
+    try {
+      const userId = req.user._id;
+      
+      const options = { ...req.query, ...workspaceScope(req) };
+
+      const result = await activityService.getUserFeed(userId, options);
+      
+      return sendPaginatedResponse(
+        res,
+        result.activities,
+        result.pagination,
+        'Activity retrieved successfully'
+      );
+    } catch (error) {
+      return sendError(res, error.message || 'Failed to retrieve activity', 500);
+    }
+  }
+}
+
+module.exports = new ActivityController();
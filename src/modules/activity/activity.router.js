@@ -0,0 +1,23 @@
+const express = require('express');
+const activityController = require('./activity.controller');
+const { protect } = require('../../middleware/auth.middleware');
+const { resolveWorkspace } = require('../../middleware/workspace.middleware');
+const { validate } = require('../../middleware/validate.middleware');
+const { getActivityFeedSchema } = require('../../schemas/activity.schema');
+
+const router = express.Router();
+
+/**
+ * Activity Routes
+ * All routes require authentication
+ */
+
+// Apply authentication middleware to all routes
+router.use(protect);
+router.use(resolveWorkspace());
+
+
+// Get the activity feed across the tasks the user can see in the active scope
+router.get('/', validate(getActivityFeedSchema), activityController.getActivityFeed);
+
+module.exports = router;
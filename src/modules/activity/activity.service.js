@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const Activity = require('../../models/Activity.model');
+const Task = require('../../models/Task.model');
+
+// Task fields whose before/after values are recorded
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'completedAt',
+  'tags',
+  'project',
+  'assignee',
+  'autoComplete',
+  'recurrence',
+  'rank'
+];
+
+/**
+ * Activity Service
+ * Records and queries the task audit trail
+ */
+class ActivityService {
+  /**
+   * Capture the tracked fields of a task as plain values
+   * @param {Object} task - Task document or plain object
+   * @returns {Object} - Field snapshot
+   */
+  snapshot(task) {
+    const source = typeof task.toObject === 'function' ? task.toObject() : task;
+    const result = {};
+
+    TRACKED_FIELDS.forEach(field => {
+      const value = source[field];
+      result[field] = value === undefined ? null : JSON.parse(JSON.stringify(value));
+    });
+
+    return result;
+  }
+
+  /**
+   * Compare two snapshots (pass {} for the side of a create or delete)
+   * @param {Object} before - Snapshot before the change
+   * @param {Object} after - Snapshot after the change
+   * @returns {Array<Object>} - Changed fields with before/after values
+   */
+  diff(before, after) {
+    const valueOf = (snapshot, field) => (snapshot[field] === undefined ? null : snapshot[field]);
+
+    return TRACKED_FIELDS
+      .filter(field => JSON.stringify(valueOf(before, field)) !== JSON.stringify(valueOf(after, field)))
+      .map(field => ({ field, before: valueOf(before, field), after: valueOf(after, field) }));
+  }
+
+  /**
+   * Record a single activity entry
+   * @param {Object} entry - { task, actor, action, changes, bulk }
+   * @param {Object} session - Optional MongoDB session
+   * @returns {Promise<Object>} - Created activity
+   */
+  async record(entry, session = null) {
+    const [activity] = await this.recordMany([entry], session);
+    return activity;
+  }
+
+  /**
+   * Record several activity entries at once
+   * @param {Array<Object>} entries - Entries as accepted by record()
+   * @param {Object} session - Optional MongoDB session
+   * @returns {Promise<Array>} - Created activities
+   */
+  async recordMany(entries, session = null) {
+    if (entries.length === 0) {
+      return [];
+    }
+
+    const documents = entries.map(({ task, actor, action, changes = [], bulk = false }) => ({
+      task: task._id,
+      taskTitle: task.title,
+      owner: task.createdBy,
+      actor,
+      action,
+      changes,
+      bulk
+    }));
+
+    return await Activity.insertMany(documents, session ? { session } : {});
+  }
+
+
+  async getTaskHistory(taskId, options = {}) {
+    const { page = 1, limit = 20, action } = options;
+
+    const query = { task: taskId };
+
+    if (action) {
+      query.action = action;
+    }
+
+    return await this.paginate(query, page, limit);
+  }
+
+
+  /**
+   * Get the activity of every task the user can see in the active scope
+   * Covers the same tasks as the task list (Task.scopeFor), trashed ones included, and in the
+   * personal scope also the tasks shared with the user as a collaborator.
+   * @param {string} userId - User ID
+   * @param {Object} options - { page, limit, action, task, workspace, workspaceRole }
+   * @returns {Promise<Object>} - Paginated activities
+   */
+  async getUserFeed(userId, options = {}) {
+    const { page = 1, limit = 20, action, task, workspace, workspaceRole } = options;
+    const userObjectId = new mongoose.Types.ObjectId(userId);
+
+    const scope = Task.scopeFor(userObjectId, { workspace, workspaceRole });
+    const taskFilter = workspace ? scope : { $or: [scope, { 'collaborators.user': userObjectId }] };
+
+    if (task) {
+      taskFilter._id = task;
+    }
+
+    const query = { task: { $in: await Task.distinct('_id', taskFilter) } };
+
+    if (action) {
+      query.action = action;
+    }
+
+    return await this.paginate(query, page, limit);
+  }
+
+
+  async paginate(query, page, limit) {
+    const skip = (page - 1) * limit;
+
+    const [activities, total] = await Promise.all([
+      Activity.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('actor', 'username')
+        .lean(),
+      Activity.countDocuments(query)
+    ]);
+
+    return {
+      activities,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+}
+
+module.exports = new ActivityService();
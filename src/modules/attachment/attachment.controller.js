@@ -0,0 +1,123 @@
+const attachmentService = require('./attachment.service');
+const {
+  sendSuccess,
+  sendError,
+  sendCreated,
+  sendDeleted,
+  sendNotFoundError,
+  sendAuthorizationError
+} = require('../../utils/response.util');
+
+
+class AttachmentController {
+
+  async getAttachments(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const attachments = await attachmentService.getAttachments(id, userId);
+      
+      return sendSuccess(res, attachments, 'Attachments retrieved successfully');
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to retrieve attachments', 500);
+    }
+  }
+
+
+  async uploadAttachment(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const attachment = await attachmentService.addAttachment(id, req.file, userId);
+      
+      return sendCreated(res, attachment, 'Attachment uploaded successfully');
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to upload attachment', 400);
+    }
+  }
+
+
+  async downloadAttachment(req, res) {
+    try {
+      const { id, attachmentId } = req.params;
+      const userId = req.user._id;
+      
+      const { attachment, stream } = await attachmentService.getAttachmentDownload(id, attachmentId, userId);
+      
+      const filename = attachment.filename.replace(/["\\\r\n]/g, '_');
+      res.setHeader('Content-Type', attachment.mimeType);
+      res.setHeader('Content-Length', attachment.size);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="${filename}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`
+      );
+      
+      stream.on('error', (error) => {
+        console.error('Attachment stream error:', error.message);
+        res.destroy(error);
+      });
+      
+      return stream.pipe(res);
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message === 'Attachment not found' || error.message === 'File not found in storage') {
+        return sendNotFoundError(res, 'Attachment not found', 'attachment');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to download attachment', 500);
+    }
+  }
+
+
+  async deleteAttachment(req, res) {
+    try {
+      const { id, attachmentId } = req.params;
+      const userId = req.user._id;
+      
+      const result = await attachmentService.deleteAttachment(id, attachmentId, userId);
+      
+      return sendDeleted(res, result.message);
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message === 'Attachment not found') {
+        return sendNotFoundError(res, 'Attachment not found', 'attachment');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to delete attachment', 500);
+    }
+  }
+}
+
+module.exports = new AttachmentController();
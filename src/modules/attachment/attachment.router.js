@@ -0,0 +1,30 @@
+const express = require('express');
+const attachmentController = require('./attachment.controller');
+const { validate } = require('../../middleware/validate.middleware');
+const { uploadSingle } = require('../../middleware/upload.middleware');
+const {
+  taskAttachmentsSchema,
+  attachmentByIdSchema
+} = require('../../schemas/attachment.schema');
+
+// mergeParams exposes the parent task's :id
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Attachment Routes
+ * Mounted under /api/tasks/:id/attachments (authentication applied by the task router)
+ */
+
+// List attachments of a task
+router.get('/', validate(taskAttachmentsSchema), attachmentController.getAttachments);
+
+// Upload an attachment (multipart/form-data, field "file")
+router.post('/', validate(taskAttachmentsSchema), uploadSingle('file'), attachmentController.uploadAttachment);
+
+// Download an attachment
+router.get('/:attachmentId', validate(attachmentByIdSchema), attachmentController.downloadAttachment);
+
+// Delete an attachment
+router.delete('/:attachmentId', validate(attachmentByIdSchema), attachmentController.deleteAttachment);
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const taskService = require('../task/task.service');
+const storageService = require('../../services/storage.service');
+const webSocketService = require('../../services/websocket.service');
+
+/**
+ * Attachment Service
+ * Stores task files through the storage adapter and keeps their metadata on the task
+ */
+class AttachmentService {
+
+  async getAttachments(taskId, userId) {
+    const task = await taskService.getTaskById(taskId, userId);
+    return task.attachments;
+  }
+
+
+  async addAttachment(taskId, file, userId) {
+    const task = await taskService.getTaskForUpdate(taskId, userId);
+
+    if (task.attachments.length >= 20) {
+      throw new Error('Cannot have more than 20 attachments');
+    }
+
+    // Keys never contain the client filename, so it can't influence the storage path
+    const storageKey = `tasks/${task._id}/${crypto.randomUUID()}`;
+    await storageService.save(storageKey, file.buffer, { contentType: file.mimetype });
+
+    task.attachments.push({
+      filename: file.originalname,
+      storageKey,
+      mimeType: file.mimetype,
+      size: file.size,
+      uploadedBy: userId
+    });
+
+    try {
+      await task.save();
+    } catch (error) {
+      await storageService.delete(storageKey);
+      throw error;
+    }
+
+    // Emit WebSocket event for real-time updates
+    webSocketService.emitTaskUpdated(userId, task);
+
+    return task.attachments[task.attachments.length - 1];
+  }
+
+
+  async getAttachmentDownload(taskId, attachmentId, userId) {
+    const task = await taskService.getTaskById(taskId, userId);
+    const attachment = task.attachments.id(attachmentId);
+
+    if (!attachment) {
+      throw new Error('Attachment not found');
+    }
+
+    const stream = await storageService.createReadStream(attachment.storageKey);
+
+    return { attachment, stream };
+  }
+
+
+  async deleteAttachment(taskId, attachmentId, userId) {
+    const task = await taskService.getTaskForUpdate(taskId, userId);
+    const attachment = task.attachments.id(attachmentId);
+
+    if (!attachment) {
+      throw new Error('Attachment not found');
+    }
+
+    const { storageKey } = attachment;
+
+    attachment.deleteOne();
+    await task.save();
+    await storageService.delete(storageKey);
+
+    // Emit WebSocket event for real-time updates
+    webSocketService.emitTaskUpdated(userId, task);
+
+    return { message: 'Attachment deleted successfully' };
+  }
+}
+
+module.exports = new AttachmentService();
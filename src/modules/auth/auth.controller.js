@@ -5,17 +5,27 @@ const {
   sendCreated,
   sendUpdated,
   sendConflictError,
+  sendDeleted,
   sendNotFoundError,
   sendAuthError
 } = require('../../utils/response.util');
 
+// Device details recorded on the login session
+const sessionContext = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+// Login session of the request's access token (absent on tokens from before sessions)
+const currentSessionId = (req) => (req.tokenPayload && req.tokenPayload.sid) || null;
+
 
 class AuthController {
   
   async register(req, res) {
     try {
       const userData = req.body;
-      const result = await authService.register(userData);
+      const result = await authService.register(userData, sessionContext(req));
       
       return sendCreated(res, result, 'User registered successfully');
     } catch (error) {
@@ -31,7 +41,7 @@ class AuthController {
   async login(req, res) {
     try {
       const loginData = req.body;
-      const result = await authService.login(loginData);
+      const result = await authService.login(loginData, sessionContext(req));
       
       return sendSuccess(res, result, 'Login successful');
     } catch (error) {
@@ -39,6 +49,10 @@ class AuthController {
         return sendAuthError(res, 'Invalid email or password', 'INVALID_CREDENTIALS');
       }
       
+      if (error.message === 'Email address is not verified') {
+        return sendError(res, 'Please verify your email address before logging in', 403, null, 'EMAIL_NOT_VERIFIED');
+      }
+      
       return sendError(res, error.message || 'Login failed', 400);
     }
   }
@@ -85,7 +99,7 @@ class AuthController {
     try {
       const userId = req.user._id;
       const passwordData = req.body;
-      const result = await authService.changePassword(userId, passwordData);
+      const result = await authService.changePassword(userId, passwordData, currentSessionId(req));
       
       return sendSuccess(res, result, 'Password changed successfully');
     } catch (error) {
@@ -102,6 +116,62 @@ class AuthController {
   }
 
   
+  async forgotPassword(req, res) {
+    try {
+      const { email } = req.body;
+      const result = await authService.forgotPassword(email);
+      
+      return sendSuccess(res, result, result.message);
+    } catch (error) {
+      return sendError(res, 'Failed to process password reset request', 500);
+    }
+  }
+
+  
+  async resetPassword(req, res) {
+    try {
+      const { token, newPassword } = req.body;
+      const result = await authService.resetPassword(token, newPassword);
+      
+      return sendSuccess(res, result, 'Password reset successfully');
+    } catch (error) {
+      if (error.message === 'Reset token is invalid or has expired') {
+        return sendError(res, error.message, 400, null, 'INVALID_RESET_TOKEN');
+      }
+      
+      return sendError(res, error.message || 'Failed to reset password', 500);
+    }
+  }
+
+  
+  async verifyEmail(req, res) {
+    try {
+      const { token } = req.query;
+      const result = await authService.verifyEmail(token);
+      
+      return sendSuccess(res, result, 'Email verified successfully');
+    } catch (error) {
+      if (error.message === 'Verification token is invalid or has expired') {
+        return sendError(res, error.message, 400, null, 'INVALID_VERIFICATION_TOKEN');
+      }
+      
+      return sendError(res, error.message || 'Failed to verify email', 500);
+    }
+  }
+
+  
+  async resendVerification(req, res) {
+    try {
+      const { email } = req.body;
+      const result = await authService.resendVerification(email);
+      
+      return sendSuccess(res, result, result.message);
+    } catch (error) {
+      return sendError(res, 'Failed to process verification request', 500);
+    }
+  }
+
+  
   async deactivateAccount(req, res) {
     try {
       const userId = req.user._id;
@@ -154,24 +224,68 @@ class AuthController {
     try {
       const { refreshToken } = req.body;
       
-      if (!refreshToken) {
-        return sendAuthError(res, 'Refresh token is required', 'REFRESH_TOKEN_REQUIRED');
-      }
-      
       const result = await authService.refreshToken(refreshToken);
       
       return sendSuccess(res, result, 'Token refreshed successfully');
     } catch (error) {
+      if (error.message === 'Refresh token reuse detected') {
+        return sendAuthError(res, 'Refresh token was already used, please log in again', 'REFRESH_TOKEN_REUSED');
+      }
+      
+      if (error.message.includes('changed password')) {
+        return sendAuthError(res, error.message, 'PASSWORD_CHANGED');
+      }
+      
       return sendAuthError(res, error.message || 'Failed to refresh token', 'INVALID_REFRESH_TOKEN');
     }
   }
 
   
   async logout(req, res) {
-    // Since we're using stateless JWT tokens, logout is handled client-side
-    // This endpoint mainly serves as a confirmation and for any server-side cleanup
+    // Revokes the access token used for this request and, when given, the device's refresh token
+    try {
+      const result = await authService.logout(req.user._id, req.tokenPayload, req.body.refreshToken);
+      
+      return sendSuccess(res, null, result.message);
+    } catch (error) {
+      return sendError(res, 'Logout failed', 500);
+    }
+  }
+
+  
+  async getSessions(req, res) {
+    try {
+      const userId = req.user._id;
+      const sessions = await authService.getSessions(userId, currentSessionId(req));
+      
+      return sendSuccess(res, sessions, 'Sessions retrieved successfully');
+    } catch (error) {
+      return sendError(res, error.message || 'Failed to retrieve sessions', 500);
+    }
+  }
+
+  
+  async revokeSession(req, res) {
     try {
-      return sendSuccess(res, null, 'Logged out successfully');
+      const userId = req.user._id;
+      const result = await authService.revokeSession(userId, req.params.id);
+      
+      return sendDeleted(res, result.message);
+    } catch (error) {
+      if (error.message === 'Session not found') {
+        return sendNotFoundError(res, error.message, 'session');
+      }
+      
+      return sendError(res, error.message || 'Failed to revoke session', 500);
+    }
+  }
+
+  
+  async logoutEverywhere(req, res) {
+    try {
+      const result = await authService.logoutEverywhere(req.user._id);
+      
+      return sendSuccess(res, null, result.message);
     } catch (error) {
       return sendError(res, 'Logout failed', 500);
     }
@@ -5,7 +5,14 @@ const { validate } = require('../../middleware/validate.middleware');
 const {
   registerSchema,
   loginSchema,
-  changePasswordSchema
+  changePasswordSchema,
+  refreshTokenSchema,
+  logoutSchema,
+  sessionIdSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  resendVerificationSchema
 } = require('../../schemas/auth.schema');
 
 const router = express.Router();
@@ -15,7 +22,11 @@ const router = express.Router();
 // Public routes (no authentication required)
 router.post('/register', validate(registerSchema), authController.register);
 router.post('/login', validate(loginSchema), authController.login);
-router.post('/refresh-token', authController.refreshToken);
+router.post('/refresh-token', validate(refreshTokenSchema), authController.refreshToken);
+router.post('/forgot-password', validate(forgotPasswordSchema), authController.forgotPassword);
+router.post('/reset-password', validate(resetPasswordSchema), authController.resetPassword);
+router.get('/verify-email', validate(verifyEmailSchema), authController.verifyEmail);
+router.post('/resend-verification', validate(resendVerificationSchema), authController.resendVerification);
 
 // Username and email availability check routes
 router.get('/check/username/:username', authController.checkUsername);
@@ -28,6 +39,11 @@ router.get('/profile', authController.getProfile);
 router.patch('/profile', authController.updateProfile);
 router.patch('/change-password', validate(changePasswordSchema), authController.changePassword);
 router.delete('/deactivate', authController.deactivateAccount);
-router.post('/logout', authController.logout);
+router.post('/logout', validate(logoutSchema), authController.logout);
+router.post('/logout-all', authController.logoutEverywhere);
+
+// Login sessions (devices) of the authenticated user
+router.get('/sessions', authController.getSessions);
+router.delete('/sessions/:id', validate(sessionIdSchema), authController.revokeSession);
 
 module.exports = router;
@@ -1,15 +1,25 @@
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const User = require('../../models/User.model');
+const PasswordResetToken = require('../../models/PasswordResetToken.model');
 const userService = require('./user.service');
-const { generateTokenPair, createTokenResponse, generateToken } = require('../../utils/jwt.util');
+const tokenService = require('./token.service');
+const sessionService = require('./session.service');
+const verificationService = require('./verification.service');
+const revocationService = require('../../services/revocation.service');
+const webSocketService = require('../../services/websocket.service');
+const mailService = require('../../services/mail.service');
+const { createTokenResponse, getTokenLifetime } = require('../../utils/jwt.util');
 const { withOptionalTransaction, withRetryableTransaction } = require('../../utils/transaction.util');
 
 class AuthService {
   
-  async register(userData) {
+  async register(userData, context = {}) {
     const { username, email, password } = userData;
 
-    return await withRetryableTransaction(async (session) => {
+    // Under the 'login' policy the new account can only log in once its email is verified
+    const loginRequiresVerification = verificationService.isRequiredFor('login');
+
+    const { user, response } = await withRetryableTransaction(async (session) => {
       // Check if user already exists within transaction
       const [existingUserByEmail, existingUserByUsername] = await Promise.all([
         User.findOne({ email, isActive: true }).session(session),
@@ -33,15 +43,43 @@ class AuthService {
 
       const savedUser = await newUser.save({ session });
 
-      // Generate tokens
-      const { accessToken, refreshToken } = generateTokenPair(savedUser._id);
+      if (loginRequiresVerification) {
+        return {
+          user: savedUser,
+          response: {
+            user: {
+              _id: savedUser._id,
+              id: savedUser._id,
+              username: savedUser.username,
+              email: savedUser.email,
+              emailVerified: savedUser.emailVerified,
+              createdAt: savedUser.createdAt
+            },
+            emailVerificationRequired: true
+          }
+        };
+      }
+
+      // Start a login session on this device; its refresh token starts a new token family
+      const loginSession = await sessionService.createSession(savedUser._id, context, session);
+      const { accessToken, refreshToken } = await tokenService.issueTokenPair(savedUser._id, {
+        sessionId: loginSession._id,
+        session
+      });
 
-      return createTokenResponse(savedUser, accessToken, refreshToken);
+      return { user: savedUser, response: createTokenResponse(savedUser, accessToken, refreshToken) };
     }, 3); // Retry up to 3 times on transient errors
+
+    // The account exists either way; a failed link can be requested again
+    await verificationService.sendVerification(user).catch(error => {
+      console.error('Failed to create email verification:', error.message);
+    });
+
+    return response;
   }
 
   
-  async login(loginData) {
+  async login(loginData, context = {}) {
     const { email, password } = loginData;
 
     // Find user with password field using service
@@ -58,8 +96,13 @@ class AuthService {
       throw new Error('Invalid email or password');
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokenPair(user._id);
+    if (!user.emailVerified && verificationService.isRequiredFor('login')) {
+      throw new Error('Email address is not verified');
+    }
+
+    // Start a login session on this device; its refresh token starts a new token family
+    const loginSession = await sessionService.createSession(user._id, context);
+    const { accessToken, refreshToken } = await tokenService.issueTokenPair(user._id, { sessionId: loginSession._id });
 
     // Update last login using service
     await userService.updateLastLogin(user._id);
@@ -79,6 +122,7 @@ class AuthService {
       id: user._id,
       username: user.username,
       email: user.email,
+      emailVerified: user.emailVerified,
       isActive: user.isActive,
       lastLogin: user.lastLogin,
       createdAt: user.createdAt,
@@ -90,7 +134,7 @@ class AuthService {
   async updateProfile(userId, updateData) {
     const { username, email } = updateData;
 
-    return await withRetryableTransaction(async (session) => {
+    const { user, profile, emailChanged } = await withRetryableTransaction(async (session) => {
       // Check if new username/email already exists within transaction
       if (username || email) {
         const existingUser = await User.findOne({
@@ -112,11 +156,29 @@ class AuthService {
         }
       }
 
+      const currentUser = await User.findById(userId).session(session);
+
+      if (!currentUser) {
+        throw new Error('User not found');
+      }
+
+      // Only username and email can be changed here; a new email has to be verified again
+      const changes = {
+        ...(username ? { username } : {}),
+        ...(email ? { email } : {})
+      };
+      const emailChanged = Boolean(email) && email.toLowerCase() !== currentUser.email;
+
+      if (emailChanged) {
+        changes.emailVerified = false;
+        changes.emailVerifiedAt = null;
+      }
+
       // Update user within transaction
       const user = await User.findByIdAndUpdate(
         userId,
         { 
-          ...updateData,
+          ...changes,
           updatedAt: new Date()
         },
         { 
@@ -131,22 +193,35 @@ class AuthService {
       }
 
       return {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        isActive: user.isActive,
-        lastLogin: user.lastLogin,
-        createdAt: user.createdAt,
-        updatedAt: user.updatedAt
+        user,
+        emailChanged,
+        profile: {
+          id: user._id,
+          username: user.username,
+          email: user.email,
+          emailVerified: user.emailVerified,
+          isActive: user.isActive,
+          lastLogin: user.lastLogin,
+          createdAt: user.createdAt,
+          updatedAt: user.updatedAt
+        }
       };
     }, 3); // Retry up to 3 times on transient errors
+
+    if (emailChanged) {
+      await verificationService.sendVerification(user).catch(error => {
+        console.error('Failed to create email verification:', error.message);
+      });
+    }
+
+    return profile;
   }
 
   
-  async changePassword(userId, passwordData) {
+  async changePassword(userId, passwordData, currentSessionId = null) {
     const { currentPassword, newPassword } = passwordData;
 
-    return await withRetryableTransaction(async (session) => {
+    const result = await withRetryableTransaction(async (session) => {
       // Find user with password within transaction
       const user = await User.findById(userId).select('+password').session(session);
       
@@ -173,11 +248,117 @@ class AuthService {
       user.passwordChangedAt = new Date();
       await user.save({ session });
 
+      // Refresh tokens issued with the old password stop working
+      await tokenService.revokeUserTokens(userId, 'password-changed', session);
+
       return { 
         message: 'Password changed successfully',
         passwordChangedAt: user.passwordChangedAt
       };
     }, 3); // Retry up to 3 times on transient errors
+
+    // Every other device is logged out; this one continues with tokens issued after the change
+    result.revokedSessions = await sessionService.revokeOtherSessions(userId, currentSessionId, 'password-changed');
+
+    if (currentSessionId) {
+      const { accessToken, refreshToken } = await tokenService.issueTokenPair(userId, { sessionId: currentSessionId });
+
+      result.tokens = {
+        accessToken,
+        refreshToken,
+        expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+      };
+    }
+
+    return result;
+  }
+
+  
+  async forgotPassword(email) {
+    // The response is the same whether or not the email is registered
+    const result = { message: 'If the email is registered, a password reset link has been sent' };
+
+    const user = await userService.findByEmail(email);
+
+    if (!user) {
+      return result;
+    }
+
+    // Only the latest link works
+    await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+
+    await PasswordResetToken.create({
+      user: user._id,
+      tokenHash: PasswordResetToken.hashToken(token),
+      expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000)
+    });
+
+    const resetUrl = `${process.env.PASSWORD_RESET_URL || 'http://localhost:4200/reset-password'}?token=${token}`;
+
+    // Not awaited, so the response time does not depend on the mail server either
+    mailService.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Someone asked to reset the password of your account. Open this link to choose a new one:',
+        '',
+        resetUrl,
+        '',
+        `The link works once and expires in ${expiresInMinutes} minutes.`,
+        'If you did not ask for it, you can ignore this email.'
+      ].join('\n')
+    }).catch(error => console.error('Failed to send password reset email:', error.message));
+
+    return result;
+  }
+
+  
+  async resetPassword(token, newPassword) {
+    // Claimed atomically, so a token resets the password at most once
+    const resetToken = await PasswordResetToken.findOneAndUpdate(
+      {
+        tokenHash: PasswordResetToken.hashToken(token),
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!resetToken) {
+      throw new Error('Reset token is invalid or has expired');
+    }
+
+    const account = await userService.findById(resetToken.user);
+
+    if (!account || !account.isActive) {
+      throw new Error('Reset token is invalid or has expired');
+    }
+
+    // passwordChangedAt makes every access token issued before now invalid
+    const user = await userService.updatePassword(account._id, newPassword);
+
+    // Whoever had the old password is logged out of every device
+    await sessionService.revokeOtherSessions(user._id, null, 'password-changed');
+    await tokenService.revokeUserTokens(user._id, 'password-changed');
+    await PasswordResetToken.deleteMany({ user: user._id, usedAt: null });
+
+    return { message: 'Password reset successfully' };
+  }
+
+  
+  async verifyEmail(token) {
+    return await verificationService.verifyEmail(token);
+  }
+
+  
+  async resendVerification(email) {
+    return await verificationService.resendVerification(email);
   }
 
   
@@ -206,35 +387,61 @@ class AuthService {
   }
 
   
-  async refreshToken(refreshToken) {
-    try {
-      const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-      
-      if (decoded.type !== 'refresh') {
-        throw new Error('Invalid refresh token');
-      }
+  async logout(userId, tokenPayload, refreshToken = null) {
+    // Ending the login session revokes all of its tokens and closes its sockets
+    if (tokenPayload && tokenPayload.sid) {
+      await sessionService.revokeSessions({ _id: tokenPayload.sid, user: userId, revokedAt: null }, 'logout');
+    }
 
-      const user = await User.findById(decoded.id);
-      
-      if (!user || !user.isActive) {
-        throw new Error('User not found or inactive');
-      }
+    // Tokens issued before token IDs existed can only be revoked by logging out everywhere
+    if (tokenPayload && tokenPayload.jti) {
+      await revocationService.revokeToken(tokenPayload.jti, new Date(tokenPayload.exp * 1000), userId);
+    }
 
-      // Check if user changed password after refresh token was issued
-      if (user.changedPasswordAfter(decoded.iat)) {
-        throw new Error('User recently changed password! Please log in again.');
-      }
+    if (refreshToken) {
+      await tokenService.revokeRefreshToken(refreshToken, userId);
+    }
+
+    return { message: 'Logged out successfully' };
+  }
 
-      // Generate new access token
-      const newAccessToken = generateToken(user._id);
+  
+  async logoutEverywhere(userId) {
+    const now = new Date();
 
-      return {
-        accessToken: newAccessToken,
-        expiresIn: process.env.JWT_EXPIRES_IN || '7d'
-      };
-    } catch (error) {
-      throw new Error('Invalid or expired refresh token');
-    }
+    // Every access token issued so far is revoked until the last of them expires
+    await revocationService.revokeUserTokens(userId, now, new Date(now.getTime() + getTokenLifetime()));
+    await tokenService.revokeUserTokens(userId, 'logout');
+    await sessionService.revokeOtherSessions(userId, null, 'logout');
+
+    webSocketService.disconnectUser(userId);
+
+    return { message: 'Logged out from all devices successfully' };
+  }
+
+  
+  async getSessions(userId, currentSessionId = null) {
+    return await sessionService.getSessions(userId, currentSessionId);
+  }
+
+  
+  async revokeSession(userId, sessionId) {
+    return await sessionService.revokeSession(userId, sessionId, 'revoked');
+  }
+
+  
+  async refreshToken(refreshToken) {
+    // The presented token is rotated: it is used up and replaced by the returned one
+    const { accessToken, refreshToken: newRefreshToken, record } = await tokenService.rotateRefreshToken(refreshToken);
+
+    // The session lives as long as its latest refresh token
+    await sessionService.touchSession(record.session, record.expiresAt);
+
+    return {
+      accessToken,
+      refreshToken: newRefreshToken,
+      expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+    };
   }
 }
 
@@ -0,0 +1,151 @@
+const Session = require('../../models/Session.model');
+const tokenService = require('./token.service');
+const revocationService = require('../../services/revocation.service');
+const webSocketService = require('../../services/websocket.service');
+const { getTokenLifetime } = require('../../utils/jwt.util');
+const { parseDeviceName } = require('../../utils/device.util');
+
+// Last-seen times are only written once per interval, not on every request
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Session Service
+ * Handles login sessions: one per login or registration on a device. Revoking a
+ * session revokes its refresh tokens and access tokens and closes its sockets.
+ */
+class SessionService {
+  /**
+   * Create a session for a new login
+   * @param {string} userId - User ID
+   * @param {Object} context - { userAgent, ip } of the login request
+   * @param {Object} session - Optional MongoDB session
+   * @returns {Promise<Object>} - Created session
+   */
+  async createSession(userId, context = {}, session = null) {
+    const userAgent = (context.userAgent || '').slice(0, 500);
+    const now = new Date();
+
+    const [record] = await Session.create([{
+      user: userId,
+      userAgent,
+      ip: context.ip || null,
+      deviceName: parseDeviceName(userAgent),
+      lastSeenAt: now,
+      expiresAt: new Date(now.getTime() + getTokenLifetime(process.env.JWT_REFRESH_EXPIRES_IN || '30d'))
+    }], session ? { session } : {});
+
+    return record;
+  }
+
+  /**
+   * Get a user's active sessions, most recently seen first
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - Session of the request, flagged as current
+   * @returns {Promise<Array>} - Sessions
+   */
+  async getSessions(userId, currentSessionId = null) {
+    const sessions = await Session.find(Session.activeFor(userId)).sort({ lastSeenAt: -1 });
+
+    return sessions.map(session => ({
+      id: session._id,
+      deviceName: session.deviceName,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      current: Boolean(currentSessionId) && session._id.toString() === String(currentSessionId)
+    }));
+  }
+
+  /**
+   * Record activity on a session
+   * @param {string} sessionId - Session ID
+   * @param {Date} expiresAt - New expiry when a refresh token was rotated
+   * @returns {Promise<void>}
+   */
+  async touchSession(sessionId, expiresAt = null) {
+    if (!sessionId) {
+      return;
+    }
+
+    const now = new Date();
+
+    if (expiresAt) {
+      await Session.updateOne({ _id: sessionId, revokedAt: null }, { lastSeenAt: now, expiresAt });
+      return;
+    }
+
+    await Session.updateOne(
+      { _id: sessionId, revokedAt: null, lastSeenAt: { $lt: new Date(now.getTime() - LAST_SEEN_INTERVAL_MS) } },
+      { lastSeenAt: now }
+    );
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - 'logout' | 'revoked' | 'password-changed'
+   * @returns {Promise<Object>} - Result message
+   */
+  async revokeSession(userId, sessionId, reason = 'revoked') {
+    const revoked = await this.revokeSessions({ ...Session.activeFor(userId), _id: sessionId }, reason);
+
+    if (revoked === 0) {
+      throw new Error('Session not found');
+    }
+
+    return { message: 'Session revoked successfully' };
+  }
+
+  /**
+   * Revoke every session of a user except one
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - Session to keep (none kept when empty)
+   * @param {string} reason - 'logout' | 'revoked' | 'password-changed'
+   * @returns {Promise<number>} - Number of revoked sessions
+   */
+  async revokeOtherSessions(userId, currentSessionId, reason = 'revoked') {
+    const filter = Session.activeFor(userId);
+
+    if (currentSessionId) {
+      filter._id = { $ne: currentSessionId };
+    }
+
+    return await this.revokeSessions(filter, reason);
+  }
+
+  /**
+   * Revoke the sessions matching a filter with their tokens and sockets
+   * @param {Object} filter - MongoDB filter
+   * @param {string} reason - 'logout' | 'revoked' | 'password-changed'
+   * @returns {Promise<number>} - Number of revoked sessions
+   */
+  async revokeSessions(filter, reason) {
+    const sessions = await Session.find(filter).select('_id').lean();
+
+    if (sessions.length === 0) {
+      return 0;
+    }
+
+    const sessionIds = sessions.map(session => session._id);
+    const now = new Date();
+
+    await Session.updateMany(
+      { _id: { $in: sessionIds }, revokedAt: null },
+      { revokedAt: now, revokedReason: reason }
+    );
+
+    await tokenService.revokeSessionTokens(sessionIds, reason === 'revoked' ? 'session-revoked' : reason);
+
+    // Access tokens of the sessions stay revoked until the last of them has expired
+    const tokensExpireAt = new Date(now.getTime() + getTokenLifetime());
+    await Promise.all(sessionIds.map(sessionId => revocationService.revokeSession(sessionId, tokensExpireAt)));
+
+    sessionIds.forEach(sessionId => webSocketService.disconnectSession(sessionId));
+
+    return sessionIds.length;
+  }
+}
+
+module.exports = new SessionService();
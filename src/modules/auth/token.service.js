@@ -0,0 +1,149 @@
+const RefreshToken = require('../../models/RefreshToken.model');
+const userService = require('./user.service');
+const {
+  generateTokenPair,
+  verifyRefreshToken,
+  getTokenExpiration
+} = require('../../utils/jwt.util');
+
+/**
+ * Token Service
+ * Issues and rotates refresh tokens. Only hashes are stored; each refresh marks the
+ * presented token used and issues its successor in the same family, and presenting
+ * a used token again revokes the whole family (the token was copied).
+ */
+class TokenService {
+  /**
+   * Issue an access token and a persisted refresh token
+   * @param {string} userId - User ID
+   * @param {Object} options - { family } to continue (a new one by default), login { sessionId },
+   *                           MongoDB { session }
+   * @returns {Promise<Object>} - { accessToken, refreshToken, record }
+   */
+  async issueTokenPair(userId, options = {}) {
+    const { family, sessionId = null, session = null } = options;
+    const { accessToken, refreshToken } = generateTokenPair(userId, { family, sessionId });
+    const decoded = verifyRefreshToken(refreshToken);
+
+    const [record] = await RefreshToken.create([{
+      user: userId,
+      session: sessionId,
+      family: decoded.family,
+      tokenHash: RefreshToken.hashToken(refreshToken),
+      expiresAt: getTokenExpiration(refreshToken)
+    }], session ? { session } : {});
+
+    return { accessToken, refreshToken, record };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<Object>} - { user, accessToken, refreshToken, record } of the new token
+   * @throws {Error} - 'Invalid or expired refresh token', 'Refresh token reuse detected'
+   *                   or 'User recently changed password! Please log in again.'
+   */
+  async rotateRefreshToken(refreshToken) {
+    const decoded = verifyRefreshToken(refreshToken);
+    const tokenHash = RefreshToken.hashToken(refreshToken);
+
+    // Claim the token atomically, so two concurrent refreshes cannot both succeed
+    const current = await RefreshToken.findOneAndUpdate(
+      { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!current) {
+      const record = await RefreshToken.findOne({ tokenHash });
+
+      if (record && record.usedAt && !record.revokedAt) {
+        await RefreshToken.revokeFamily(record.family, 'reuse');
+        throw new Error('Refresh token reuse detected');
+      }
+
+      throw new Error('Invalid or expired refresh token');
+    }
+
+    const user = await userService.findById(current.user);
+
+    if (!user || !user.isActive) {
+      throw new Error('User not found or inactive');
+    }
+
+    // Check if user changed password after refresh token was issued
+    if (userService.passwordChangedAfterJWT(user, decoded.iat)) {
+      await RefreshToken.revokeFamily(current.family, 'password-changed');
+      throw new Error('User recently changed password! Please log in again.');
+    }
+
+    const issued = await this.issueTokenPair(user._id, { family: current.family, sessionId: current.session });
+
+    current.replacedBy = issued.record._id;
+    await current.save();
+
+    return {
+      user,
+      accessToken: issued.accessToken,
+      refreshToken: issued.refreshToken,
+      record: issued.record
+    };
+  }
+
+  /**
+   * Revoke the family of a refresh token (logout of one device)
+   * Invalid tokens and tokens of other users are ignored
+   * @param {string} refreshToken - Refresh token
+   * @param {string} userId - User logging out
+   * @returns {Promise<number>} - Number of revoked tokens
+   */
+  async revokeRefreshToken(refreshToken, userId) {
+    let decoded;
+
+    try {
+      decoded = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return 0;
+    }
+
+    if (String(decoded.id) !== String(userId)) {
+      return 0;
+    }
+
+    return await RefreshToken.revokeFamily(decoded.family, 'logout');
+  }
+
+  /**
+   * Revoke every refresh token of a user
+   * @param {string} userId - User ID
+   * @param {string} reason - 'reuse' | 'password-changed' | 'logout' | 'session-revoked'
+   * @param {Object} session - Optional MongoDB session
+   * @returns {Promise<number>} - Number of revoked tokens
+   */
+  async revokeUserTokens(userId, reason, session = null) {
+    const result = await RefreshToken.updateMany(
+      { user: userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason },
+      session ? { session } : {}
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Revoke every refresh token of login sessions
+   * @param {Array<string>} sessionIds - Session IDs
+   * @param {string} reason - 'password-changed' | 'logout' | 'session-revoked'
+   * @returns {Promise<number>} - Number of revoked tokens
+   */
+  async revokeSessionTokens(sessionIds, reason) {
+    const result = await RefreshToken.updateMany(
+      { session: { $in: sessionIds }, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new TokenService();
@@ -25,6 +25,15 @@ class UserService {
     return await User.findOne({ username, isActive: true });
   }
 
+  /**
+   * Find user by email
+   * @param {string} email - User's email
+   * @returns {Promise<Object|null>} - User object or null
+   */
+  async findByEmail(email) {
+    return await User.findOne({ email: email.toLowerCase(), isActive: true });
+  }
+
   /**
    * Find user by ID
    * @param {string} userId - User's ID
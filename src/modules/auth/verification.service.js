@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const User = require('../../models/User.model');
+const EmailVerificationToken = require('../../models/EmailVerificationToken.model');
+const mailService = require('../../services/mail.service');
+
+const POLICIES = ['none', 'tasks', 'login'];
+
+/**
+ * Verification Service
+ * Handles email verification: a link with a single-use token is emailed on
+ * registration and whenever the address changes. EMAIL_VERIFICATION_POLICY decides
+ * what unverified users may not do:
+ * - none (default): nothing is blocked
+ * - tasks: creating and importing tasks
+ * - login: logging in (and, for older tokens, creating tasks)
+ */
+class VerificationService {
+  /**
+   * Get the configured verification policy
+   * @returns {string} - 'none' | 'tasks' | 'login'
+   */
+  getPolicy() {
+    const policy = (process.env.EMAIL_VERIFICATION_POLICY || 'none').toLowerCase();
+    return POLICIES.includes(policy) ? policy : 'none';
+  }
+
+  /**
+   * Check if the policy blocks an action for unverified users
+   * @param {string} action - 'tasks' | 'login'
+   * @returns {boolean} - True if a verified email is required
+   */
+  isRequiredFor(action) {
+    const policy = this.getPolicy();
+    return policy === action || (policy === 'login' && action === 'tasks');
+  }
+
+  /**
+   * Email a new verification link to the user's current address
+   * Earlier unused links stop working. The mail itself is not awaited.
+   * @param {Object} user - User document
+   * @returns {Promise<void>}
+   */
+  async sendVerification(user) {
+    await EmailVerificationToken.deleteMany({ user: user._id, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresInHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+
+    await EmailVerificationToken.create({
+      user: user._id,
+      email: user.email,
+      tokenHash: EmailVerificationToken.hashToken(token),
+      expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+    });
+
+    const verifyUrl = `${process.env.EMAIL_VERIFICATION_URL || 'http://localhost:3000/api/auth/verify-email'}?token=${token}`;
+
+    mailService.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        'Please confirm that this is your email address by opening this link:',
+        '',
+        verifyUrl,
+        '',
+        `The link expires in ${expiresInHours} hours.`,
+        'If you did not create an account, you can ignore this email.'
+      ].join('\n')
+    }).catch(error => console.error('Failed to send verification email:', error.message));
+  }
+
+  /**
+   * Email a new verification link unless one was sent within the cooldown
+   * The result is the same whether or not the email is registered or verified.
+   * @param {string} email - Email address
+   * @returns {Promise<Object>} - Message
+   */
+  async resendVerification(email) {
+    const result = { message: 'If the email is registered and not yet verified, a verification link has been sent' };
+
+    const user = await User.findOne({ email: email.toLowerCase(), isActive: true });
+
+    if (!user || user.emailVerified) {
+      return result;
+    }
+
+    const cooldownSeconds = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+    const recent = await EmailVerificationToken.exists({
+      user: user._id,
+      createdAt: { $gt: new Date(Date.now() - cooldownSeconds * 1000) }
+    });
+
+    if (!recent) {
+      await this.sendVerification(user);
+    }
+
+    return result;
+  }
+
+  /**
+   * Verify the address a token was sent to
+   * @param {string} token - Token from the emailed link
+   * @returns {Promise<Object>} - Verified user
+   */
+  async verifyEmail(token) {
+    // Claimed atomically, so a token is used at most once
+    const verificationToken = await EmailVerificationToken.findOneAndUpdate(
+      {
+        tokenHash: EmailVerificationToken.hashToken(token),
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!verificationToken) {
+      throw new Error('Verification token is invalid or has expired');
+    }
+
+    // Only verifies while the user still has the address the link was sent to
+    const user = await User.findOneAndUpdate(
+      { _id: verificationToken.user, email: verificationToken.email, isActive: true },
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new Error('Verification token is invalid or has expired');
+    }
+
+    return {
+      id: user._id,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      emailVerifiedAt: user.emailVerifiedAt
+    };
+  }
+}
+
+module.exports = new VerificationService();
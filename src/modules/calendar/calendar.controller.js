@@ -0,0 +1,95 @@
+const calendarService = require('./calendar.service');
+const {
+  sendSuccess,
+  sendError,
+  sendCreated,
+  sendDeleted,
+  sendNotFoundError
+} = require('../../utils/response.util');
+
+// Public URL of a feed, on the host the request came in on
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}${req.baseUrl}/${token}.ics`;
+
+
+class CalendarController {
+
+  async getFeed(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const feed = await calendarService.getFeed(userId);
+
+      return sendSuccess(res, feed, 'Calendar feed retrieved successfully');
+    } catch (error) {
+      if (error.message === 'Calendar feed not found') {
+        return sendNotFoundError(res, error.message, 'feed');
+      }
+
+      return sendError(res, error.message || 'Failed to retrieve calendar feed', 500);
+    }
+  }
+
+
+  async createFeed(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const { feed, token } = await calendarService.createFeed(userId);
+
+      return sendCreated(
+        res,
+        { feed, url: feedUrl(req, token) },
+        'Calendar feed created successfully, previous feed URLs no longer work'
+      );
+    } catch (error) {
+      return sendError(res, error.message || 'Failed to create calendar feed', 400);
+    }
+  }
+
+
+  async revokeFeed(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const result = await calendarService.revokeFeed(userId);
+
+      return sendDeleted(res, result.message);
+    } catch (error) {
+      if (error.message === 'Calendar feed not found') {
+        return sendNotFoundError(res, error.message, 'feed');
+      }
+
+      return sendError(res, error.message || 'Failed to revoke calendar feed', 500);
+    }
+  }
+
+
+  async getFeedCalendar(req, res) {
+    try {
+      const feed = await calendarService.getFeedByToken(req.params.token);
+
+      // Calendar clients poll; answer 304 while the feed's tasks are unchanged
+      res.setHeader('ETag', await calendarService.getFeedTag(feed, req.query));
+      res.setHeader('Cache-Control', 'private, no-cache');
+
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+
+      const calendar = await calendarService.getFeedCalendar(feed, req.query);
+
+      res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+      res.setHeader('Content-Disposition', 'inline; filename="tasks.ics"');
+
+      return res.status(200).send(calendar);
+    } catch (error) {
+      if (error.message === 'Calendar feed not found') {
+        return sendNotFoundError(res, error.message, 'feed');
+      }
+
+      return sendError(res, error.message || 'Failed to build calendar feed', 500);
+    }
+  }
+}
+
+module.exports = new CalendarController();
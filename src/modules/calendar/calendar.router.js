@@ -0,0 +1,31 @@
+const express = require('express');
+const calendarController = require('./calendar.controller');
+const { protect } = require('../../middleware/auth.middleware');
+const { validate } = require('../../middleware/validate.middleware');
+const { getCalendarFeedSchema } = require('../../schemas/calendar.schema');
+
+const router = express.Router();
+
+/**
+ * Calendar Routes
+ * The feed itself is public (calendar apps cannot send a bearer token), the secret
+ * token in its URL is the credential; managing the feed requires authentication
+ */
+
+// Get the iCalendar feed of open tasks with a due date (?project=&tag=a,b&priority=high,urgent&type=todo|event)
+router.get('/:token.ics', validate(getCalendarFeedSchema), calendarController.getFeedCalendar);
+
+
+// Apply authentication middleware to the remaining routes
+router.use(protect);
+
+// Get the authenticated user's feed (the URL itself is only shown when it is created)
+router.get('/feed', calendarController.getFeed);
+
+// Create the feed, or replace its URL with a new one
+router.post('/feed', calendarController.createFeed);
+
+// Revoke the feed
+router.delete('/feed', calendarController.revokeFeed);
+
+module.exports = router;
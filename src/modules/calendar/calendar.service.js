@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const CalendarFeed = require('../../models/CalendarFeed.model');
+const Task = require('../../models/Task.model');
+const userService = require('../auth/user.service');
+const ical = require('../../utils/ical.util');
+const { escapeRegex } = require('../../utils/search.util');
+
+/**
+ * Calendar Service
+ * Handles personal iCalendar feeds: open tasks with a due date, served at a secret URL
+ * calendar apps can subscribe to without logging in
+ */
+class CalendarService {
+
+  getMaxFeedTasks() {
+    return parseInt(process.env.CALENDAR_FEED_MAX_TASKS) || 1000;
+  }
+
+
+  async getFeed(userId) {
+    const feed = await CalendarFeed.findOne({ user: userId });
+
+    if (!feed) {
+      throw new Error('Calendar feed not found');
+    }
+
+    return feed;
+  }
+
+
+  async createFeed(userId) {
+    // A new token replaces the old one, so previously shared URLs stop working
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const feed = await CalendarFeed.findOneAndUpdate(
+      { user: userId },
+      { tokenHash: CalendarFeed.hashToken(token), lastAccessedAt: null },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    // The plain token is only ever returned here, as part of the feed URL
+    return {
+      feed,
+      token
+    };
+  }
+
+
+  async revokeFeed(userId) {
+    const feed = await CalendarFeed.findOneAndDelete({ user: userId });
+
+    if (!feed) {
+      throw new Error('Calendar feed not found');
+    }
+
+    return { message: 'Calendar feed revoked successfully' };
+  }
+
+
+  async getFeedByToken(token) {
+    const feed = await CalendarFeed.findOne({ tokenHash: CalendarFeed.hashToken(token) });
+
+    // Unknown tokens and feeds of deactivated users look the same to the caller
+    const user = feed ? await userService.findById(feed.user) : null;
+
+    if (!user || !user.isActive) {
+      throw new Error('Calendar feed not found');
+    }
+
+    return feed;
+  }
+
+
+  async buildFeedQuery(userId, filters = {}) {
+    const { project, tag, priority } = filters;
+    const query = await Task.buildTaskQuery(userId, { project });
+
+    // Open tasks with a due date are the only ones a calendar shows
+    query.statusCategory = { $ne: 'done' };
+    query.dueDate = { $ne: null };
+
+    if (tag) {
+      query.tags = { $in: tag.map(value => new RegExp(`^${escapeRegex(value)}$`, 'i')) };
+    }
+
+    if (priority) {
+      query.priority = { $in: priority };
+    }
+
+    return query;
+  }
+
+
+  async getFeedTag(feed, filters = {}) {
+    // Any task entering the feed gets a new updatedAt, any task leaving it lowers the count
+    const query = await this.buildFeedQuery(feed.user, filters);
+    const [state = { count: 0, lastUpdatedAt: null }] = await Task.aggregate([
+      { $match: query },
+      { $group: { _id: null, count: { $sum: 1 }, lastUpdatedAt: { $max: '$updatedAt' } } }
+    ]);
+
+    const hash = crypto
+      .createHash('sha1')
+      .update(JSON.stringify([feed.tokenHash, filters, state.count, state.lastUpdatedAt]))
+      .digest('base64url');
+
+    // Weak: the body differs in its DTSTAMP lines, the tasks it lists do not
+    return `W/"${hash}"`;
+  }
+
+
+  async getFeedCalendar(feed, filters = {}) {
+    const { type = 'todo' } = filters;
+    const query = await this.buildFeedQuery(feed.user, filters);
+
+    const tasks = await Task.find(query)
+      .select('title description status statusCategory priority dueDate completedAt tags createdAt updatedAt')
+      .sort({ dueDate: 1, _id: 1 })
+      .limit(this.getMaxFeedTasks())
+      .lean();
+
+    await CalendarFeed.updateOne({ _id: feed._id }, { lastAccessedAt: new Date() });
+
+    const now = new Date();
+
+    return ical.calendarHeader({ name: 'Tasks' })
+      + tasks.map(task => ical.formatTask(task, { type, now })).join('')
+      + ical.calendarFooter();
+  }
+}
+
+module.exports = new CalendarService();
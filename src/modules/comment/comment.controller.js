@@ -0,0 +1,126 @@
+const commentService = require('./comment.service');
+const {
+  sendSuccess,
+  sendError,
+  sendCreated,
+  sendUpdated,
+  sendDeleted,
+  sendNotFoundError,
+  sendPaginatedResponse,
+  sendAuthorizationError
+} = require('../../utils/response.util');
+
+
+class CommentController {
+
+  async getComments(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const result = await commentService.getComments(id, userId, req.query);
+      
+      return sendPaginatedResponse(
+        res,
+        result.comments,
+        result.pagination,
+        'Comments retrieved successfully'
+      );
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to retrieve comments', 500);
+    }
+  }
+
+
+  async createComment(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const comment = await commentService.createComment(id, req.body, userId);
+      
+      return sendCreated(res, comment, 'Comment added successfully');
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message === 'Parent comment not found') {
+        return sendNotFoundError(res, error.message, 'comment');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to add comment', 400);
+    }
+  }
+
+
+  async updateComment(req, res) {
+    try {
+      const { id, commentId } = req.params;
+      const { body } = req.body;
+      const userId = req.user._id;
+      
+      const comment = await commentService.updateComment(id, commentId, body, userId);
+      
+      return sendUpdated(res, comment, 'Comment updated successfully');
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message === 'Comment not found') {
+        return sendNotFoundError(res, 'Comment not found', 'comment');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      if (error.message === 'Comment can no longer be edited') {
+        return sendError(res, error.message, 403, null, 'EDIT_WINDOW_EXPIRED');
+      }
+      
+      return sendError(res, error.message || 'Failed to update comment', 400);
+    }
+  }
+
+
+  async deleteComment(req, res) {
+    try {
+      const { id, commentId } = req.params;
+      const userId = req.user._id;
+      
+      const result = await commentService.deleteComment(id, commentId, userId);
+      
+      return sendDeleted(res, result.message);
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message === 'Comment not found') {
+        return sendNotFoundError(res, 'Comment not found', 'comment');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to delete comment', 500);
+    }
+  }
+}
+
+module.exports = new CommentController();
@@ -0,0 +1,31 @@
+const express = require('express');
+const commentController = require('./comment.controller');
+const { validate } = require('../../middleware/validate.middleware');
+const {
+  createCommentSchema,
+  updateCommentSchema,
+  deleteCommentSchema,
+  getCommentsSchema
+} = require('../../schemas/comment.schema');
+
+// mergeParams exposes the parent task's :id
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Comment Routes
+ * Mounted under /api/tasks/:id/comments (authentication applied by the task router)
+ */
+
+// Get comments of a task (paginated top-level comments with their replies)
+router.get('/', validate(getCommentsSchema), commentController.getComments);
+
+// Add a comment or reply to a task
+router.post('/', validate(createCommentSchema), commentController.createComment);
+
+// Edit a comment (author only, within the edit window)
+router.patch('/:commentId', validate(updateCommentSchema), commentController.updateComment);
+
+// Delete a comment and its replies
+router.delete('/:commentId', validate(deleteCommentSchema), commentController.deleteComment);
+
+module.exports = router;
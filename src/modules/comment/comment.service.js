@@ -0,0 +1,187 @@
+const Comment = require('../../models/Comment.model');
+const taskService = require('../task/task.service');
+const userService = require('../auth/user.service');
+const webSocketService = require('../../services/websocket.service');
+
+const MENTION_PATTERN = /(?:^|[^a-zA-Z0-9_])@([a-zA-Z0-9_]{3,30})/g;
+
+/**
+ * Comment Service
+ * Handles all comment-related business logic
+ */
+class CommentService {
+
+  /**
+   * Get the edit window for comments in milliseconds
+   * @returns {number} - Edit window (default 15 minutes)
+   */
+  getEditWindowMs() {
+    const minutes = parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES) || 15;
+    return minutes * 60 * 1000;
+  }
+
+  /**
+   * Resolve @username mentions in a comment body to user IDs
+   * @param {string} body - Comment body
+   * @returns {Promise<Array>} - IDs of mentioned users that exist
+   */
+  async resolveMentions(body) {
+    const usernames = new Set();
+    let match;
+
+    MENTION_PATTERN.lastIndex = 0;
+    while ((match = MENTION_PATTERN.exec(body)) !== null) {
+      usernames.add(match[1]);
+    }
+
+    const users = await Promise.all(
+      [...usernames].map(username => userService.findByUsername(username))
+    );
+
+    return users.filter(Boolean).map(user => user._id);
+  }
+
+
+  async getComments(taskId, userId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const skip = (page - 1) * limit;
+
+    await taskService.getTaskById(taskId, userId);
+
+    const query = { task: taskId, parent: null };
+
+    const [comments, total] = await Promise.all([
+      Comment.find(query)
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('author', 'username')
+        .populate('mentions', 'username')
+        .lean(),
+      Comment.countDocuments(query)
+    ]);
+
+    const replies = await Comment.find({ parent: { $in: comments.map(comment => comment._id) } })
+      .sort({ createdAt: 1 })
+      .populate('author', 'username')
+      .populate('mentions', 'username')
+      .lean();
+
+    const repliesByParent = new Map();
+    replies.forEach(reply => {
+      const key = reply.parent.toString();
+      if (!repliesByParent.has(key)) {
+        repliesByParent.set(key, []);
+      }
+      repliesByParent.get(key).push(reply);
+    });
+
+    return {
+      comments: comments.map(comment => ({
+        ...comment,
+        replies: repliesByParent.get(comment._id.toString()) || []
+      })),
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit
+      }
+    };
+  }
+
+
+  async createComment(taskId, commentData, userId) {
+    const { body, parentId } = commentData;
+
+    const task = await taskService.getTaskById(taskId, userId);
+
+    let parent = null;
+    if (parentId) {
+      const parentComment = await Comment.findById(parentId);
+
+      if (!parentComment || parentComment.task.toString() !== taskId.toString()) {
+        throw new Error('Parent comment not found');
+      }
+
+      // Threads are single-level: replying to a reply joins the same thread
+      parent = parentComment.parent || parentComment._id;
+    }
+
+    const comment = new Comment({
+      task: task._id,
+      author: userId,
+      body,
+      parent,
+      mentions: await this.resolveMentions(body)
+    });
+
+    await comment.save();
+    await comment.populate([
+      { path: 'author', select: 'username' },
+      { path: 'mentions', select: 'username' }
+    ]);
+
+    // Emit WebSocket event for real-time updates
+    webSocketService.emitCommentAdded(taskService.getTaskAudience(task), {
+      taskId: task._id,
+      comment
+    }, task.workspace);
+
+    return comment;
+  }
+
+
+  async updateComment(taskId, commentId, body, userId) {
+    await taskService.getTaskById(taskId, userId);
+
+    const comment = await Comment.findOne({ _id: commentId, task: taskId });
+
+    if (!comment) {
+      throw new Error('Comment not found');
+    }
+
+    if (!comment.isAuthoredBy(userId)) {
+      throw new Error('Access denied: You can only edit your own comments');
+    }
+
+    if (Date.now() - comment.createdAt.getTime() > this.getEditWindowMs()) {
+      throw new Error('Comment can no longer be edited');
+    }
+
+    comment.body = body;
+    comment.mentions = await this.resolveMentions(body);
+    comment.editedAt = new Date();
+
+    await comment.save();
+    await comment.populate([
+      { path: 'author', select: 'username' },
+      { path: 'mentions', select: 'username' }
+    ]);
+
+    return comment;
+  }
+
+
+  async deleteComment(taskId, commentId, userId) {
+    const task = await taskService.getTaskById(taskId, userId);
+
+    const comment = await Comment.findOne({ _id: commentId, task: taskId });
+
+    if (!comment) {
+      throw new Error('Comment not found');
+    }
+
+    // Authors can delete their comments; task owners and workspace admins can moderate any comment
+    if (!comment.isAuthoredBy(userId) && !(await taskService.canManageTask(task, userId))) {
+      throw new Error('Access denied: You can only delete your own comments');
+    }
+
+    // Deleting a top-level comment removes its thread
+    await Comment.deleteMany({ $or: [{ _id: comment._id }, { parent: comment._id }] });
+
+    return { message: 'Comment deleted successfully' };
+  }
+}
+
+module.exports = new CommentService();
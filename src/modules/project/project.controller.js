@@ -0,0 +1,257 @@
+const projectService = require('./project.service');
+const {
+  sendSuccess,
+  sendError,
+  sendCreated,
+  sendUpdated,
+  sendDeleted,
+  sendNotFoundError,
+  sendConflictError,
+  sendAuthorizationError
+} = require('../../utils/response.util');
+
+
+class ProjectController {
+
+  async createProject(req, res) {
+    try {
+      const userId = req.user._id;
+      
+      const project = await projectService.createProject(req.body, userId);
+      
+      return sendCreated(res, project, 'Project created successfully');
+    } catch (error) {
+      if (error.message === 'Project name already exists') {
+        return sendConflictError(res, error.message, 'name');
+      }
+      
+      return sendError(res, error.message || 'Failed to create project', 400);
+    }
+  }
+
+
+  async getProjects(req, res) {
+    try {
+      const userId = req.user._id;
+      
+      const projects = await projectService.getProjects(userId, req.query);
+      
+      return sendSuccess(res, projects, 'Projects retrieved successfully');
+    } catch (error) {
+      return sendError(res, error.message || 'Failed to retrieve projects', 500);
+    }
+  }
+
+
+  async getProjectById(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const project = await projectService.getProjectById(id, userId);
+      
+      return sendSuccess(res, project, 'Project retrieved successfully');
+    } catch (error) {
+      if (error.message === 'Project not found') {
+        return sendNotFoundError(res, 'Project not found', 'project');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to retrieve project', 500);
+    }
+  }
+
+
+  async updateProject(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const project = await projectService.updateProject(id, req.body, userId);
+      
+      return sendUpdated(res, project, 'Project updated successfully');
+    } catch (error) {
+      if (error.message === 'Project not found') {
+        return sendNotFoundError(res, 'Project not found', 'project');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      if (error.message === 'Project name already exists') {
+        return sendConflictError(res, error.message, 'name');
+      }
+      
+      return sendError(res, error.message || 'Failed to update project', 400);
+    }
+  }
+
+
+  async deleteProject(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const result = await projectService.deleteProject(id, userId);
+      
+      return sendDeleted(res, result.message);
+    } catch (error) {
+      if (error.message === 'Project not found') {
+        return sendNotFoundError(res, 'Project not found', 'project');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to delete project', 500);
+    }
+  }
+
+
+  async archiveProject(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const project = await projectService.setArchived(id, true, userId);
+      
+      return sendUpdated(res, project, 'Project archived successfully');
+    } catch (error) {
+      if (error.message === 'Project not found') {
+        return sendNotFoundError(res, 'Project not found', 'project');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to archive project', 400);
+    }
+  }
+
+
+  async unarchiveProject(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const project = await projectService.setArchived(id, false, userId);
+      
+      return sendUpdated(res, project, 'Project unarchived successfully');
+    } catch (error) {
+      if (error.message === 'Project not found') {
+        return sendNotFoundError(res, 'Project not found', 'project');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to unarchive project', 400);
+    }
+  }
+
+
+  async getProjectStats(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const stats = await projectService.getProjectStats(id, userId);
+      
+      return sendSuccess(res, stats, 'Project statistics retrieved successfully');
+    } catch (error) {
+      if (error.message === 'Project not found') {
+        return sendNotFoundError(res, 'Project not found', 'project');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to retrieve project statistics', 500);
+    }
+  }
+
+
+
+  async getWorkflow(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const workflow = await projectService.getProjectWorkflow(id, userId);
+      
+      return sendSuccess(res, workflow, 'Project workflow retrieved successfully');
+    } catch (error) {
+      if (error.message === 'Project not found') {
+        return sendNotFoundError(res, 'Project not found', 'project');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to retrieve project workflow', 500);
+    }
+  }
+
+
+  async updateWorkflow(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const workflow = await projectService.updateWorkflow(id, req.body, userId);
+      
+      return sendUpdated(res, workflow, 'Project workflow updated successfully');
+    } catch (error) {
+      if (error.message === 'Project not found') {
+        return sendNotFoundError(res, 'Project not found', 'project');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      if (error.message.startsWith('Cannot remove status')) {
+        return sendConflictError(res, error.message, 'statuses');
+      }
+      
+      if (error.message.startsWith('Invalid workflow')) {
+        return sendError(res, error.message, 400, null, 'INVALID_WORKFLOW');
+      }
+      
+      return sendError(res, error.message || 'Failed to update project workflow', 400);
+    }
+  }
+
+
+  async resetWorkflow(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const workflow = await projectService.resetWorkflow(id, userId);
+      
+      return sendUpdated(res, workflow, 'Project workflow reset successfully');
+    } catch (error) {
+      if (error.message === 'Project not found') {
+        return sendNotFoundError(res, 'Project not found', 'project');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to reset project workflow', 500);
+    }
+  }
+}
+
+module.exports = new ProjectController();
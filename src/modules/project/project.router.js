@@ -0,0 +1,60 @@
+const express = require('express');
+const projectController = require('./project.controller');
+const { protect } = require('../../middleware/auth.middleware');
+const { validate } = require('../../middleware/validate.middleware');
+const {
+  createProjectSchema,
+  updateProjectSchema,
+  projectByIdSchema,
+  getProjectsQuerySchema,
+  updateWorkflowSchema
+} = require('../../schemas/project.schema');
+
+const router = express.Router();
+
+/**
+ * Project Routes
+ * All routes require authentication
+ */
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+
+// Create a new project
+router.post('/', validate(createProjectSchema), projectController.createProject);
+
+// Get all projects for the authenticated user (?archived=true|false|all)
+router.get('/', validate(getProjectsQuerySchema), projectController.getProjects);
+
+// Get a specific project by ID
+router.get('/:id', validate(projectByIdSchema), projectController.getProjectById);
+
+// Update a specific project
+router.patch('/:id', validate(updateProjectSchema), projectController.updateProject);
+
+// Delete a specific project (its tasks become unassigned)
+router.delete('/:id', validate(projectByIdSchema), projectController.deleteProject);
+
+
+// Archive a project
+router.patch('/:id/archive', validate(projectByIdSchema), projectController.archiveProject);
+
+// Unarchive a project
+router.patch('/:id/unarchive', validate(projectByIdSchema), projectController.unarchiveProject);
+
+
+// Get task statistics for a project
+router.get('/:id/stats', validate(projectByIdSchema), projectController.getProjectStats);
+
+
+// Get the workflow (statuses and transitions) of a project
+router.get('/:id/workflow', validate(projectByIdSchema), projectController.getWorkflow);
+
+// Replace the workflow of a project
+router.put('/:id/workflow', validate(updateWorkflowSchema), projectController.updateWorkflow);
+
+// Reset a project to the default workflow
+router.delete('/:id/workflow', validate(projectByIdSchema), projectController.resetWorkflow);
+
+module.exports = router;
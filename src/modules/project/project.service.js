@@ -0,0 +1,248 @@
+const Project = require('../../models/Project.model');
+const Task = require('../../models/Task.model');
+const { DEFAULT_WORKFLOW, getFirstStatus, validateWorkflow } = require('../../utils/workflow.util');
+
+/**
+ * Project Service
+ * Handles all project-related business logic
+ */
+class ProjectService {
+
+  async createProject(projectData, userId) {
+    const { name, description, color } = projectData;
+
+    const existing = await Project.findOne({ owner: userId, name });
+
+    if (existing) {
+      throw new Error('Project name already exists');
+    }
+
+    const project = new Project({
+      name,
+      description,
+      color,
+      owner: userId
+    });
+
+    await project.save();
+
+    return project;
+  }
+
+
+  async getProjects(userId, options = {}) {
+    const { archived = 'false' } = options;
+
+    const query = { owner: userId };
+
+    if (archived !== 'all') {
+      query.isArchived = archived === 'true';
+    }
+
+    return await Project.find(query).sort({ createdAt: -1 });
+  }
+
+
+  async getProjectById(projectId, userId) {
+    const project = await Project.findById(projectId);
+
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    if (!project.isOwnedBy(userId)) {
+      throw new Error('Access denied: You can only access your own projects');
+    }
+
+    return project;
+  }
+
+
+  async updateProject(projectId, updateData, userId) {
+    const project = await this.getProjectById(projectId, userId);
+
+    if (updateData.name && updateData.name !== project.name) {
+      const existing = await Project.findOne({ owner: userId, name: updateData.name });
+
+      if (existing) {
+        throw new Error('Project name already exists');
+      }
+    }
+
+    Object.keys(updateData).forEach(key => {
+      if (updateData[key] !== undefined) {
+        project[key] = updateData[key];
+      }
+    });
+
+    await project.save();
+
+    return project;
+  }
+
+
+  async deleteProject(projectId, userId) {
+    const project = await this.getProjectById(projectId, userId);
+
+    await Project.findByIdAndDelete(projectId);
+
+    // Custom statuses have no meaning outside the project; fall back to the default workflow
+    if (project.workflow) {
+      await this.remapStatuses(project._id, project.workflow, DEFAULT_WORKFLOW);
+    }
+
+    // Tasks outlive their project; they simply become unassigned
+    const result = await Task.updateMany(
+      { project: projectId, createdBy: userId },
+      { project: null }
+    );
+
+    return {
+      message: 'Project deleted successfully',
+      unassignedTasks: result.modifiedCount
+    };
+  }
+
+
+  async setArchived(projectId, isArchived, userId) {
+    const project = await this.getProjectById(projectId, userId);
+
+    if (project.isArchived === isArchived) {
+      throw new Error(isArchived ? 'Project is already archived' : 'Project is not archived');
+    }
+
+    project.isArchived = isArchived;
+    await project.save();
+
+    return project;
+  }
+
+
+  async getProjectStats(projectId, userId) {
+    const project = await this.getProjectById(projectId, userId);
+    const workflow = project.workflow || DEFAULT_WORKFLOW;
+    const stats = await Task.getProjectStats(userId, project._id, workflow.statuses.map(status => status.key));
+
+    return {
+      project: {
+        _id: project._id,
+        name: project.name,
+        color: project.color,
+        isArchived: project.isArchived
+      },
+      ...stats
+    };
+  }
+
+
+  async getWorkflow(projectId) {
+    if (!projectId) {
+      return DEFAULT_WORKFLOW;
+    }
+
+    const project = await Project.findById(projectId).select('workflow');
+
+    return project && project.workflow ? project.workflow.toObject() : DEFAULT_WORKFLOW;
+  }
+
+
+  async getProjectWorkflow(projectId, userId) {
+    const project = await this.getProjectById(projectId, userId);
+
+    return {
+      isDefault: !project.workflow,
+      ...(project.workflow ? project.workflow.toObject() : DEFAULT_WORKFLOW)
+    };
+  }
+
+
+  async updateWorkflow(projectId, workflow, userId) {
+    const project = await this.getProjectById(projectId, userId);
+
+    const problem = validateWorkflow(workflow);
+
+    if (problem) {
+      throw new Error(`Invalid workflow: ${problem}`);
+    }
+
+    // Tasks (trashed ones included) must never be left in a status the workflow no longer knows
+    const keys = workflow.statuses.map(status => status.key);
+    const orphaned = await Task.findOne({ project: project._id, status: { $nin: keys } }).select('status');
+
+    if (orphaned) {
+      throw new Error(`Cannot remove status "${orphaned.status}": tasks still use it`);
+    }
+
+    project.workflow = workflow;
+    await project.save();
+
+    await this.syncCategories(project._id, workflow);
+
+    return await this.getProjectWorkflow(project._id, userId);
+  }
+
+
+  async resetWorkflow(projectId, userId) {
+    const project = await this.getProjectById(projectId, userId);
+
+    if (project.workflow) {
+      await this.remapStatuses(project._id, project.workflow, DEFAULT_WORKFLOW);
+      project.workflow = null;
+      await project.save();
+    }
+
+    return await this.getProjectWorkflow(project._id, userId);
+  }
+
+
+  async remapStatuses(projectId, fromWorkflow, toWorkflow) {
+    const keys = toWorkflow.statuses.map(status => status.key);
+
+    // Unknown statuses move to the first status of the same category
+    const operations = fromWorkflow.statuses
+      .filter(status => !keys.includes(status.key))
+      .map(status => ({
+        updateMany: {
+          filter: { project: projectId, status: status.key },
+          update: { $set: { status: getFirstStatus(toWorkflow, status.category) || getFirstStatus(toWorkflow, 'todo') } }
+        }
+      }));
+
+    if (operations.length > 0) {
+      await Task.bulkWrite(operations);
+    }
+
+    await this.syncCategories(projectId, toWorkflow);
+  }
+
+
+  async syncCategories(projectId, workflow) {
+    // Re-derive categories, so tasks of a status that moved to or from "done" get completedAt right
+    await Promise.all(workflow.statuses.map(status => Task.updateMany(
+      { project: projectId, status: status.key, statusCategory: { $ne: status.category } },
+      [{
+        $set: {
+          statusCategory: status.category,
+          completedAt: status.category === 'done' ? { $ifNull: ['$completedAt', '$$NOW'] } : null
+        }
+      }]
+    )));
+  }
+
+
+  async assertAssignable(projectId, userId) {
+    const project = await Project.findById(projectId);
+
+    if (!project || !project.isOwnedBy(userId)) {
+      throw new Error('Project not found');
+    }
+
+    if (project.isArchived) {
+      throw new Error('Cannot add tasks to an archived project');
+    }
+
+    return project;
+  }
+}
+
+module.exports = new ProjectService();
@@ -1,3 +1,4 @@
+const { pipeline } = require('stream');
 const taskService = require('./task.service');
 const {
   sendSuccess,
@@ -7,9 +8,15 @@ const {
   sendDeleted,
   sendNotFoundError,
   sendPaginatedResponse,
-  sendAuthorizationError
+  sendAuthorizationError,
+  sendConflictError
 } = require('../../utils/response.util');
 
+// Workspace scope resolved by resolveWorkspace, merged into listing options
+const workspaceScope = (req) => (
+  req.workspace ? { workspace: req.workspace._id, workspaceRole: req.workspaceRole } : {}
+);
+
 
 class TaskController {
   
@@ -22,7 +29,7 @@ class TaskController {
       const taskData = req.body;
       const userId = req.user._id;
       
-      const task = await taskService.createTask(taskData, userId);
+      const task = await taskService.createTask(taskData, userId, req.workspace ? req.workspace._id : null);
       
       console.log('=== CONTROLLER: Task created successfully ===');
       console.log('Returned task:', JSON.stringify(task.toObject(), null, 2));
@@ -31,6 +38,15 @@ class TaskController {
     } catch (error) {
       console.log('=== CONTROLLER: Error creating task ===');
       console.log('Error:', error);
+      
+      if (error.message === 'Project not found') {
+        return sendNotFoundError(res, 'Project not found', 'project');
+      }
+      
+      if (error.message.endsWith('is not part of the workflow')) {
+        return sendError(res, error.message, 400, null, 'UNKNOWN_STATUS');
+      }
+      
       return sendError(res, error.message || 'Failed to create task', 400);
     }
   }
@@ -39,7 +55,7 @@ class TaskController {
   async getTasks(req, res) {
     try {
       const userId = req.user._id;
-      const options = req.query;
+      const options = { ...req.query, ...workspaceScope(req) };
       
       const result = await taskService.getTasks(userId, options);
       
@@ -50,42 +66,449 @@ class TaskController {
         'Tasks retrieved successfully'
       );
     } catch (error) {
+      if (error.message === 'Invalid cursor') {
+        return sendError(res, error.message, 400, null, 'INVALID_CURSOR');
+      }
+      
       return sendError(res, error.message || 'Failed to retrieve tasks', 500);
     }
   }
 
- 
-  async getTaskById(req, res) {
+ 
+  async getTaskById(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const task = await taskService.getTaskById(id, userId);
+      
+      return sendSuccess(res, task, 'Task retrieved successfully');
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to retrieve task', 500);
+    }
+  }
+
+  
+  async updateTask(req, res) {
+    try {
+      const { id } = req.params;
+      const updateData = req.body;
+      const userId = req.user._id;
+      
+      const task = await taskService.updateTask(id, updateData, userId);
+      
+      return sendUpdated(res, task, 'Task updated successfully');
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      if (error.message.startsWith('Task is blocked')) {
+        return sendError(res, error.message, 409, null, 'TASK_BLOCKED');
+      }
+      
+      if (error.message === 'Project not found') {
+        return sendNotFoundError(res, 'Project not found', 'project');
+      }
+      
+      if (error.message.endsWith('is not part of the workflow')) {
+        return sendError(res, error.message, 400, null, 'UNKNOWN_STATUS');
+      }
+      
+      if (error.message.startsWith('Status transition')) {
+        return sendError(res, error.message, 400, null, 'INVALID_TRANSITION');
+      }
+      
+      return sendError(res, error.message || 'Failed to update task', 400);
+    }
+  }
+
+  
+  async deleteTask(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const result = await taskService.deleteTask(id, userId);
+      
+      return sendDeleted(res, result.message);
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to delete task', 500);
+    }
+  }
+
+  
+  async markTaskAsCompleted(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const options = req.body || {};
+      
+      const task = await taskService.markTaskAsCompleted(id, userId, options);
+      
+      return sendUpdated(res, task, 'Task marked as completed successfully');
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      if (error.message === 'Task is already completed') {
+        return sendError(res, 'Task is already completed', 400);
+      }
+      
+      if (error.message.startsWith('Task is blocked')) {
+        return sendError(res, error.message, 409, null, 'TASK_BLOCKED');
+      }
+      
+      if (error.message.startsWith('Status transition')) {
+        return sendError(res, error.message, 400, null, 'INVALID_TRANSITION');
+      }
+      
+      return sendError(res, error.message || 'Failed to mark task as completed', 500);
+    }
+  }
+
+
+  async getSubtasks(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const result = await taskService.getSubtasks(id, userId);
+      
+      return sendSuccess(res, result, 'Subtasks retrieved successfully');
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to retrieve subtasks', 500);
+    }
+  }
+
+
+  async addSubtask(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const task = await taskService.addSubtask(id, req.body, userId);
+      
+      return sendCreated(res, task, 'Subtask added successfully');
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to add subtask', 400);
+    }
+  }
+
+
+  async updateSubtask(req, res) {
+    try {
+      const { id, subtaskId } = req.params;
+      const userId = req.user._id;
+      
+      const task = await taskService.updateSubtask(id, subtaskId, req.body, userId);
+      
+      return sendUpdated(res, task, 'Subtask updated successfully');
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message === 'Subtask not found') {
+        return sendNotFoundError(res, 'Subtask not found', 'subtask');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to update subtask', 400);
+    }
+  }
+
+
+  async deleteSubtask(req, res) {
+    try {
+      const { id, subtaskId } = req.params;
+      const userId = req.user._id;
+      
+      const task = await taskService.deleteSubtask(id, subtaskId, userId);
+      
+      return sendSuccess(res, task, 'Subtask deleted successfully');
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message === 'Subtask not found') {
+        return sendNotFoundError(res, 'Subtask not found', 'subtask');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to delete subtask', 500);
+    }
+  }
+
+
+  async reorderSubtasks(req, res) {
+    try {
+      const { id } = req.params;
+      const { subtaskIds } = req.body;
+      const userId = req.user._id;
+      
+      const task = await taskService.reorderSubtasks(id, subtaskIds, userId);
+      
+      return sendUpdated(res, task, 'Subtasks reordered successfully');
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to reorder subtasks', 400);
+    }
+  }
+
+
+  async getDependencies(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const result = await taskService.getDependencies(id, userId);
+      
+      return sendSuccess(res, result, 'Task dependencies retrieved successfully');
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to retrieve task dependencies', 500);
+    }
+  }
+
+
+  async addDependency(req, res) {
+    try {
+      const { id } = req.params;
+      const { blockerId } = req.body;
+      const userId = req.user._id;
+      
+      const task = await taskService.addDependency(id, blockerId, userId);
+      
+      return sendCreated(res, task, 'Dependency added successfully');
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message === 'Blocker task not found') {
+        return sendNotFoundError(res, 'Blocker task not found', 'task');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      if (error.message === 'Dependency would create a cycle') {
+        return sendError(res, error.message, 409, null, 'DEPENDENCY_CYCLE');
+      }
+      
+      if (error.message === 'Dependency already exists') {
+        return sendConflictError(res, error.message, 'dependency');
+      }
+      
+      return sendError(res, error.message || 'Failed to add dependency', 400);
+    }
+  }
+
+
+  async removeDependency(req, res) {
+    try {
+      const { id, blockerId } = req.params;
+      const userId = req.user._id;
+      
+      const task = await taskService.removeDependency(id, blockerId, userId);
+      
+      return sendSuccess(res, task, 'Dependency removed successfully');
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message === 'Dependency not found') {
+        return sendNotFoundError(res, 'Dependency not found', 'dependency');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to remove dependency', 500);
+    }
+  }
+
+
+  async updateSeries(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const result = await taskService.updateSeries(id, req.body, userId);
+      
+      return sendUpdated(res, result, 'Recurring series updated successfully');
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to update recurring series', 400);
+    }
+  }
+
+
+  async getUpcomingOccurrences(req, res) {
+    try {
+      const { id } = req.params;
+      const { count } = req.query;
+      const userId = req.user._id;
+      
+      const result = await taskService.getUpcomingOccurrences(id, userId, count);
+      
+      return sendSuccess(res, result, 'Upcoming occurrences retrieved successfully');
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      if (error.message === 'Task is not recurring') {
+        return sendError(res, error.message, 400);
+      }
+      
+      return sendError(res, error.message || 'Failed to preview occurrences', 500);
+    }
+  }
+
+
+  async getBoard(req, res) {
+    try {
+      const userId = req.user._id;
+      
+      const board = await taskService.getBoard(userId, { ...req.query, ...workspaceScope(req) });
+      
+      return sendSuccess(res, board, 'Task board retrieved successfully');
+    } catch (error) {
+      return sendError(res, error.message || 'Failed to retrieve task board', 500);
+    }
+  }
+
+
+  async moveTask(req, res) {
     try {
       const { id } = req.params;
       const userId = req.user._id;
       
-      const task = await taskService.getTaskById(id, userId);
+      const task = await taskService.moveTask(id, req.body, userId);
       
-      return sendSuccess(res, task, 'Task retrieved successfully');
+      return sendUpdated(res, task, 'Task moved successfully');
     } catch (error) {
       if (error.message === 'Task not found') {
         return sendNotFoundError(res, 'Task not found', 'task');
       }
       
+      if (error.message === 'Neighbour task not found in target column') {
+        return sendNotFoundError(res, error.message, 'task');
+      }
+      
       if (error.message.includes('Access denied')) {
         return sendAuthorizationError(res, error.message);
       }
       
-      return sendError(res, error.message || 'Failed to retrieve task', 500);
+      if (error.message.startsWith('Task is blocked')) {
+        return sendError(res, error.message, 409, null, 'TASK_BLOCKED');
+      }
+      
+      if (error.message.endsWith('is not part of the workflow')) {
+        return sendError(res, error.message, 400, null, 'UNKNOWN_STATUS');
+      }
+      
+      if (error.message.startsWith('Status transition')) {
+        return sendError(res, error.message, 400, null, 'INVALID_TRANSITION');
+      }
+      
+      return sendError(res, error.message || 'Failed to move task', 400);
     }
   }
 
-  
-  async updateTask(req, res) {
+
+  async getTaskHistory(req, res) {
     try {
       const { id } = req.params;
-      const updateData = req.body;
       const userId = req.user._id;
       
-      const task = await taskService.updateTask(id, updateData, userId);
+      const result = await taskService.getTaskHistory(id, userId, req.query);
       
-      return sendUpdated(res, task, 'Task updated successfully');
+      return sendPaginatedResponse(
+        res,
+        result.activities,
+        result.pagination,
+        'Task history retrieved successfully'
+      );
     } catch (error) {
       if (error.message === 'Task not found') {
         return sendNotFoundError(res, 'Task not found', 'task');
@@ -95,41 +518,51 @@ class TaskController {
         return sendAuthorizationError(res, error.message);
       }
       
-      return sendError(res, error.message || 'Failed to update task', 400);
+      return sendError(res, error.message || 'Failed to retrieve task history', 500);
     }
   }
 
-  
-  async deleteTask(req, res) {
+
+  async assignTask(req, res) {
     try {
       const { id } = req.params;
+      const { assignee } = req.body;
       const userId = req.user._id;
       
-      const result = await taskService.deleteTask(id, userId);
+      const task = await taskService.assignTask(id, assignee, userId);
       
-      return sendDeleted(res, result.message);
+      return sendUpdated(res, task, assignee ? 'Task assigned successfully' : 'Task unassigned successfully');
     } catch (error) {
       if (error.message === 'Task not found') {
         return sendNotFoundError(res, 'Task not found', 'task');
       }
       
+      if (error.message === 'User not found') {
+        return sendNotFoundError(res, 'User not found', 'user');
+      }
+      
       if (error.message.includes('Access denied')) {
         return sendAuthorizationError(res, error.message);
       }
       
-      return sendError(res, error.message || 'Failed to delete task', 500);
+      return sendError(res, error.message || 'Failed to assign task', 400);
     }
   }
 
-  
-  async markTaskAsCompleted(req, res) {
+
+  async getAssignmentHistory(req, res) {
     try {
       const { id } = req.params;
       const userId = req.user._id;
       
-      const task = await taskService.markTaskAsCompleted(id, userId);
+      const result = await taskService.getAssignmentHistory(id, userId, req.query);
       
-      return sendUpdated(res, task, 'Task marked as completed successfully');
+      return sendPaginatedResponse(
+        res,
+        result.activities,
+        result.pagination,
+        'Assignment history retrieved successfully'
+      );
     } catch (error) {
       if (error.message === 'Task not found') {
         return sendNotFoundError(res, 'Task not found', 'task');
@@ -139,11 +572,7 @@ class TaskController {
         return sendAuthorizationError(res, error.message);
       }
       
-      if (error.message === 'Task is already completed') {
-        return sendError(res, 'Task is already completed', 400);
-      }
-      
-      return sendError(res, error.message || 'Failed to mark task as completed', 500);
+      return sendError(res, error.message || 'Failed to retrieve assignment history', 500);
     }
   }
 
@@ -151,7 +580,7 @@ class TaskController {
   async getTaskStats(req, res) {
     try {
       const userId = req.user._id;
-      const stats = await taskService.getTaskStats(userId);
+      const stats = await taskService.getTaskStats(userId, req.query);
       
       return sendSuccess(res, stats, 'Task statistics retrieved successfully');
     } catch (error) {
@@ -163,7 +592,7 @@ class TaskController {
   async getOverdueTasks(req, res) {
     try {
       const userId = req.user._id;
-      const overdueTasks = await taskService.getOverdueTasks(userId);
+      const overdueTasks = await taskService.getOverdueTasks(userId, req.query);
       
       return sendSuccess(res, overdueTasks, 'Overdue tasks retrieved successfully');
     } catch (error) {
@@ -176,7 +605,7 @@ class TaskController {
     try {
       const { status } = req.params;
       const userId = req.user._id;
-      const options = req.query;
+      const options = { ...req.query, ...workspaceScope(req) };
       
       const result = await taskService.getTasksByStatus(userId, status, options);
       
@@ -187,6 +616,10 @@ class TaskController {
         `Tasks with status '${status}' retrieved successfully`
       );
     } catch (error) {
+      if (error.message === 'Invalid cursor') {
+        return sendError(res, error.message, 400, null, 'INVALID_CURSOR');
+      }
+      
       return sendError(res, error.message || 'Failed to retrieve tasks by status', 500);
     }
   }
@@ -196,7 +629,7 @@ class TaskController {
     try {
       const { q: searchTerm } = req.query;
       const userId = req.user._id;
-      const options = { ...req.query };
+      const options = { ...req.query, ...workspaceScope(req) };
       delete options.q; // Remove search term from options
       
       if (!searchTerm) {
@@ -212,11 +645,79 @@ class TaskController {
         `Search results for '${searchTerm}'`
       );
     } catch (error) {
+      if (error.code === 'INVALID_QUERY') {
+        return sendError(res, error.message, 400, [{
+          field: 'q',
+          message: error.message,
+          token: error.token,
+          position: error.position
+        }], 'INVALID_QUERY');
+      }
+      
+      if (error.message === 'Invalid cursor') {
+        return sendError(res, error.message, 400, null, 'INVALID_CURSOR');
+      }
+      
       return sendError(res, error.message || 'Failed to search tasks', 500);
     }
   }
 
   
+  async exportTasks(req, res) {
+    try {
+      const userId = req.user._id;
+      const options = { ...req.query, ...workspaceScope(req) };
+      
+      const { contentType, extension, stream } = await taskService.exportTasks(userId, options);
+      
+      res.setHeader('Content-Type', contentType);
+      res.setHeader(
+        'Content-Disposition',
+        `attachment; filename="tasks-${new Date().toISOString().slice(0, 10)}.${extension}"`
+      );
+      
+      // pipeline destroys the export stream (and closes its database cursor) when the
+      // client disconnects, and the response when the export fails
+      return pipeline(stream, res, (error) => {
+        if (error && error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+          console.error('Task export stream error:', error.message);
+        }
+      });
+    } catch (error) {
+      return sendError(res, error.message || 'Failed to export tasks', 500);
+    }
+  }
+
+  
+  async importTasks(req, res) {
+    try {
+      const userId = req.user._id;
+      
+      const result = await taskService.importTasks(req.file, req.body, userId, req.workspace ? req.workspace._id : null);
+      
+      if (result.dryRun) {
+        return sendSuccess(res, result, 'Import validated, no tasks were created');
+      }
+      
+      return sendCreated(res, result, `${result.created} tasks imported successfully`);
+    } catch (error) {
+      if (error.code === 'INVALID_ROWS') {
+        return sendError(res, error.message, 422, error.rows, 'INVALID_ROWS');
+      }
+      
+      if (error.message.startsWith('Invalid CSV') || error.message.startsWith('Invalid JSON') || error.message.startsWith('Could not detect')) {
+        return sendError(res, error.message, 400, null, 'INVALID_IMPORT_FILE');
+      }
+      
+      if (error.message.startsWith('Imports are limited')) {
+        return sendError(res, error.message, 413, null, 'TOO_MANY_ROWS');
+      }
+      
+      return sendError(res, error.message || 'Failed to import tasks', 400);
+    }
+  }
+
+  
   async getTasksDueToday(req, res) {
     try {
       const userId = req.user._id;
@@ -262,10 +763,224 @@ class TaskController {
         return sendAuthorizationError(res, error.message);
       }
       
+      if (error.message.endsWith('is not part of the workflow')) {
+        return sendError(res, error.message, 400, null, 'UNKNOWN_STATUS');
+      }
+      
+      if (error.message.startsWith('Status transition')) {
+        return sendError(res, error.message, 400, null, 'INVALID_TRANSITION');
+      }
+      
+      if (error.message.startsWith('Task is blocked')) {
+        return sendError(res, error.message, 409, null, 'TASK_BLOCKED');
+      }
+      
+      if (error.message === 'Project not found') {
+        return sendNotFoundError(res, 'Project not found', 'project');
+      }
+      
       return sendError(res, error.message || 'Failed to update tasks', 400);
     }
   }
 
+
+  async getSharedTasks(req, res) {
+    try {
+      const userId = req.user._id;
+      
+      const result = await taskService.getSharedTasks(userId, req.query);
+      
+      return sendPaginatedResponse(
+        res,
+        result.tasks,
+        result.pagination,
+        'Shared tasks retrieved successfully'
+      );
+    } catch (error) {
+      return sendError(res, error.message || 'Failed to retrieve shared tasks', 500);
+    }
+  }
+
+
+  async getCollaborators(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const result = await taskService.getCollaborators(id, userId);
+      
+      return sendSuccess(res, result, 'Collaborators retrieved successfully');
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to retrieve collaborators', 500);
+    }
+  }
+
+
+  async addCollaborator(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const result = await taskService.addCollaborator(id, req.body, userId);
+      
+      return sendCreated(res, result, 'Task shared successfully');
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message === 'User not found') {
+        return sendNotFoundError(res, 'User not found', 'user');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      if (error.message === 'User is already a collaborator') {
+        return sendConflictError(res, error.message, 'collaborator');
+      }
+      
+      return sendError(res, error.message || 'Failed to share task', 400);
+    }
+  }
+
+
+  async updateCollaborator(req, res) {
+    try {
+      const { id, userId: collaboratorId } = req.params;
+      const { role } = req.body;
+      const userId = req.user._id;
+      
+      const result = await taskService.updateCollaborator(id, collaboratorId, role, userId);
+      
+      return sendUpdated(res, result, 'Collaborator updated successfully');
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message === 'Collaborator not found') {
+        return sendNotFoundError(res, 'Collaborator not found', 'collaborator');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to update collaborator', 400);
+    }
+  }
+
+
+  async removeCollaborator(req, res) {
+    try {
+      const { id, userId: collaboratorId } = req.params;
+      const userId = req.user._id;
+      
+      const result = await taskService.removeCollaborator(id, collaboratorId, userId);
+      
+      return sendDeleted(res, result.message);
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message === 'Collaborator not found') {
+        return sendNotFoundError(res, 'Collaborator not found', 'collaborator');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to remove collaborator', 500);
+    }
+  }
+
+
+  async getTrash(req, res) {
+    try {
+      const userId = req.user._id;
+      
+      const result = await taskService.getTrash(userId, { ...req.query, ...workspaceScope(req) });
+      
+      return sendPaginatedResponse(
+        res,
+        result.tasks,
+        result.pagination,
+        'Trashed tasks retrieved successfully'
+      );
+    } catch (error) {
+      return sendError(res, error.message || 'Failed to retrieve trash', 500);
+    }
+  }
+
+
+  async restoreTask(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const task = await taskService.restoreTask(id, userId);
+      
+      return sendUpdated(res, task, 'Task restored successfully');
+    } catch (error) {
+      if (error.message === 'Task not found in trash') {
+        return sendNotFoundError(res, error.message, 'task');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to restore task', 500);
+    }
+  }
+
+
+  async permanentlyDeleteTask(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+      
+      const result = await taskService.permanentlyDeleteTask(id, userId);
+      
+      return sendDeleted(res, result.message);
+    } catch (error) {
+      if (error.message === 'Task not found') {
+        return sendNotFoundError(res, 'Task not found', 'task');
+      }
+      
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to permanently delete task', 500);
+    }
+  }
+
+
+  async emptyTrash(req, res) {
+    try {
+      const userId = req.user._id;
+      
+      const result = await taskService.emptyTrash(userId, workspaceScope(req));
+      
+      return sendSuccess(res, result, 'Trash emptied successfully');
+    } catch (error) {
+      return sendError(res, error.message || 'Failed to empty trash', 500);
+    }
+  }
+
   
   async bulkDeleteTasks(req, res) {
     try {
@@ -287,6 +1002,28 @@ class TaskController {
       return sendError(res, error.message || 'Failed to delete tasks', 500);
     }
   }
+
+  
+  async bulkRestoreTasks(req, res) {
+    try {
+      const { taskIds } = req.body;
+      const userId = req.user._id;
+      
+      if (!taskIds || !Array.isArray(taskIds) || taskIds.length === 0) {
+        return sendError(res, 'Task IDs array is required', 400);
+      }
+      
+      const result = await taskService.bulkRestoreTasks(taskIds, userId);
+      
+      return sendSuccess(res, result, 'Tasks restored successfully');
+    } catch (error) {
+      if (error.message.includes('not found in trash or access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+      
+      return sendError(res, error.message || 'Failed to restore tasks', 500);
+    }
+  }
 }
 
 module.exports = new TaskController();
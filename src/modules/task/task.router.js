@@ -1,6 +1,10 @@
 const express = require('express');
 const taskController = require('./task.controller');
-const { protect } = require('../../middleware/auth.middleware');
+const commentRouter = require('../comment/comment.router');
+const attachmentRouter = require('../attachment/attachment.router');
+const { protect, restrictTo, requireVerifiedEmail } = require('../../middleware/auth.middleware');
+const { resolveWorkspace } = require('../../middleware/workspace.middleware');
+const { uploadImport } = require('../../middleware/upload.middleware');
 const { validate } = require('../../middleware/validate.middleware');
 const {
   createTaskSchema,
@@ -8,45 +12,175 @@ const {
   getTaskByIdSchema,
   deleteTaskSchema,
   getTasksQuerySchema,
-  markTaskCompleteSchema
+  markTaskCompleteSchema,
+  addSubtaskSchema,
+  updateSubtaskSchema,
+  deleteSubtaskSchema,
+  reorderSubtasksSchema,
+  addDependencySchema,
+  removeDependencySchema,
+  updateSeriesSchema,
+  previewOccurrencesSchema,
+  moveTaskSchema,
+  getBoardQuerySchema,
+  getTrashQuerySchema,
+  assignTaskSchema,
+  getAnalyticsQuerySchema,
+  addCollaboratorSchema,
+  updateCollaboratorSchema,
+  removeCollaboratorSchema,
+  searchTasksQuerySchema,
+  getTasksByStatusSchema,
+  exportTasksQuerySchema,
+  importTasksSchema,
+  bulkUpdateTasksSchema,
+  bulkTaskIdsSchema
 } = require('../../schemas/task.schema');
+const { getTaskHistorySchema } = require('../../schemas/activity.schema');
 
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
 
 /**
  * Task Routes
  * All routes require authentication
+ * Mounted at /api/tasks and /api/workspaces/:workspaceId/tasks; the active workspace
+ * comes from that route param or the X-Workspace-Id header
  */
 
-// Apply authentication middleware to all routes
+// Apply authentication and workspace resolution to all routes
 router.use(protect);
+router.use(resolveWorkspace());
 
 
-// Create a new task
-router.post('/', validate(createTaskSchema), taskController.createTask);
+// Create a new task (workspace guests are read-only)
+router.post('/', validate(createTaskSchema), restrictTo('user', 'owner', 'admin', 'member'), requireVerifiedEmail(), taskController.createTask);
 
-// Get all tasks for the authenticated user with pagination and filtering
+// Get all tasks for the authenticated user with pagination (page or after/before cursor) and filtering
 router.get('/', validate(getTasksQuerySchema), taskController.getTasks);
 
+// Get tasks grouped by status in board order
+router.get('/board', validate(getBoardQuerySchema), taskController.getBoard);
+
+// Get tasks other users have shared with the authenticated user
+router.get('/shared', validate(getTasksQuerySchema), taskController.getSharedTasks);
+
+// Get tasks in the trash
+router.get('/trash', validate(getTrashQuerySchema), taskController.getTrash);
+
+// Permanently delete every task in the trash
+router.delete('/trash', taskController.emptyTrash);
+
+// Search tasks: full-text by relevance (?q=...&mode=text|regex&sortBy=relevance), with highlights
+router.get('/search', validate(searchTasksQuerySchema), taskController.searchTasks);
+
+// Export tasks as CSV, JSON or iCalendar (?format=csv|json|ics plus the task list filters)
+router.get('/export', validate(exportTasksQuerySchema), taskController.exportTasks);
+
+// Import tasks from a CSV or JSON file (multipart field "file"; mapping, dryRun and skipInvalid form fields)
+router.post('/import', restrictTo('user', 'owner', 'admin', 'member'), requireVerifiedEmail(), uploadImport('file'), validate(importTasksSchema), taskController.importTasks);
+
+// Bulk routes come before the /:id routes, which would otherwise match "bulk" as an ID
+
+// Bulk update tasks
+router.patch('/bulk/update', validate(bulkUpdateTasksSchema), taskController.bulkUpdateTasks);
+
+// Bulk delete tasks (moves them to the trash)
+router.delete('/bulk/delete', validate(bulkTaskIdsSchema), taskController.bulkDeleteTasks);
+
+// Bulk restore tasks from the trash
+router.post('/bulk/restore', validate(bulkTaskIdsSchema), taskController.bulkRestoreTasks);
+
 // Get a specific task by ID
 router.get('/:id', validate(getTaskByIdSchema), taskController.getTaskById);
 
 // Update a specific task
 router.patch('/:id', validate(updateTaskSchema), taskController.updateTask);
 
-// Delete a specific task
+// Delete a specific task (moves it to the trash)
 router.delete('/:id', validate(deleteTaskSchema), taskController.deleteTask);
 
+// Restore a task from the trash
+router.post('/:id/restore', validate(getTaskByIdSchema), taskController.restoreTask);
+
+// Permanently delete a task
+router.delete('/:id/permanent', validate(deleteTaskSchema), taskController.permanentlyDeleteTask);
+
 
 // Mark a task as completed
 router.patch('/:id/complete', validate(markTaskCompleteSchema), taskController.markTaskAsCompleted);
 
+// Move a task on the board (status column and position)
+router.patch('/:id/move', validate(moveTaskSchema), taskController.moveTask);
+
+// Assign a task to a user (or unassign it)
+router.patch('/:id/assign', validate(assignTaskSchema), taskController.assignTask);
+
+// Get the assignment history of a task
+router.get('/:id/assignments', validate(getTaskHistorySchema), taskController.getAssignmentHistory);
+
+
+// Get subtasks of a task with progress
+router.get('/:id/subtasks', validate(getTaskByIdSchema), taskController.getSubtasks);
+
+// Add a subtask to a task
+router.post('/:id/subtasks', validate(addSubtaskSchema), taskController.addSubtask);
+
+// Reorder subtasks of a task
+router.patch('/:id/subtasks/reorder', validate(reorderSubtasksSchema), taskController.reorderSubtasks);
+
+// Update a subtask (title or done flag)
+router.patch('/:id/subtasks/:subtaskId', validate(updateSubtaskSchema), taskController.updateSubtask);
+
+// Delete a subtask
+router.delete('/:id/subtasks/:subtaskId', validate(deleteSubtaskSchema), taskController.deleteSubtask);
+
 
-// Get task statistics
-router.get('/analytics/stats', taskController.getTaskStats);
+// Get tasks blocking / blocked by a task
+router.get('/:id/dependencies', validate(getTaskByIdSchema), taskController.getDependencies);
 
-// Get overdue tasks
-router.get('/analytics/overdue', taskController.getOverdueTasks);
+// Mark a task as blocked by another task
+router.post('/:id/dependencies', validate(addDependencySchema), taskController.addDependency);
+
+// Remove a blocking dependency
+router.delete('/:id/dependencies/:blockerId', validate(removeDependencySchema), taskController.removeDependency);
+
+
+// Update every open occurrence of a recurring task
+router.patch('/:id/series', validate(updateSeriesSchema), taskController.updateSeries);
+
+// Preview upcoming occurrences of a recurring task
+router.get('/:id/occurrences', validate(previewOccurrencesSchema), taskController.getUpcomingOccurrences);
+
+
+// Get the owner and collaborators of a task
+router.get('/:id/collaborators', validate(getTaskByIdSchema), taskController.getCollaborators);
+
+// Share a task with a user by username or email
+router.post('/:id/collaborators', validate(addCollaboratorSchema), taskController.addCollaborator);
+
+// Change a collaborator's role
+router.patch('/:id/collaborators/:userId', validate(updateCollaboratorSchema), taskController.updateCollaborator);
+
+// Remove a collaborator (or leave a shared task)
+router.delete('/:id/collaborators/:userId', validate(removeCollaboratorSchema), taskController.removeCollaborator);
+
+
+// Get the activity history of a task
+router.get('/:id/history', validate(getTaskHistorySchema), taskController.getTaskHistory);
+
+
+// Comments on a task
+router.use('/:id/comments', commentRouter);
+
+// File attachments on a task
+router.use('/:id/attachments', attachmentRouter);
+
+
+// Get task statistics (by creator or assignee)
+router.get('/analytics/stats', validate(getAnalyticsQuerySchema), taskController.getTaskStats);
+
+// Get overdue tasks (by creator or assignee)
+router.get('/analytics/overdue', validate(getAnalyticsQuerySchema), taskController.getOverdueTasks);
 
 // Get tasks due today
 router.get('/analytics/due-today', taskController.getTasksDueToday);
@@ -55,16 +189,6 @@ router.get('/analytics/due-today', taskController.getTasksDueToday);
 router.get('/analytics/due-this-week', taskController.getTasksDueThisWeek);
 
 // Get tasks by status
-router.get('/status/:status', taskController.getTasksByStatus);
-
-// Search tasks
-router.get('/search', taskController.searchTasks);
-
-
-// Bulk update tasks
-router.patch('/bulk/update', taskController.bulkUpdateTasks);
-
-// Bulk delete tasks
-router.delete('/bulk/delete', taskController.bulkDeleteTasks);
+router.get('/status/:status', validate(getTasksByStatusSchema), taskController.getTasksByStatus);
 
 module.exports = router;
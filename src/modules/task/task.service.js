@@ -1,6 +1,36 @@
+const { Readable } = require('stream');
 const Task = require('../../models/Task.model');
+const Comment = require('../../models/Comment.model');
 const { withOptionalTransaction, withRetryableTransaction } = require('../../utils/transaction.util');
 const webSocketService = require('../../services/websocket.service');
+const storageService = require('../../services/storage.service');
+const projectService = require('../project/project.service');
+const activityService = require('../activity/activity.service');
+const userService = require('../auth/user.service');
+const { getNextOccurrence, getUpcomingOccurrences } = require('../../utils/recurrence.util');
+const { rankBetween, evenlySpacedRanks } = require('../../utils/rank.util');
+const workspaceService = require('../workspace/workspace.service');
+const searchService = require('../../services/search.service');
+const { getTextTerms } = require('../../utils/search.util');
+const { buildHighlights } = require('../../utils/text.util');
+const {
+  encodeCursor,
+  decodeCursor,
+  createCursor,
+  readCursor,
+  cursorSort,
+  cursorFilter,
+  getPageCursors
+} = require('../../utils/cursor.util');
+const csv = require('../../utils/csv.util');
+const ical = require('../../utils/ical.util');
+const { findStatus, getFirstStatus, canTransition } = require('../../utils/workflow.util');
+const { RANK_STEP } = require('../../utils/rank.util');
+const { createTaskSchema, IMPORT_FIELDS } = require('../../schemas/task.schema');
+
+// Task roles (see getTaskRole) allowed to change a task, and to delete or share it
+const EDIT_ROLES = ['owner', 'admin', 'assignee', 'editor'];
+const MANAGE_ROLES = ['owner', 'admin'];
 
 /**
  * Task Service
@@ -8,7 +38,7 @@ const webSocketService = require('../../services/websocket.service');
  */
 class TaskService {
  
-  async createTask(taskData, userId) {
+  async createTask(taskData, userId, workspace = null) {
     console.log('=== TASK CREATION DEBUG ===');
     console.log('Full taskData received:', JSON.stringify(taskData, null, 2));
     console.log('UserId:', userId);
@@ -20,7 +50,20 @@ class TaskService {
     console.log('- dueDate:', taskData.dueDate);
     console.log('- tags:', taskData.tags);
     
-    const { title, description, status = 'pending', priority = 'medium', dueDate, tags } = taskData;
+    const { title, description, priority = 'medium', dueDate, tags, subtasks, autoComplete, recurrence, project } = taskData;
+
+    if (recurrence && !dueDate) {
+      throw new Error('Recurring tasks require a due date');
+    }
+
+    if (project) {
+      await projectService.assertAssignable(project, userId);
+    }
+
+    // New tasks start in the first "todo" status of their workflow unless told otherwise
+    const workflow = await projectService.getWorkflow(project);
+    const status = taskData.status || getFirstStatus(workflow, 'todo');
+    const statusCategory = this.getStatusCategory(workflow, status);
     
     console.log('After destructuring:');
     console.log('- status:', status);
@@ -40,15 +83,30 @@ class TaskService {
       title,
       description,
       status,
+      statusCategory,
       priority,
       dueDate,
       tags,
-      user: userId
+      subtasks,
+      autoComplete,
+      recurrence,
+      project,
+      rank: await Task.getNextRank(userId, status, workspace),
+      createdBy: userId,
+      assignee: userId,
+      workspace
     });
 
     console.log('Task object before save:', JSON.stringify(task.toObject(), null, 2));
     
     await task.save();
+
+    await activityService.record({
+      task,
+      actor: userId,
+      action: 'created',
+      changes: activityService.diff({}, activityService.snapshot(task))
+    });
     
     console.log('Task object after save:', JSON.stringify(task.toObject(), null, 2));
     console.log('=== END TASK CREATION DEBUG ===');
@@ -69,12 +127,12 @@ class TaskService {
   async getTaskById(taskId, userId) {
     const task = await Task.findById(taskId);
 
-    if (!task) {
+    if (!task || task.isTrashed()) {
       throw new Error('Task not found');
     }
 
-    if (!task.isOwnedBy(userId)) {
-      throw new Error('Access denied: You can only access your own tasks');
+    if (!(await this.getTaskRole(task, userId))) {
+      throw new Error('Access denied: You do not have access to this task');
     }
 
     return task;
@@ -84,26 +142,77 @@ class TaskService {
   async updateTask(taskId, updateData, userId) {
     const task = await Task.findById(taskId);
 
-    if (!task) {
+    if (!task || task.isTrashed()) {
       throw new Error('Task not found');
     }
 
-    if (!task.isOwnedBy(userId)) {
-      throw new Error('Access denied: You can only update your own tasks');
+    if (!EDIT_ROLES.includes(await this.getTaskRole(task, userId))) {
+      throw new Error('Access denied: You do not have permission to update this task');
+    }
+
+    const { ignoreBlockers, ...fields } = updateData;
+
+    // Projects belong to the task owner, also when an editor makes the change
+    if (fields.project && fields.project.toString() !== String(task.project)) {
+      await projectService.assertAssignable(fields.project, task.createdBy);
+    }
+
+    const projectChanged = fields.project !== undefined && String(fields.project) !== String(task.project);
+    const workflow = await projectService.getWorkflow(projectChanged ? fields.project : task.project);
+
+    // A task moving to a project whose workflow lacks its status keeps its category
+    if (!fields.status && !findStatus(workflow, task.status)) {
+      fields.status = getFirstStatus(workflow, task.statusCategory) || getFirstStatus(workflow, 'todo');
+    }
+
+    if (fields.status && fields.status !== task.status) {
+      fields.statusCategory = this.getStatusCategory(workflow, fields.status);
+
+      // Transitions are checked within a workflow; switching projects remaps freely
+      if (!projectChanged) {
+        this.assertTransition(workflow, task.status, fields.status);
+      }
+
+      if (['active', 'done'].includes(fields.statusCategory) && !ignoreBlockers) {
+        await this.assertNotBlocked(task);
+      }
+    }
+
+    const wasCompleted = task.statusCategory === 'done';
+    const before = activityService.snapshot(task);
+
+    // Status changes outside the board land at the bottom of the new column
+    if (fields.status && fields.status !== task.status) {
+      task.rank = await Task.getNextRank(task.createdBy, fields.status, task.workspace);
     }
 
     // Update task fields
-    Object.keys(updateData).forEach(key => {
-      if (updateData[key] !== undefined) {
-        task[key] = updateData[key];
+    Object.keys(fields).forEach(key => {
+      if (fields[key] !== undefined) {
+        task[key] = fields[key];
       }
     });
 
+    if (task.recurrence && !task.dueDate) {
+      throw new Error('Recurring tasks require a due date');
+    }
+
     await task.save();
 
+    await activityService.record({
+      task,
+      actor: userId,
+      action: !wasCompleted && task.statusCategory === 'done' ? 'completed' : 'updated',
+      changes: activityService.diff(before, activityService.snapshot(task))
+    });
+
     // Emit WebSocket event for real-time updates
     webSocketService.emitTaskUpdated(userId, task);
 
+    if (!wasCompleted && task.statusCategory === 'done') {
+      await this.createNextOccurrence(task, userId);
+    }
+
     return task;
   }
 
@@ -111,172 +220,1646 @@ class TaskService {
   async deleteTask(taskId, userId) {
     const task = await Task.findById(taskId);
 
-    if (!task) {
+    if (!task || task.isTrashed()) {
       throw new Error('Task not found');
     }
 
-    if (!task.isOwnedBy(userId)) {
-      throw new Error('Access denied: You can only delete your own tasks');
+    if (!MANAGE_ROLES.includes(await this.getTaskRole(task, userId))) {
+      throw new Error('Access denied: Only the task owner or a workspace admin can delete this task');
     }
 
-    await Task.findByIdAndDelete(taskId);
+    // Move to the trash; the task is purged after the retention period
+    task.deletedAt = new Date();
+    task.deletedBy = userId;
+    await task.save();
+
+    await activityService.record({
+      task,
+      actor: userId,
+      action: 'deleted'
+    });
 
     // Emit WebSocket event for real-time updates
-    webSocketService.emitTaskDeleted(userId, taskId);
+    webSocketService.emitTaskDeleted(userId, taskId, task);
 
-    return { message: 'Task deleted successfully' };
+    return { message: 'Task moved to trash successfully' };
   }
 
  
-  async markTaskAsCompleted(taskId, userId) {
+  async markTaskAsCompleted(taskId, userId, options = {}) {
     const task = await Task.findById(taskId);
 
-    if (!task) {
+    if (!task || task.isTrashed()) {
       throw new Error('Task not found');
     }
 
-    if (!task.isOwnedBy(userId)) {
-      throw new Error('Access denied: You can only update your own tasks');
+    if (!EDIT_ROLES.includes(await this.getTaskRole(task, userId))) {
+      throw new Error('Access denied: You do not have permission to update this task');
     }
 
-    if (task.status === 'completed') {
+    if (task.statusCategory === 'done') {
       throw new Error('Task is already completed');
     }
 
-    await task.markAsCompleted();
+    const doneStatus = await this.getDoneStatus(task);
+
+    if (!doneStatus) {
+      throw new Error(`Status transition from "${task.status}" to a done status is not allowed`);
+    }
+
+    if (!options.ignoreBlockers) {
+      await this.assertNotBlocked(task);
+    }
+
+    const before = activityService.snapshot(task);
+
+    await task.markAsCompleted(doneStatus);
+
+    await activityService.record({
+      task,
+      actor: userId,
+      action: 'completed',
+      changes: activityService.diff(before, activityService.snapshot(task))
+    });
 
     // Emit WebSocket event for real-time updates
     webSocketService.emitTaskUpdated(userId, task);
 
+    await this.createNextOccurrence(task, userId);
+
     return task;
   }
 
 
-  async getTaskStats(userId) {
-    const stats = await Task.getTaskStats(userId);
-    return stats;
+  getStatusCategory(workflow, status) {
+    const definition = findStatus(workflow, status);
+
+    if (!definition) {
+      throw new Error(`Status "${status}" is not part of the workflow`);
+    }
+
+    return definition.category;
   }
 
 
-  async getOverdueTasks(userId) {
-    const overdueTasks = await Task.getOverdueTasks(userId);
-    return overdueTasks;
+  assertTransition(workflow, from, to) {
+    if (!canTransition(workflow, from, to)) {
+      throw new Error(`Status transition from "${from}" to "${to}" is not allowed`);
+    }
   }
 
 
-  async getTasksByStatus(userId, status, options = {}) {
-    const queryOptions = { ...options, status };
-    return await this.getTasks(userId, queryOptions);
+  async getDoneStatus(task) {
+    // First "done" status of the task's workflow it may move to, or null
+    const workflow = await projectService.getWorkflow(task.project);
+    const status = workflow.statuses.find(item =>
+      item.category === 'done' && canTransition(workflow, task.status, item.key)
+    );
+
+    return status ? status.key : null;
   }
 
 
-  async searchTasks(userId, searchTerm, options = {}) {
-    const queryOptions = { ...options, search: searchTerm };
-    return await this.getTasks(userId, queryOptions);
+  async getTaskRole(task, userId) {
+    // The task's own role wins for its owner; workspace admins manage every
+    // workspace task and other members may read it
+    const role = task.getRoleFor(userId);
+
+    if (role === 'owner' || !task.workspace) {
+      return role;
+    }
+
+    const workspaceRole = await workspaceService.getMemberRole(task.workspace, userId);
+
+    if (['owner', 'admin'].includes(workspaceRole)) {
+      return 'admin';
+    }
+
+    if (!workspaceRole) {
+      return null;
+    }
+
+    return role || (workspaceRole === 'member' ? 'viewer' : null);
   }
 
 
-  async getTasksDueToday(userId) {
-    const today = new Date();
-    const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-    const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+  async canManageTask(task, userId) {
+    // Task owners and workspace admins (e.g. to moderate comments)
+    return MANAGE_ROLES.includes(await this.getTaskRole(task, userId));
+  }
 
-    const tasks = await Task.find({
-      user: userId,
-      status: { $ne: 'completed' },
-      dueDate: {
-        $gte: startOfDay,
-        $lt: endOfDay
+
+  async hasRoleForAll(tasks, userId, roles) {
+    // Bulk operations need the same role on every task as the single-task paths
+    for (const task of tasks) {
+      if (!roles.includes(await this.getTaskRole(task, userId))) {
+        return false;
       }
-    }).sort({ dueDate: 1 });
+    }
 
-    return tasks;
+    return true;
   }
 
 
-  async getTasksDueThisWeek(userId) {
-    const today = new Date();
-    const startOfWeek = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay());
-    const endOfWeek = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay() + 7);
+  getTaskAudience(task) {
+    // Users who can see a task and should receive its real-time events (workspace
+    // members other than guests get them through the workspace room)
+    return [
+      task.createdBy.toString(),
+      ...(task.assignee ? [task.assignee.toString()] : []),
+      ...task.collaborators.map(collaborator => collaborator.user.toString())
+    ];
+  }
 
-    const tasks = await Task.find({
-      user: userId,
-      status: { $ne: 'completed' },
-      dueDate: {
-        $gte: startOfWeek,
-        $lt: endOfWeek
-      }
-    }).sort({ dueDate: 1 });
 
-    return tasks;
+  async getTaskForSharing(taskId, userId) {
+    const task = await Task.findById(taskId);
+
+    if (!task || task.isTrashed()) {
+      throw new Error('Task not found');
+    }
+
+    if (!MANAGE_ROLES.includes(await this.getTaskRole(task, userId))) {
+      throw new Error('Access denied: Only the task owner or a workspace admin can manage collaborators');
+    }
+
+    return task;
   }
 
- 
-  async bulkUpdateTasks(taskIds, updateData, userId) {
-    return await withRetryableTransaction(async (session) => {
-      // Verify all tasks belong to the user within transaction
-      const tasks = await Task.find({
-        _id: { $in: taskIds },
-        user: userId
-      }).session(session);
 
-      if (tasks.length !== taskIds.length) {
-        throw new Error('Some tasks not found or access denied');
-      }
+  async getSharedTasks(userId, options = {}) {
+    return await Task.getSharedWithUser(userId, options);
+  }
 
-      // Update all tasks within transaction
-      const result = await Task.updateMany(
-        {
-          _id: { $in: taskIds },
-          user: userId
-        },
-        {
-          ...updateData,
-          updatedAt: new Date() // Ensure updatedAt is set
-        },
-        { session }
-      );
 
-      return {
-        message: `${result.modifiedCount} tasks updated successfully`,
-        modifiedCount: result.modifiedCount,
-        taskIds: taskIds
-      };
-    }, 3); // Retry up to 3 times on transient errors
+  async getCollaborators(taskId, userId) {
+    const task = await this.getTaskById(taskId, userId);
+
+    await task.populate([
+      { path: 'createdBy', select: 'username email' },
+      { path: 'assignee', select: 'username email' },
+      { path: 'collaborators.user', select: 'username email' }
+    ]);
+
+    return {
+      owner: task.createdBy,
+      assignee: task.assignee,
+      collaborators: task.collaborators
+    };
   }
 
 
-  async bulkDeleteTasks(taskIds, userId) {
-    return await withRetryableTransaction(async (session) => {
-      // Verify all tasks belong to the user within transaction
-      const tasks = await Task.find({
-        _id: { $in: taskIds },
-        user: userId
-      }).session(session);
+  async addCollaborator(taskId, collaboratorData, userId) {
+    const { username, email, role = 'viewer' } = collaboratorData;
+    const task = await this.getTaskForSharing(taskId, userId);
 
-      if (tasks.length !== taskIds.length) {
-        throw new Error('Some tasks not found or access denied');
-      }
+    const invitee = username
+      ? await userService.findByUsername(username)
+      : await userService.findByEmail(email);
 
-      // Store task details before deletion for audit/logging
-      const tasksToDelete = tasks.map(task => ({
-        id: task._id,
-        title: task.title,
-        status: task.status
-      }));
+    if (!invitee) {
+      throw new Error('User not found');
+    }
 
-      // Delete all tasks within transaction
-      const result = await Task.deleteMany({
-        _id: { $in: taskIds },
-        user: userId
-      }, { session });
+    if (task.isOwnedBy(invitee._id)) {
+      throw new Error('You cannot share a task with its owner');
+    }
 
-      return {
-        message: `${result.deletedCount} tasks deleted successfully`,
-        deletedCount: result.deletedCount,
-        deletedTasks: tasksToDelete
-      };
-    }, 3); // Retry up to 3 times on transient errors
+    if (task.getRoleFor(invitee._id)) {
+      throw new Error('User is already a collaborator');
+    }
+
+    task.collaborators.push({
+      user: invitee._id,
+      role,
+      addedBy: userId
+    });
+    await task.save();
+
+    // Emit WebSocket events for real-time updates
+    webSocketService.emitTaskUpdated(userId, task);
+    webSocketService.emitTaskShared(invitee._id, { task, role });
+
+    return await this.getCollaborators(taskId, userId);
+  }
+
+
+  async updateCollaborator(taskId, collaboratorId, role, userId) {
+    const task = await this.getTaskForSharing(taskId, userId);
+    const collaborator = task.collaborators.find(item => item.user.toString() === collaboratorId.toString());
+
+    if (!collaborator) {
+      throw new Error('Collaborator not found');
+    }
+
+    collaborator.role = role;
+    await task.save();
+
+    // Emit WebSocket event for real-time updates
+    webSocketService.emitTaskUpdated(userId, task);
+
+    return await this.getCollaborators(taskId, userId);
+  }
+
+
+  async removeCollaborator(taskId, collaboratorId, userId) {
+    const task = await Task.findById(taskId);
+
+    if (!task || task.isTrashed()) {
+      throw new Error('Task not found');
+    }
+
+    // Collaborators may leave a task on their own; everyone else needs the owner
+    const isLeaving = collaboratorId.toString() === userId.toString();
+
+    const role = await this.getTaskRole(task, userId);
+
+    if (!MANAGE_ROLES.includes(role) && !(isLeaving && role)) {
+      throw new Error('Access denied: Only the task owner or a workspace admin can manage collaborators');
+    }
+
+    const index = task.collaborators.findIndex(item => item.user.toString() === collaboratorId.toString());
+
+    if (index === -1) {
+      throw new Error('Collaborator not found');
+    }
+
+    task.collaborators.splice(index, 1);
+    await task.save();
+
+    // Emit WebSocket events for real-time updates
+    webSocketService.emitTaskUpdated(userId, task);
+    webSocketService.emitTaskUnshared(collaboratorId, task._id);
+
+    return { message: isLeaving ? 'You left the task successfully' : 'Collaborator removed successfully' };
+  }
+
+
+  async getTaskForUpdate(taskId, userId) {
+    const task = await Task.findById(taskId);
+
+    if (!task || task.isTrashed()) {
+      throw new Error('Task not found');
+    }
+
+    if (!EDIT_ROLES.includes(await this.getTaskRole(task, userId))) {
+      throw new Error('Access denied: You do not have permission to update this task');
+    }
+
+    return task;
+  }
+
+
+  async saveSubtaskChanges(task, userId) {
+    // Parent auto-completes once the last open checklist item is done (unless still blocked)
+    const doneStatus = task.autoComplete &&
+      task.statusCategory !== 'done' &&
+      task.allSubtasksDone() &&
+      (await task.getOpenBlockers()).length === 0
+      ? await this.getDoneStatus(task)
+      : null;
+
+    if (doneStatus) {
+      const before = activityService.snapshot(task);
+      await task.markAsCompleted(doneStatus);
+
+      await activityService.record({
+        task,
+        actor: userId,
+        action: 'completed',
+        changes: activityService.diff(before, activityService.snapshot(task))
+      });
+    } else {
+      await task.save();
+    }
+
+    // Emit WebSocket event for real-time updates
+    webSocketService.emitTaskUpdated(userId, task);
+
+    if (doneStatus) {
+      await this.createNextOccurrence(task, userId);
+    }
+
+    return task;
+  }
+
+
+  async getSubtasks(taskId, userId) {
+    const task = await this.getTaskById(taskId, userId);
+
+    return {
+      subtasks: task.subtasks,
+      progress: task.getProgress()
+    };
+  }
+
+
+  async addSubtask(taskId, subtaskData, userId) {
+    const task = await this.getTaskForUpdate(taskId, userId);
+
+    task.subtasks.push({ title: subtaskData.title });
+
+    await task.save();
+
+    // Emit WebSocket event for real-time updates
+    webSocketService.emitTaskUpdated(userId, task);
+
+    return task;
+  }
+
+
+  async updateSubtask(taskId, subtaskId, updateData, userId) {
+    const task = await this.getTaskForUpdate(taskId, userId);
+    const subtask = task.subtasks.id(subtaskId);
+
+    if (!subtask) {
+      throw new Error('Subtask not found');
+    }
+
+    if (updateData.title !== undefined) {
+      subtask.title = updateData.title;
+    }
+
+    if (updateData.done !== undefined && updateData.done !== subtask.done) {
+      subtask.done = updateData.done;
+      subtask.completedAt = updateData.done ? new Date() : null;
+    }
+
+    return await this.saveSubtaskChanges(task, userId);
+  }
+
+
+  async deleteSubtask(taskId, subtaskId, userId) {
+    const task = await this.getTaskForUpdate(taskId, userId);
+    const subtask = task.subtasks.id(subtaskId);
+
+    if (!subtask) {
+      throw new Error('Subtask not found');
+    }
+
+    subtask.deleteOne();
+
+    return await this.saveSubtaskChanges(task, userId);
+  }
+
+
+  async reorderSubtasks(taskId, subtaskIds, userId) {
+    const task = await this.getTaskForUpdate(taskId, userId);
+
+    const currentIds = task.subtasks.map(subtask => subtask._id.toString());
+    const uniqueIds = new Set(subtaskIds);
+
+    if (
+      uniqueIds.size !== subtaskIds.length ||
+      subtaskIds.length !== currentIds.length ||
+      !subtaskIds.every(id => currentIds.includes(id))
+    ) {
+      throw new Error('Subtask IDs must list every subtask of the task exactly once');
+    }
+
+    const subtasksById = new Map(task.subtasks.map(subtask => [subtask._id.toString(), subtask.toObject()]));
+    task.subtasks = subtaskIds.map(id => subtasksById.get(id));
+
+    await task.save();
+
+    // Emit WebSocket event for real-time updates
+    webSocketService.emitTaskUpdated(userId, task);
+
+    return task;
+  }
+
+
+  async assertNotBlocked(task) {
+    const openBlockers = await task.getOpenBlockers();
+
+    if (openBlockers.length > 0) {
+      const titles = openBlockers.map(blocker => `'${blocker.title}'`).join(', ');
+      throw new Error(`Task is blocked by ${openBlockers.length} open task(s): ${titles}`);
+    }
+  }
+
+
+  async getDependencies(taskId, userId) {
+    const task = await this.getTaskById(taskId, userId);
+
+    const [blockedBy, blocking] = await Promise.all([
+      Task.find({ _id: { $in: task.blockedBy }, deletedAt: null }).select('title status statusCategory priority dueDate').lean(),
+      Task.find({ blockedBy: task._id, deletedAt: null }).select('title status statusCategory priority dueDate').lean()
+    ]);
+
+    return {
+      blockedBy,
+      blocking,
+      isBlocked: blockedBy.some(blocker => blocker.statusCategory !== 'done')
+    };
+  }
+
+
+  async addDependency(taskId, blockerId, userId) {
+    const task = await this.getTaskForUpdate(taskId, userId);
+
+    if (task._id.toString() === blockerId.toString()) {
+      throw new Error('A task cannot be blocked by itself');
+    }
+
+    const blocker = await Task.findById(blockerId);
+
+    if (!blocker || blocker.isTrashed() || !blocker.isOwnedBy(task.createdBy)) {
+      throw new Error('Blocker task not found');
+    }
+
+    if (task.blockedBy.some(id => id.toString() === blockerId.toString())) {
+      throw new Error('Dependency already exists');
+    }
+
+    if (await Task.wouldCreateCycle(task._id, blocker._id)) {
+      throw new Error('Dependency would create a cycle');
+    }
+
+    task.blockedBy.push(blocker._id);
+    await task.save();
+
+    // Emit WebSocket event for real-time updates
+    webSocketService.emitTaskUpdated(userId, task);
+
+    return task;
+  }
+
+
+  async removeDependency(taskId, blockerId, userId) {
+    const task = await this.getTaskForUpdate(taskId, userId);
+
+    if (!task.blockedBy.some(id => id.toString() === blockerId.toString())) {
+      throw new Error('Dependency not found');
+    }
+
+    task.blockedBy.pull(blockerId);
+    await task.save();
+
+    // Emit WebSocket event for real-time updates
+    webSocketService.emitTaskUpdated(userId, task);
+
+    return task;
+  }
+
+
+  async createNextOccurrence(task, userId) {
+    if (!task.recurrence || !task.dueDate) {
+      return null;
+    }
+
+    const next = getNextOccurrence(task.dueDate, task.recurrence, task.occurrenceIndex || 1);
+
+    if (!next) {
+      return null;
+    }
+
+    // Completing, reopening and completing again must not duplicate the next occurrence
+    const exists = await Task.exists({ seriesId: task.seriesId, occurrenceIndex: next.occurrenceIndex });
+
+    if (exists) {
+      return null;
+    }
+
+    const status = getFirstStatus(await projectService.getWorkflow(task.project), 'todo');
+
+    const nextTask = new Task({
+      title: task.title,
+      description: task.description,
+      priority: task.priority,
+      tags: task.tags,
+      subtasks: task.subtasks.map(subtask => ({ title: subtask.title })),
+      autoComplete: task.autoComplete,
+      recurrence: task.recurrence.toObject(),
+      project: task.project,
+      collaborators: task.collaborators.map(collaborator => ({
+        user: collaborator.user,
+        role: collaborator.role,
+        addedBy: collaborator.addedBy
+      })),
+      seriesId: task.seriesId,
+      occurrenceIndex: next.occurrenceIndex,
+      dueDate: next.dueDate,
+      status,
+      statusCategory: 'todo',
+      rank: await Task.getNextRank(task.createdBy, status, task.workspace),
+      createdBy: task.createdBy,
+      assignee: task.assignee,
+      workspace: task.workspace
+    });
+
+    await nextTask.save();
+
+    await activityService.record({
+      task: nextTask,
+      actor: userId,
+      action: 'created',
+      changes: activityService.diff({}, activityService.snapshot(nextTask))
+    });
+
+    // Emit WebSocket event for real-time updates
+    webSocketService.emitTaskCreated(userId, nextTask);
+
+    return nextTask;
+  }
+
+
+  async updateSeries(taskId, updateData, userId) {
+    const task = await this.getTaskForUpdate(taskId, userId);
+
+    if (!task.seriesId) {
+      throw new Error('Task is not part of a recurring series');
+    }
+
+    // Completed occurrences are history; only open ones follow series edits
+    const seriesQuery = {
+      seriesId: task.seriesId,
+      createdBy: task.createdBy,
+      statusCategory: { $ne: 'done' },
+      deletedAt: null
+    };
+
+    // Each occurrence is saved as a document so the model hooks run, e.g. a monthly
+    // rule pins the day of month of that occurrence's own due date
+    const { tasks, modifiedCount } = await withRetryableTransaction(async (session) => {
+      const seriesTasks = await Task.find(seriesQuery).sort({ occurrenceIndex: 1 }).session(session);
+      const entries = [];
+
+      for (const seriesTask of seriesTasks) {
+        const before = activityService.snapshot(seriesTask);
+
+        Object.keys(updateData).forEach(key => {
+          if (updateData[key] !== undefined) {
+            seriesTask[key] = updateData[key];
+          }
+        });
+
+        await seriesTask.save({ session });
+
+        entries.push({
+          task: seriesTask,
+          actor: userId,
+          action: 'updated',
+          changes: activityService.diff(before, activityService.snapshot(seriesTask))
+        });
+      }
+
+      const changed = entries.filter(entry => entry.changes.length > 0);
+      await activityService.recordMany(changed, session);
+
+      return { tasks: seriesTasks, modifiedCount: changed.length };
+    }, 3); // Retry up to 3 times on transient errors
+
+    // Emit WebSocket event for real-time updates
+    tasks.forEach(seriesTask => webSocketService.emitTaskUpdated(userId, seriesTask));
+
+    return {
+      seriesId: task.seriesId,
+      modifiedCount,
+      tasks
+    };
+  }
+
+
+  async getUpcomingOccurrences(taskId, userId, count = 5) {
+    const task = await this.getTaskById(taskId, userId);
+
+    if (!task.recurrence || !task.dueDate) {
+      throw new Error('Task is not recurring');
+    }
+
+    return {
+      seriesId: task.seriesId,
+      recurrence: task.recurrence,
+      current: {
+        dueDate: task.dueDate,
+        occurrenceIndex: task.occurrenceIndex
+      },
+      occurrences: getUpcomingOccurrences(task.dueDate, task.recurrence, task.occurrenceIndex || 1, count)
+    };
+  }
+
+
+  async getBoard(userId, options = {}) {
+    // A project's board has one column per status of its workflow; other boards use the default columns
+    const projectId = options.project && options.project !== 'none' ? options.project : null;
+    const workflow = await projectService.getWorkflow(projectId);
+
+    return await Task.getBoard(userId, {
+      ...options,
+      statuses: workflow.statuses.map(status => status.key)
+    });
+  }
+
+
+  async moveTask(taskId, moveData, userId) {
+    const { beforeId, afterId, ignoreBlockers } = moveData;
+    const task = await this.getTaskForUpdate(taskId, userId);
+
+    const fromStatus = task.status;
+    const toStatus = moveData.status || task.status;
+    const wasCompleted = task.statusCategory === 'done';
+
+    if (toStatus !== fromStatus) {
+      const workflow = await projectService.getWorkflow(task.project);
+      const toCategory = this.getStatusCategory(workflow, toStatus);
+
+      this.assertTransition(workflow, fromStatus, toStatus);
+
+      if (['active', 'done'].includes(toCategory) && !ignoreBlockers) {
+        await this.assertNotBlocked(task);
+      }
+
+      task.statusCategory = toCategory;
+    }
+
+    // Target column without the moved task, in board order
+    const column = await Task.find({
+      ...Task.boardScope(task.createdBy, task.workspace),
+      status: toStatus,
+      deletedAt: null,
+      _id: { $ne: task._id }
+    }).sort({ rank: 1, createdAt: 1 }).select('rank');
+
+    const indexOf = (id) => column.findIndex(item => item._id.toString() === id.toString());
+    let index = column.length;
+
+    if (beforeId) {
+      const beforeIndex = indexOf(beforeId);
+      if (beforeIndex === -1) {
+        throw new Error('Neighbour task not found in target column');
+      }
+      index = beforeIndex + 1;
+
+      if (afterId && (!column[index] || column[index]._id.toString() !== afterId.toString())) {
+        throw new Error('Neighbour tasks are not adjacent');
+      }
+    } else if (afterId) {
+      index = indexOf(afterId);
+      if (index === -1) {
+        throw new Error('Neighbour task not found in target column');
+      }
+    }
+
+    const prev = column[index - 1];
+    const next = column[index];
+    let rank = rankBetween(prev ? prev.rank : undefined, next ? next.rank : undefined);
+
+    if (rank === null) {
+      rank = await this.rebalanceColumn(column, index);
+    }
+
+    const before = activityService.snapshot(task);
+
+    task.status = toStatus;
+    task.rank = rank;
+    await task.save();
+
+    await activityService.record({
+      task,
+      actor: userId,
+      action: !wasCompleted && task.statusCategory === 'done' ? 'completed' : 'updated',
+      changes: activityService.diff(before, activityService.snapshot(task))
+    });
+
+    // Emit WebSocket event for real-time updates
+    webSocketService.emitTaskMoved(userId, {
+      task,
+      fromStatus,
+      toStatus,
+      beforeId: beforeId || null,
+      afterId: afterId || null
+    });
+
+    if (!wasCompleted && task.statusCategory === 'done') {
+      await this.createNextOccurrence(task, userId);
+    }
+
+    return task;
+  }
+
+
+  async rebalanceColumn(column, insertIndex) {
+    // Spread the column out again, leaving a slot at the insertion index
+    const ranks = evenlySpacedRanks(column.length + 1);
+    const operations = column.map((item, position) => ({
+      updateOne: {
+        filter: { _id: item._id },
+        update: { $set: { rank: ranks[position < insertIndex ? position : position + 1] } }
+      }
+    }));
+
+    if (operations.length > 0) {
+      await Task.bulkWrite(operations);
+    }
+
+    return ranks[insertIndex];
+  }
+
+
+  async getTaskHistory(taskId, userId, options = {}) {
+    const task = await this.getTaskById(taskId, userId);
+    return await activityService.getTaskHistory(task._id, options);
+  }
+
+
+  async assignTask(taskId, assigneeId, userId) {
+    const task = await this.getTaskForUpdate(taskId, userId);
+    const previousAssignee = task.assignee;
+
+    if (String(previousAssignee) === String(assigneeId)) {
+      return task;
+    }
+
+    if (assigneeId) {
+      const assignee = await userService.findById(assigneeId);
+
+      if (!assignee || !assignee.isActive) {
+        throw new Error('User not found');
+      }
+
+      if (task.workspace && !(await workspaceService.getMemberRole(task.workspace, assigneeId))) {
+        throw new Error('Assignee must be a member of the task\'s workspace');
+      }
+    }
+
+    const before = activityService.snapshot(task);
+
+    task.assignee = assigneeId;
+    await task.save();
+
+    await activityService.record({
+      task,
+      actor: userId,
+      action: 'assigned',
+      changes: activityService.diff(before, activityService.snapshot(task))
+    });
+
+    // Emit WebSocket events for real-time updates
+    webSocketService.emitTaskUpdated(userId, task);
+
+    if (assigneeId) {
+      webSocketService.emitTaskAssigned(assigneeId, {
+        task,
+        assignedBy: userId,
+        previousAssignee
+      });
+    }
+
+    if (previousAssignee && !(await this.getTaskRole(task, previousAssignee))) {
+      webSocketService.emitTaskUnshared(previousAssignee, task._id);
+    }
+
+    return task;
+  }
+
+
+  async getAssignmentHistory(taskId, userId, options = {}) {
+    const task = await this.getTaskById(taskId, userId);
+    return await activityService.getTaskHistory(task._id, { ...options, action: 'assigned' });
+  }
+
+
+  async getTaskStats(userId, options = {}) {
+    const stats = await Task.getTaskStats(userId, options);
+    return stats;
+  }
+
+
+  async getOverdueTasks(userId, options = {}) {
+    const overdueTasks = await Task.getOverdueTasks(userId, options);
+    return overdueTasks;
+  }
+
+
+  async getTasksByStatus(userId, status, options = {}) {
+    const queryOptions = { ...options, status };
+    return await this.getTasks(userId, queryOptions);
+  }
+
+
+  async searchTasks(userId, searchTerm, options = {}) {
+    // searchTerm uses the search language (see search.util)
+    const { mode = 'text', page = 1, limit = 10, sortBy = 'relevance', sortOrder = 'desc', ...filters } = options;
+    const terms = getTextTerms(searchTerm);
+
+    // Regex mode, and queries without free text, list tasks like GET /api/tasks
+    if (mode === 'regex' || terms.words.length + terms.phrases.length === 0) {
+      const result = await this.getTasks(userId, {
+        ...filters,
+        q: searchTerm,
+        page,
+        limit,
+        sortBy: sortBy === 'relevance' ? 'createdAt' : sortBy,
+        sortOrder
+      });
+
+      return {
+        ...result,
+        tasks: result.tasks.map(task => ({ ...task, highlights: buildHighlights(task, terms) }))
+      };
+    }
+
+    // Full-text mode: words go to the search backend, everything else stays a filter
+    const filter = await Task.buildTaskQuery(userId, { ...filters, q: searchTerm, fullText: true });
+    const { tasks, pagination } = sortBy === 'relevance'
+      ? await this.searchByRelevance(filter, terms, { page, limit, after: filters.after, before: filters.before })
+      : await this.searchBySortKey(filter, terms, { page, limit, sortBy, sortOrder, after: filters.after, before: filters.before });
+
+    return {
+      tasks: tasks.map(task => ({
+        ...task,
+        progress: Task.calculateProgress(task),
+        highlights: buildHighlights(task, terms)
+      })),
+      pagination
+    };
+  }
+
+
+  async searchByRelevance(filter, terms, options) {
+    const { page, limit, after, before } = options;
+    const token = after || before;
+
+    // Scores cannot be range-queried, so relevance cursors carry the result position
+    let skip = (page - 1) * limit;
+    let take = limit;
+
+    if (token) {
+      const cursor = decodeCursor(token);
+
+      if (cursor.s !== 'relevance' || !Number.isInteger(cursor.o) || cursor.o < 0) {
+        throw new Error('Invalid cursor');
+      }
+
+      skip = after ? cursor.o + 1 : Math.max(0, cursor.o - limit);
+      take = after ? limit : cursor.o - skip;
+    }
+
+    const { tasks, total } = take > 0
+      ? await searchService.search(filter, terms, { sort: null, skip, limit: take })
+      : { tasks: [], total: 0 };
+
+    const end = skip + tasks.length;
+    const cursors = {
+      nextCursor: tasks.length > 0 && end < total ? encodeCursor({ s: 'relevance', o: end - 1 }) : null,
+      prevCursor: tasks.length > 0 && skip > 0 ? encodeCursor({ s: 'relevance', o: skip }) : null
+    };
+
+    return {
+      tasks,
+      pagination: token
+        ? { limit, ...cursors }
+        : { current: page, pages: Math.ceil(total / limit), total, limit, ...cursors }
+    };
+  }
+
+
+  async searchBySortKey(filter, terms, options) {
+    const { page, limit, sortBy, sortOrder, after, before } = options;
+
+    if (!after && !before) {
+      const { tasks, total } = await searchService.search(filter, terms, {
+        sort: cursorSort(sortBy, sortOrder),
+        skip: (page - 1) * limit,
+        limit
+      });
+      const pages = Math.ceil(total / limit);
+
+      return {
+        tasks,
+        pagination: {
+          current: page,
+          pages,
+          total,
+          limit,
+          nextCursor: page < pages && tasks.length > 0 ? createCursor(tasks[tasks.length - 1], sortBy) : null,
+          prevCursor: page > 1 && tasks.length > 0 ? createCursor(tasks[0], sortBy) : null
+        }
+      };
+    }
+
+    const direction = after ? 'after' : 'before';
+    const cursor = readCursor(after || before, sortBy);
+    const { tasks: found } = await searchService.search(
+      { ...filter, $and: [...filter.$and, cursorFilter(sortBy, sortOrder, cursor, direction)] },
+      terms,
+      { sort: cursorSort(sortBy, sortOrder, direction), skip: 0, limit: limit + 1 }
+    );
+
+    const hasMore = found.length > limit;
+    const tasks = found.slice(0, limit);
+
+    if (direction === 'before') {
+      tasks.reverse();
+    }
+
+    return {
+      tasks,
+      pagination: { limit, ...getPageCursors(tasks, { sortBy, direction, hasMore }) }
+    };
+  }
+
+
+  async exportTasks(userId, options = {}) {
+    const { format = 'csv', icsType = 'todo', sortBy = 'createdAt', sortOrder = 'desc', ...filters } = options;
+    const query = await Task.buildTaskQuery(userId, filters);
+
+    if (format === 'ics') {
+      // Only tasks with a due date have a place in a calendar
+      query.$and.push({ dueDate: { $ne: null } });
+    }
+
+    const formats = {
+      csv: {
+        contentType: 'text/csv; charset=utf-8',
+        header: csv.taskHeader(),
+        formatTask: task => csv.formatTask(task),
+        footer: ''
+      },
+      json: {
+        contentType: 'application/json; charset=utf-8',
+        header: '[',
+        formatTask: (task, index) => (index > 0 ? ',' : '') + JSON.stringify({ ...task, progress: Task.calculateProgress(task) }),
+        footer: ']'
+      },
+      ics: {
+        contentType: 'text/calendar; charset=utf-8',
+        header: ical.calendarHeader({ name: 'Tasks' }),
+        formatTask: task => ical.formatTask(task, { type: icsType }),
+        footer: ical.calendarFooter()
+      }
+    };
+
+    const { header, formatTask, footer, contentType } = formats[format];
+
+    // Tasks are read from a database cursor and written as they arrive, never buffered as a whole
+    const cursor = Task.find(query)
+      .select('-attachments.storageKey')
+      .sort(cursorSort(sortBy, sortOrder))
+      .lean()
+      .cursor();
+
+    async function* generate() {
+      try {
+        yield header;
+
+        let index = 0;
+        for await (const task of cursor) {
+          yield formatTask(task, index);
+          index++;
+        }
+
+        yield footer;
+      } finally {
+        // Also runs when the stream is destroyed early (client gone)
+        await cursor.close();
+      }
+    }
+
+    return {
+      contentType,
+      extension: format,
+      stream: Readable.from(generate())
+    };
+  }
+
+
+  getImportMaxRows() {
+    return parseInt(process.env.IMPORT_MAX_ROWS) || 1000;
+  }
+
+
+  readImportRecords(file, format) {
+    // Format from the form field, else from the file name or its content type
+    const extension = (file.originalname || '').split('.').pop().toLowerCase();
+    const detected = format
+      || (['csv', 'json'].includes(extension) ? extension : null)
+      || (['text/csv', 'application/csv', 'text/x-csv'].includes(file.mimetype) ? 'csv' : null)
+      || (['application/json', 'text/json'].includes(file.mimetype) ? 'json' : null);
+
+    if (!detected) {
+      throw new Error('Could not detect the import format, pass format=csv or format=json');
+    }
+
+    const text = file.buffer.toString('utf8');
+
+    if (detected === 'csv') {
+      return csv.parseRecords(text).records;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(text.charCodeAt(0) === 0xfeff ? text.slice(1) : text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    // An array of tasks (as exported) or { tasks: [...] }
+    const records = Array.isArray(data) ? data : data && data.tasks;
+
+    if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+      throw new Error('Invalid JSON: expected an array of task objects');
+    }
+
+    return records;
+  }
+
+
+  mapImportRecord(record, mapping = {}) {
+    // Take each task field from its mapped column (or the column of the same name).
+    // CSV values arrive without the formula guard of exports (see csv.parseRecords).
+    const data = {};
+
+    IMPORT_FIELDS.forEach(field => {
+      let value = record[mapping[field] || field];
+
+      if (typeof value === 'string') {
+        value = value.trim();
+      }
+
+      if (value === undefined || value === null || value === '') {
+        return;
+      }
+
+      if (field === 'tags' && typeof value === 'string') {
+        value = value.split(/[;,]/).map(tag => tag.trim()).filter(Boolean);
+      }
+
+      if (field === 'priority' && typeof value === 'string') {
+        value = value.toLowerCase();
+      }
+
+      if (field === 'dueDate' && typeof value === 'string') {
+        // Spreadsheets often hold plain days; anything Date can read becomes ISO 8601
+        const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00.000Z` : value);
+        value = Number.isNaN(date.getTime()) ? value : date.toISOString();
+      }
+
+      data[field] = value;
+    });
+
+    return data;
+  }
+
+
+  async validateImportRecords(records, options, userId) {
+    // Rows are numbered from 1, not counting a CSV header line
+    const projects = new Map();
+    const workflows = new Map();
+    const rows = [];
+
+    for (const [index, record] of records.entries()) {
+      const row = index + 1;
+      const parsed = createTaskSchema.shape.body.safeParse(this.mapImportRecord(record, options.mapping));
+
+      if (!parsed.success) {
+        rows.push({
+          row,
+          errors: parsed.error.errors.map(error => ({ field: error.path.join('.'), message: error.message }))
+        });
+        continue;
+      }
+
+      const taskData = parsed.data;
+      const projectKey = String(taskData.project || null);
+
+      if (!projects.has(projectKey)) {
+        try {
+          if (taskData.project) {
+            await projectService.assertAssignable(taskData.project, userId);
+          }
+          projects.set(projectKey, null);
+        } catch (error) {
+          projects.set(projectKey, error.message);
+        }
+      }
+
+      if (projects.get(projectKey)) {
+        rows.push({ row, errors: [{ field: 'project', message: projects.get(projectKey) }] });
+        continue;
+      }
+
+      if (!workflows.has(projectKey)) {
+        workflows.set(projectKey, await projectService.getWorkflow(taskData.project));
+      }
+
+      const workflow = workflows.get(projectKey);
+      const status = taskData.status || getFirstStatus(workflow, 'todo');
+
+      try {
+        rows.push({ row, taskData: { ...taskData, status, statusCategory: this.getStatusCategory(workflow, status) } });
+      } catch (error) {
+        rows.push({ row, errors: [{ field: 'status', message: error.message }] });
+      }
+    }
+
+    return rows;
+  }
+
+
+  async importTasks(file, options, userId, workspace = null) {
+    const { format, dryRun = false, skipInvalid = false } = options;
+    const records = this.readImportRecords(file, format);
+    const maxRows = this.getImportMaxRows();
+
+    if (records.length === 0) {
+      throw new Error('The import file contains no tasks');
+    }
+
+    if (records.length > maxRows) {
+      throw new Error(`Imports are limited to ${maxRows} tasks`);
+    }
+
+    const rows = await this.validateImportRecords(records, options, userId);
+    const valid = rows.filter(row => row.taskData);
+    const errors = rows.filter(row => row.errors).map(({ row, errors }) => ({ row, errors }));
+
+    const summary = {
+      dryRun,
+      total: rows.length,
+      valid: valid.length,
+      invalid: errors.length,
+      created: 0,
+      skipped: errors.length,
+      errors
+    };
+
+    if (dryRun) {
+      return summary;
+    }
+
+    if (errors.length > 0 && !skipInvalid) {
+      const error = new Error(`Import rejected: ${errors.length} of ${rows.length} rows are invalid`);
+      error.code = 'INVALID_ROWS';
+      error.rows = errors;
+      throw error;
+    }
+
+    if (valid.length === 0) {
+      return summary;
+    }
+
+    // Every valid row is created, or none of them
+    const tasks = await withRetryableTransaction(async (session) => {
+      const nextRanks = new Map();
+      const now = new Date();
+
+      for (const { taskData } of valid) {
+        if (!nextRanks.has(taskData.status)) {
+          nextRanks.set(taskData.status, await Task.getNextRank(userId, taskData.status, workspace));
+        }
+      }
+
+      const documents = valid.map(({ taskData }) => {
+        const rank = nextRanks.get(taskData.status);
+        nextRanks.set(taskData.status, rank + RANK_STEP);
+
+        return {
+          ...taskData,
+          completedAt: taskData.statusCategory === 'done' ? now : null,
+          rank,
+          createdBy: userId,
+          assignee: userId,
+          workspace
+        };
+      });
+
+      const created = await Task.insertMany(documents, { session });
+
+      await activityService.recordMany(created.map(task => ({
+        task,
+        actor: userId,
+        action: 'created',
+        changes: activityService.diff({}, activityService.snapshot(task)),
+        bulk: true
+      })), session);
+
+      return created;
+    }, 3); // Retry up to 3 times on transient errors
+
+    // Emit WebSocket events once the transaction committed
+    tasks.forEach(task => webSocketService.emitTaskCreated(userId, task));
+
+    return {
+      ...summary,
+      created: tasks.length,
+      taskIds: tasks.map(task => task._id)
+    };
+  }
+
+
+  async getTasksDueToday(userId) {
+    const today = new Date();
+    const startOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    const endOfDay = new Date(today.getFullYear(), today.getMonth(), today.getDate() + 1);
+
+    const tasks = await Task.find({
+      $or: [{ createdBy: userId }, { assignee: userId }],
+      deletedAt: null,
+      statusCategory: { $ne: 'done' },
+      dueDate: {
+        $gte: startOfDay,
+        $lt: endOfDay
+      }
+    }).sort({ dueDate: 1 });
+
+    return tasks;
+  }
+
+
+  async getTasksDueThisWeek(userId) {
+    const today = new Date();
+    const startOfWeek = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay());
+    const endOfWeek = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay() + 7);
+
+    const tasks = await Task.find({
+      $or: [{ createdBy: userId }, { assignee: userId }],
+      deletedAt: null,
+      statusCategory: { $ne: 'done' },
+      dueDate: {
+        $gte: startOfWeek,
+        $lt: endOfWeek
+      }
+    }).sort({ dueDate: 1 });
+
+    return tasks;
+  }
+
+ 
+  createRankAllocator() {
+    // Bottom-of-column ranks for several tasks moving in one transaction: tasks
+    // going to the same column line up one after another
+    const nextRanks = new Map();
+
+    return async (task, status) => {
+      const columnKey = `${task.createdBy}:${task.workspace}:${status}`;
+      const rank = nextRanks.has(columnKey)
+        ? nextRanks.get(columnKey)
+        : await Task.getNextRank(task.createdBy, status, task.workspace);
+
+      nextRanks.set(columnKey, rank + RANK_STEP);
+      return rank;
+    };
+  }
+
+ 
+  async bulkUpdateTasks(taskIds, updateData, userId) {
+    const { ignoreBlockers, ...fields } = updateData;
+
+    const { response, completedTasks } = await withRetryableTransaction(async (session) => {
+      // Verify the user may edit every task within transaction
+      const tasks = await Task.find({
+        _id: { $in: taskIds },
+        deletedAt: null
+      }).session(session);
+
+      if (tasks.length !== taskIds.length || !(await this.hasRoleForAll(tasks, userId, EDIT_ROLES))) {
+        throw new Error('Some tasks not found or access denied');
+      }
+
+      // Same checks as a single update, per task: project ownership, the workflow of
+      // the (new) project, transitions and blockers
+      const workflows = new Map();
+      const getNextRank = this.createRankAllocator();
+      const operations = [];
+
+      const getWorkflow = async (project) => {
+        const projectKey = String(project);
+
+        if (!workflows.has(projectKey)) {
+          workflows.set(projectKey, await projectService.getWorkflow(project));
+        }
+
+        return workflows.get(projectKey);
+      };
+
+      for (const task of tasks) {
+        const update = {
+          ...fields,
+          updatedAt: new Date() // Ensure updatedAt is set
+        };
+
+        // Projects belong to the task owner, also when an editor makes the change
+        if (fields.project && fields.project.toString() !== String(task.project)) {
+          await projectService.assertAssignable(fields.project, task.createdBy);
+        }
+
+        const projectChanged = fields.project !== undefined && String(fields.project) !== String(task.project);
+        const workflow = await getWorkflow(projectChanged ? fields.project : task.project);
+        let status = fields.status;
+
+        // A task moving to a project whose workflow lacks its status keeps its category
+        if (!status && !findStatus(workflow, task.status)) {
+          status = getFirstStatus(workflow, task.statusCategory) || getFirstStatus(workflow, 'todo');
+          update.status = status;
+        }
+
+        if (status && status !== task.status) {
+          update.statusCategory = this.getStatusCategory(workflow, status);
+
+          // Transitions are checked within a workflow; switching projects remaps freely
+          if (!projectChanged) {
+            this.assertTransition(workflow, task.status, status);
+          }
+
+          // Same rule as a single update: blocked tasks only start or finish with the override
+          if (['active', 'done'].includes(update.statusCategory) && !ignoreBlockers) {
+            await this.assertNotBlocked(task).catch(error => {
+              throw new Error(`${error.message} (task '${task.title}')`);
+            });
+          }
+
+          update.completedAt = update.statusCategory === 'done' ? (task.completedAt || new Date()) : null;
+          update.rank = await getNextRank(task, status);
+        }
+
+        if (task.recurrence && update.dueDate === null) {
+          throw new Error('Recurring tasks require a due date');
+        }
+
+        operations.push({
+          updateOne: {
+            filter: { _id: task._id, deletedAt: null },
+            update: { $set: update }
+          }
+        });
+      }
+
+      // Update all tasks within transaction
+      const result = await Task.bulkWrite(operations, { session });
+
+      const updatedTasks = await Task.find({ _id: { $in: taskIds } }).session(session);
+      const beforeById = new Map(tasks.map(task => [task._id.toString(), activityService.snapshot(task)]));
+      const completedIds = new Set(tasks.filter(task => task.statusCategory === 'done').map(task => task._id.toString()));
+
+      await activityService.recordMany(updatedTasks.map(task => {
+        const before = beforeById.get(task._id.toString());
+        const wasCompleted = completedIds.has(task._id.toString());
+        return {
+          task,
+          actor: userId,
+          action: !wasCompleted && task.statusCategory === 'done' ? 'completed' : 'updated',
+          changes: activityService.diff(before, activityService.snapshot(task)),
+          bulk: true
+        };
+      }).filter(entry => entry.changes.length > 0), session);
+
+      return {
+        response: {
+          message: `${result.modifiedCount} tasks updated successfully`,
+          modifiedCount: result.modifiedCount,
+          taskIds: taskIds
+        },
+        completedTasks: updatedTasks.filter(task =>
+          !completedIds.has(task._id.toString()) && task.statusCategory === 'done'
+        )
+      };
+    }, 3); // Retry up to 3 times on transient errors
+
+    // Recurring tasks completed in bulk continue their series once the update is committed
+    for (const task of completedTasks) {
+      await this.createNextOccurrence(task, userId);
+    }
+
+    return response;
+  }
+
+
+  async bulkDeleteTasks(taskIds, userId) {
+    const result = await withRetryableTransaction(async (session) => {
+      // Verify the user may delete every task within transaction
+      const tasks = await Task.find({
+        _id: { $in: taskIds },
+        deletedAt: null
+      }).session(session);
+
+      if (tasks.length !== taskIds.length || !(await this.hasRoleForAll(tasks, userId, MANAGE_ROLES))) {
+        throw new Error('Some tasks not found or access denied');
+      }
+
+      // Store task details before deletion for audit/logging
+      const tasksToDelete = tasks.map(task => ({
+        id: task._id,
+        title: task.title,
+        status: task.status
+      }));
+
+      await activityService.recordMany(tasks.map(task => ({
+        task,
+        actor: userId,
+        action: 'deleted',
+        bulk: true
+      })), session);
+
+      // Move all tasks to the trash within transaction
+      const result = await Task.updateMany(
+        {
+          _id: { $in: tasks.map(task => task._id) },
+          deletedAt: null
+        },
+        {
+          deletedAt: new Date(),
+          deletedBy: userId
+        },
+        { session }
+      );
+
+      return {
+        message: `${result.modifiedCount} tasks moved to trash successfully`,
+        deletedCount: result.modifiedCount,
+        deletedTasks: tasksToDelete
+      };
+    }, 3); // Retry up to 3 times on transient errors
+
+    // Emit WebSocket events once the transaction committed
+    result.deletedTasks.forEach(task => webSocketService.emitTaskDeleted(userId, task.id));
+
+    return result;
+  }
+
+
+  getTrashRetentionDays() {
+    return parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+  }
+
+
+  async getTrash(userId, options = {}) {
+    const result = await Task.getTrashedTasks(userId, options);
+    const retentionMs = this.getTrashRetentionDays() * 24 * 60 * 60 * 1000;
+
+    return {
+      tasks: result.tasks.map(task => ({
+        ...task,
+        purgeAt: new Date(task.deletedAt.getTime() + retentionMs)
+      })),
+      pagination: result.pagination
+    };
+  }
+
+
+  async getTrashedTask(taskId, userId) {
+    const task = await Task.findById(taskId);
+
+    if (!task || !task.isTrashed()) {
+      throw new Error('Task not found in trash');
+    }
+
+    if (!MANAGE_ROLES.includes(await this.getTaskRole(task, userId))) {
+      throw new Error('Access denied: Only the task owner or a workspace admin can restore this task');
+    }
+
+    return task;
+  }
+
+
+  async restoreTask(taskId, userId) {
+    const task = await this.getTrashedTask(taskId, userId);
+
+    task.deletedAt = null;
+    task.deletedBy = null;
+    task.rank = await Task.getNextRank(task.createdBy, task.status, task.workspace);
+    await task.save();
+
+    await activityService.record({
+      task,
+      actor: userId,
+      action: 'restored'
+    });
+
+    // Emit WebSocket event for real-time updates
+    webSocketService.emitTaskRestored(userId, task);
+
+    return task;
+  }
+
+
+  async bulkRestoreTasks(taskIds, userId) {
+    const restored = await withRetryableTransaction(async (session) => {
+      // Verify the user may restore every task within transaction
+      const tasks = await Task.find({
+        _id: { $in: taskIds },
+        deletedAt: { $ne: null }
+      }).session(session);
+
+      if (tasks.length !== taskIds.length || !(await this.hasRoleForAll(tasks, userId, MANAGE_ROLES))) {
+        throw new Error('Some tasks not found in trash or access denied');
+      }
+
+      const getNextRank = this.createRankAllocator();
+
+      for (const task of tasks) {
+        task.deletedAt = null;
+        task.deletedBy = null;
+        task.rank = await getNextRank(task, task.status);
+        await task.save({ session });
+      }
+
+      await activityService.recordMany(tasks.map(task => ({
+        task,
+        actor: userId,
+        action: 'restored',
+        bulk: true
+      })), session);
+
+      return tasks;
+    }, 3); // Retry up to 3 times on transient errors
+
+    // Emit WebSocket events once the transaction committed
+    restored.forEach(task => webSocketService.emitTaskRestored(userId, task));
+
+    return {
+      message: `${restored.length} tasks restored successfully`,
+      restoredCount: restored.length,
+      taskIds: restored.map(task => task._id)
+    };
+  }
+
+
+  async permanentlyDeleteTask(taskId, userId) {
+    const task = await Task.findById(taskId);
+
+    if (!task) {
+      throw new Error('Task not found');
+    }
+
+    if (!MANAGE_ROLES.includes(await this.getTaskRole(task, userId))) {
+      throw new Error('Access denied: Only the task owner or a workspace admin can delete this task');
+    }
+
+    await this.purgeTasks([task], userId);
+
+    if (!task.isTrashed()) {
+      // Emit WebSocket event for real-time updates
+      webSocketService.emitTaskDeleted(userId, task._id, task);
+    }
+
+    return { message: 'Task permanently deleted successfully' };
+  }
+
+
+  async emptyTrash(userId, options = {}) {
+    // Only the trash of the active scope (personal or workspace) is emptied
+    const tasks = await Task.find({ ...Task.trashScopeFor(userId, options), deletedAt: { $ne: null } });
+
+    await this.purgeTasks(tasks, userId);
+
+    return {
+      message: `${tasks.length} tasks permanently deleted successfully`,
+      deletedCount: tasks.length
+    };
+  }
+
+
+  async purgeExpiredTrash() {
+    const cutoff = new Date(Date.now() - this.getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+    const tasks = await Task.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+    await this.purgeTasks(tasks, null);
+
+    return { purgedCount: tasks.length };
+  }
+
+
+  async purgeTasks(tasks, actorId) {
+    if (tasks.length === 0) {
+      return;
+    }
+
+    const taskIds = tasks.map(task => task._id);
+
+    await withRetryableTransaction(async (session) => {
+      await activityService.recordMany(tasks.map(task => ({
+        task,
+        actor: actorId,
+        action: 'purged',
+        changes: activityService.diff(activityService.snapshot(task), {})
+      })), session);
+
+      await Task.deleteMany({ _id: { $in: taskIds } }, { session });
+
+      // Deleted tasks no longer block anything
+      await Task.updateMany(
+        { blockedBy: { $in: taskIds } },
+        { $pull: { blockedBy: { $in: taskIds } } },
+        { session }
+      );
+      await Comment.deleteMany({ task: { $in: taskIds } }, { session });
+    }, 3); // Retry up to 3 times on transient errors
+
+    // Files live outside the database, so remove them once the transaction committed
+    await this.removeAttachmentFiles(tasks);
+  }
+
+
+  async removeAttachmentFiles(tasks) {
+    const storageKeys = tasks.flatMap(task => task.attachments.map(attachment => attachment.storageKey));
+
+    await Promise.all(storageKeys.map(key =>
+      storageService.delete(key).catch(error => {
+        console.error(`Failed to delete attachment file ${key}:`, error.message);
+      })
+    ));
   }
 }
 
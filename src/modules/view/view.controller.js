@@ -0,0 +1,178 @@
+const viewService = require('./view.service');
+const {
+  sendSuccess,
+  sendError,
+  sendCreated,
+  sendUpdated,
+  sendDeleted,
+  sendPaginatedResponse,
+  sendNotFoundError,
+  sendConflictError,
+  sendAuthorizationError
+} = require('../../utils/response.util');
+
+
+class ViewController {
+
+  async createView(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const view = await viewService.createView(req.body, userId);
+
+      return sendCreated(res, view, 'View created successfully');
+    } catch (error) {
+      if (error.message === 'View name already exists') {
+        return sendConflictError(res, error.message, 'name');
+      }
+
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+
+      return sendError(res, error.message || 'Failed to create view', 400);
+    }
+  }
+
+
+  async getViews(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const views = await viewService.getViews(userId);
+
+      return sendSuccess(res, views, 'Views retrieved successfully');
+    } catch (error) {
+      return sendError(res, error.message || 'Failed to retrieve views', 500);
+    }
+  }
+
+
+  async getViewCounts(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const counts = await viewService.getViewCounts(userId);
+
+      return sendSuccess(res, counts, 'View counts retrieved successfully');
+    } catch (error) {
+      return sendError(res, error.message || 'Failed to retrieve view counts', 500);
+    }
+  }
+
+
+  async getDefaultView(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const view = await viewService.getDefaultView(userId);
+
+      return sendSuccess(res, view, 'Default view retrieved successfully');
+    } catch (error) {
+      if (error.message === 'View not found') {
+        return sendNotFoundError(res, 'No default view set', 'view');
+      }
+
+      return sendError(res, error.message || 'Failed to retrieve default view', 500);
+    }
+  }
+
+
+  async getViewById(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+
+      const view = await viewService.getViewById(id, userId);
+
+      return sendSuccess(res, view, 'View retrieved successfully');
+    } catch (error) {
+      if (error.message === 'View not found') {
+        return sendNotFoundError(res, 'View not found', 'view');
+      }
+
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+
+      return sendError(res, error.message || 'Failed to retrieve view', 500);
+    }
+  }
+
+
+  async updateView(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+
+      const view = await viewService.updateView(id, req.body, userId);
+
+      return sendUpdated(res, view, 'View updated successfully');
+    } catch (error) {
+      if (error.message === 'View not found') {
+        return sendNotFoundError(res, 'View not found', 'view');
+      }
+
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+
+      if (error.message === 'View name already exists') {
+        return sendConflictError(res, error.message, 'name');
+      }
+
+      return sendError(res, error.message || 'Failed to update view', 400);
+    }
+  }
+
+
+  async deleteView(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+
+      const result = await viewService.deleteView(id, userId);
+
+      return sendDeleted(res, result.message);
+    } catch (error) {
+      if (error.message === 'View not found') {
+        return sendNotFoundError(res, 'View not found', 'view');
+      }
+
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+
+      return sendError(res, error.message || 'Failed to delete view', 500);
+    }
+  }
+
+
+  async getViewTasks(req, res) {
+    try {
+      const { id } = req.params;
+      const userId = req.user._id;
+
+      const result = await viewService.getViewTasks(id, userId, req.query);
+
+      return sendPaginatedResponse(
+        res,
+        result.tasks,
+        result.pagination,
+        'View tasks retrieved successfully'
+      );
+    } catch (error) {
+      if (error.message === 'View not found') {
+        return sendNotFoundError(res, 'View not found', 'view');
+      }
+
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+
+      return sendError(res, error.message || 'Failed to retrieve view tasks', 500);
+    }
+  }
+}
+
+module.exports = new ViewController();
@@ -0,0 +1,48 @@
+const express = require('express');
+const viewController = require('./view.controller');
+const { protect } = require('../../middleware/auth.middleware');
+const { validate } = require('../../middleware/validate.middleware');
+const {
+  createViewSchema,
+  updateViewSchema,
+  viewByIdSchema,
+  getViewTasksSchema
+} = require('../../schemas/view.schema');
+
+const router = express.Router();
+
+/**
+ * Saved View Routes
+ * All routes require authentication
+ */
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+
+// Create a new view
+router.post('/', validate(createViewSchema), viewController.createView);
+
+// Get all views of the authenticated user
+router.get('/', viewController.getViews);
+
+// Get the number of tasks each view currently matches (sidebar)
+router.get('/counts', viewController.getViewCounts);
+
+// Get the default view
+router.get('/default', viewController.getDefaultView);
+
+// Get a specific view by ID
+router.get('/:id', validate(viewByIdSchema), viewController.getViewById);
+
+// Update a specific view
+router.patch('/:id', validate(updateViewSchema), viewController.updateView);
+
+// Delete a specific view
+router.delete('/:id', validate(viewByIdSchema), viewController.deleteView);
+
+
+// Run a view: get its tasks with pagination
+router.get('/:id/tasks', validate(getViewTasksSchema), viewController.getViewTasks);
+
+module.exports = router;
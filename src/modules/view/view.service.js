@@ -0,0 +1,179 @@
+const View = require('../../models/View.model');
+const Task = require('../../models/Task.model');
+const workspaceService = require('../workspace/workspace.service');
+
+/**
+ * View Service
+ * Handles saved task list views (named filter + sort definitions)
+ */
+class ViewService {
+
+  async createView(viewData, userId) {
+    const { name, workspace = null, filters, sortBy, sortOrder, isDefault = false } = viewData;
+
+    const existing = await View.findOne({ owner: userId, name });
+
+    if (existing) {
+      throw new Error('View name already exists');
+    }
+
+    if (workspace) {
+      await this.getScope({ workspace }, userId);
+    }
+
+    if (isDefault) {
+      await this.clearDefault(userId);
+    }
+
+    const view = new View({
+      name,
+      owner: userId,
+      workspace,
+      filters,
+      sortBy,
+      sortOrder,
+      isDefault
+    });
+
+    await view.save();
+
+    return view;
+  }
+
+
+  async getViews(userId) {
+    return await View.find({ owner: userId }).sort({ isDefault: -1, name: 1 });
+  }
+
+
+  async getViewById(viewId, userId) {
+    const view = await View.findById(viewId);
+
+    if (!view) {
+      throw new Error('View not found');
+    }
+
+    if (!view.isOwnedBy(userId)) {
+      throw new Error('Access denied: You can only access your own views');
+    }
+
+    return view;
+  }
+
+
+  async getDefaultView(userId) {
+    const view = await View.findOne({ owner: userId, isDefault: true });
+
+    if (!view) {
+      throw new Error('View not found');
+    }
+
+    return view;
+  }
+
+
+  async updateView(viewId, updateData, userId) {
+    const view = await this.getViewById(viewId, userId);
+
+    if (updateData.name && updateData.name !== view.name) {
+      const existing = await View.findOne({ owner: userId, name: updateData.name });
+
+      if (existing) {
+        throw new Error('View name already exists');
+      }
+    }
+
+    if (updateData.workspace) {
+      await this.getScope({ workspace: updateData.workspace }, userId);
+    }
+
+    if (updateData.isDefault && !view.isDefault) {
+      await this.clearDefault(userId);
+    }
+
+    Object.keys(updateData).forEach(key => {
+      if (updateData[key] !== undefined) {
+        view[key] = updateData[key];
+      }
+    });
+
+    await view.save();
+
+    return view;
+  }
+
+
+  async deleteView(viewId, userId) {
+    const view = await this.getViewById(viewId, userId);
+
+    await View.findByIdAndDelete(view._id);
+
+    return { message: 'View deleted successfully' };
+  }
+
+
+  async getViewTasks(viewId, userId, options = {}) {
+    const view = await this.getViewById(viewId, userId);
+    const { page, limit } = options;
+
+    return await Task.getTasksByUser(userId, {
+      ...view.toQueryOptions(),
+      ...(await this.getScope(view, userId)),
+      page,
+      limit
+    });
+  }
+
+
+  async getViewCounts(userId) {
+    const views = await this.getViews(userId);
+
+    // Counted on every request so the sidebar always reflects the current tasks
+    return await Promise.all(views.map(async view => {
+      let count = null;
+
+      try {
+        count = await Task.countTasks(userId, {
+          ...view.toQueryOptions(),
+          ...(await this.getScope(view, userId))
+        });
+      } catch (error) {
+        // A view of a workspace the user has left has no count, but stays listed
+        if (!error.message.includes('Access denied')) {
+          throw error;
+        }
+      }
+
+      return {
+        _id: view._id,
+        name: view.name,
+        workspace: view.workspace,
+        isDefault: view.isDefault,
+        count
+      };
+    }));
+  }
+
+
+  async getScope(view, userId) {
+    if (!view.workspace) {
+      return {};
+    }
+
+    const workspaceRole = await workspaceService.getMemberRole(view.workspace, userId);
+
+    if (!workspaceRole) {
+      throw new Error('Access denied: You are not a member of this view\'s workspace');
+    }
+
+    return { workspace: view.workspace, workspaceRole };
+  }
+
+
+  async clearDefault(userId) {
+    // Only one view per user can be the default
+    await View.updateMany({ owner: userId, isDefault: true }, { isDefault: false });
+  }
+}
+
+module.exports = new ViewService();
@@ -0,0 +1,203 @@
+const workspaceService = require('./workspace.service');
+const {
+  sendSuccess,
+  sendError,
+  sendCreated,
+  sendUpdated,
+  sendDeleted,
+  sendNotFoundError,
+  sendConflictError,
+  sendAuthorizationError
+} = require('../../utils/response.util');
+
+
+class WorkspaceController {
+
+  async createWorkspace(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const workspace = await workspaceService.createWorkspace(req.body, userId);
+
+      return sendCreated(res, workspace, 'Workspace created successfully');
+    } catch (error) {
+      return sendError(res, error.message || 'Failed to create workspace', 400);
+    }
+  }
+
+
+  async getWorkspaces(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const workspaces = await workspaceService.getWorkspaces(userId);
+
+      return sendSuccess(res, workspaces, 'Workspaces retrieved successfully');
+    } catch (error) {
+      return sendError(res, error.message || 'Failed to retrieve workspaces', 500);
+    }
+  }
+
+
+  async getWorkspaceById(req, res) {
+    try {
+      return sendSuccess(
+        res,
+        { ...req.workspace.toJSON(), role: req.workspaceRole },
+        'Workspace retrieved successfully'
+      );
+    } catch (error) {
+      return sendError(res, error.message || 'Failed to retrieve workspace', 500);
+    }
+  }
+
+
+  async updateWorkspace(req, res) {
+    try {
+      const workspace = await workspaceService.updateWorkspace(req.workspace, req.body);
+
+      return sendUpdated(res, workspace, 'Workspace updated successfully');
+    } catch (error) {
+      return sendError(res, error.message || 'Failed to update workspace', 400);
+    }
+  }
+
+
+  async deleteWorkspace(req, res) {
+    try {
+      const result = await workspaceService.deleteWorkspace(req.workspace);
+
+      return sendDeleted(res, result.message);
+    } catch (error) {
+      return sendError(res, error.message || 'Failed to delete workspace', 500);
+    }
+  }
+
+
+  async getMembers(req, res) {
+    try {
+      const members = await workspaceService.getMembers(req.workspace);
+
+      return sendSuccess(res, members, 'Workspace members retrieved successfully');
+    } catch (error) {
+      return sendError(res, error.message || 'Failed to retrieve workspace members', 500);
+    }
+  }
+
+
+  async updateMember(req, res) {
+    try {
+      const { userId: memberId } = req.params;
+      const { role } = req.body;
+      const userId = req.user._id;
+
+      const members = await workspaceService.updateMemberRole(req.workspace, memberId, role, userId);
+
+      return sendUpdated(res, members, 'Member role updated successfully');
+    } catch (error) {
+      if (error.message === 'Member not found') {
+        return sendNotFoundError(res, 'Member not found', 'member');
+      }
+
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+
+      return sendError(res, error.message || 'Failed to update member', 400);
+    }
+  }
+
+
+  async removeMember(req, res) {
+    try {
+      const { userId: memberId } = req.params;
+      const userId = req.user._id;
+
+      const result = await workspaceService.removeMember(req.workspace, memberId, userId);
+
+      return sendDeleted(res, result.message);
+    } catch (error) {
+      if (error.message === 'Member not found') {
+        return sendNotFoundError(res, 'Member not found', 'member');
+      }
+
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+
+      return sendError(res, error.message || 'Failed to remove member', 500);
+    }
+  }
+
+
+  async inviteMember(req, res) {
+    try {
+      const userId = req.user._id;
+
+      const result = await workspaceService.inviteMember(req.workspace, req.body, userId);
+
+      return sendCreated(res, result, 'Invitation sent successfully');
+    } catch (error) {
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+
+      if (error.message === 'User is already a member of this workspace') {
+        return sendConflictError(res, error.message, 'email');
+      }
+
+      return sendError(res, error.message || 'Failed to create invitation', 400);
+    }
+  }
+
+
+  async getInvitations(req, res) {
+    try {
+      const invitations = await workspaceService.getInvitations(req.workspace);
+
+      return sendSuccess(res, invitations, 'Invitations retrieved successfully');
+    } catch (error) {
+      return sendError(res, error.message || 'Failed to retrieve invitations', 500);
+    }
+  }
+
+
+  async revokeInvitation(req, res) {
+    try {
+      const { invitationId } = req.params;
+
+      const result = await workspaceService.revokeInvitation(req.workspace, invitationId);
+
+      return sendDeleted(res, result.message);
+    } catch (error) {
+      if (error.message === 'Invitation not found') {
+        return sendNotFoundError(res, 'Invitation not found', 'invitation');
+      }
+
+      return sendError(res, error.message || 'Failed to revoke invitation', 500);
+    }
+  }
+
+
+  async acceptInvitation(req, res) {
+    try {
+      const { token } = req.body;
+
+      const workspace = await workspaceService.acceptInvitation(token, req.user);
+
+      return sendSuccess(res, workspace, 'Invitation accepted successfully');
+    } catch (error) {
+      if (error.message === 'Workspace not found') {
+        return sendNotFoundError(res, 'Workspace not found', 'workspace');
+      }
+
+      if (error.message.includes('Access denied')) {
+        return sendAuthorizationError(res, error.message);
+      }
+
+      return sendError(res, error.message || 'Failed to accept invitation', 400, null, 'INVALID_INVITATION');
+    }
+  }
+}
+
+module.exports = new WorkspaceController();
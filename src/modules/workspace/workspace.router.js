@@ -0,0 +1,68 @@
+const express = require('express');
+const workspaceController = require('./workspace.controller');
+const { protect, restrictTo } = require('../../middleware/auth.middleware');
+const { resolveWorkspace } = require('../../middleware/workspace.middleware');
+const { validate } = require('../../middleware/validate.middleware');
+const {
+  createWorkspaceSchema,
+  updateWorkspaceSchema,
+  workspaceByIdSchema,
+  updateMemberSchema,
+  removeMemberSchema,
+  inviteMemberSchema,
+  revokeInvitationSchema,
+  acceptInvitationSchema
+} = require('../../schemas/workspace.schema');
+
+const router = express.Router();
+
+/**
+ * Workspace Routes
+ * All routes require authentication; workspace routes also require membership
+ * Tasks of a workspace live under /api/workspaces/:workspaceId/tasks (see server.js)
+ */
+
+// Apply authentication middleware to all routes
+router.use(protect);
+
+
+// Create a new workspace (the creator becomes its owner)
+router.post('/', validate(createWorkspaceSchema), workspaceController.createWorkspace);
+
+// Get the workspaces the authenticated user belongs to
+router.get('/', workspaceController.getWorkspaces);
+
+// Accept an invitation to join a workspace
+router.post('/invitations/accept', validate(acceptInvitationSchema), workspaceController.acceptInvitation);
+
+
+// Get a specific workspace
+router.get('/:workspaceId', validate(workspaceByIdSchema), resolveWorkspace(), workspaceController.getWorkspaceById);
+
+// Update a workspace
+router.patch('/:workspaceId', validate(updateWorkspaceSchema), resolveWorkspace(), restrictTo('owner', 'admin'), workspaceController.updateWorkspace);
+
+// Delete a workspace (its tasks go back to their creators)
+router.delete('/:workspaceId', validate(workspaceByIdSchema), resolveWorkspace(), restrictTo('owner'), workspaceController.deleteWorkspace);
+
+
+// Get the members of a workspace
+router.get('/:workspaceId/members', validate(workspaceByIdSchema), resolveWorkspace(), workspaceController.getMembers);
+
+// Change a member's role
+router.patch('/:workspaceId/members/:userId', validate(updateMemberSchema), resolveWorkspace(), restrictTo('owner', 'admin'), workspaceController.updateMember);
+
+// Remove a member (or leave the workspace)
+router.delete('/:workspaceId/members/:userId', validate(removeMemberSchema), resolveWorkspace(), workspaceController.removeMember);
+
+
+// Invite a user to the workspace by email
+router.post('/:workspaceId/invitations', validate(inviteMemberSchema), resolveWorkspace(), restrictTo('owner', 'admin'), workspaceController.inviteMember);
+
+// Get pending invitations of a workspace
+router.get('/:workspaceId/invitations', validate(workspaceByIdSchema), resolveWorkspace(), restrictTo('owner', 'admin'), workspaceController.getInvitations);
+
+// Revoke a pending invitation
+router.delete('/:workspaceId/invitations/:invitationId', validate(revokeInvitationSchema), resolveWorkspace(), restrictTo('owner', 'admin'), workspaceController.revokeInvitation);
+
+module.exports = router;
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const Workspace = require('../../models/Workspace.model');
+const WorkspaceInvitation = require('../../models/WorkspaceInvitation.model');
+const Task = require('../../models/Task.model');
+const userService = require('../auth/user.service');
+const webSocketService = require('../../services/websocket.service');
+const mailService = require('../../services/mail.service');
+
+/**
+ * Workspace Service
+ * Handles workspaces, their members and invitations
+ */
+class WorkspaceService {
+
+  getInvitationExpiryDays() {
+    const days = parseInt(process.env.WORKSPACE_INVITE_EXPIRES_DAYS, 10);
+    return Number.isInteger(days) && days > 0 ? days : 7;
+  }
+
+
+  async createWorkspace(workspaceData, userId) {
+    const { name, description } = workspaceData;
+
+    const workspace = new Workspace({
+      name,
+      description,
+      owner: userId,
+      members: [{ user: userId, role: 'owner' }]
+    });
+
+    await workspace.save();
+
+    webSocketService.updateWorkspaceMember(workspace._id, userId, 'owner');
+
+    return workspace;
+  }
+
+
+  async getWorkspaces(userId) {
+    const workspaces = await Workspace.find({ 'members.user': userId }).sort({ createdAt: -1 });
+
+    return workspaces.map(workspace => ({
+      ...workspace.toJSON(),
+      role: workspace.getRoleFor(userId)
+    }));
+  }
+
+
+  async getMemberRole(workspaceId, userId) {
+    const workspace = await Workspace.findById(workspaceId).select('members');
+    return workspace ? workspace.getRoleFor(userId) : null;
+  }
+
+
+  async updateWorkspace(workspace, updateData) {
+    Object.keys(updateData).forEach(key => {
+      if (updateData[key] !== undefined) {
+        workspace[key] = updateData[key];
+      }
+    });
+
+    await workspace.save();
+
+    return workspace;
+  }
+
+
+  async deleteWorkspace(workspace) {
+    await Workspace.findByIdAndDelete(workspace._id);
+    await WorkspaceInvitation.deleteMany({ workspace: workspace._id });
+
+    // Tasks outlive their workspace; they go back to their creators
+    const result = await Task.updateMany(
+      { workspace: workspace._id },
+      { workspace: null }
+    );
+
+    webSocketService.closeWorkspaceRoom(workspace._id);
+
+    return {
+      message: 'Workspace deleted successfully',
+      releasedTasks: result.modifiedCount
+    };
+  }
+
+
+  async getMembers(workspace) {
+    await workspace.populate('members.user', 'username email');
+    return workspace.members;
+  }
+
+
+  async updateMemberRole(workspace, memberId, role, userId) {
+    const member = workspace.members.find(item => item.user.toString() === memberId.toString());
+
+    if (!member) {
+      throw new Error('Member not found');
+    }
+
+    if (member.role === 'owner') {
+      throw new Error('Access denied: The workspace owner\'s role cannot be changed');
+    }
+
+    // Admins manage members and guests; only the owner changes admins
+    if (member.role === 'admin' && !workspace.isOwnedBy(userId)) {
+      throw new Error('Access denied: Only the workspace owner can change an admin\'s role');
+    }
+
+    if (role === 'admin' && !workspace.isOwnedBy(userId)) {
+      throw new Error('Access denied: Only the workspace owner can promote admins');
+    }
+
+    member.role = role;
+    await workspace.save();
+
+    webSocketService.updateWorkspaceMember(workspace._id, memberId, role);
+
+    return await this.getMembers(workspace);
+  }
+
+
+  async removeMember(workspace, memberId, userId) {
+    const member = workspace.members.find(item => item.user.toString() === memberId.toString());
+
+    if (!member) {
+      throw new Error('Member not found');
+    }
+
+    if (member.role === 'owner') {
+      throw new Error('Access denied: The workspace owner cannot leave or be removed');
+    }
+
+    // Members may leave on their own; removing others needs an admin
+    const isLeaving = memberId.toString() === userId.toString();
+    const role = workspace.getRoleFor(userId);
+
+    if (!isLeaving) {
+      if (!['owner', 'admin'].includes(role)) {
+        throw new Error('Access denied: Only workspace admins can remove members');
+      }
+
+      if (member.role === 'admin' && role !== 'owner') {
+        throw new Error('Access denied: Only the workspace owner can remove an admin');
+      }
+    }
+
+    workspace.members = workspace.members.filter(item => item.user.toString() !== memberId.toString());
+    await workspace.save();
+
+    webSocketService.updateWorkspaceMember(workspace._id, memberId, null);
+
+    return { message: isLeaving ? 'You left the workspace successfully' : 'Member removed successfully' };
+  }
+
+
+  async inviteMember(workspace, invitationData, userId) {
+    const { email, role = 'member' } = invitationData;
+    const normalizedEmail = email.toLowerCase();
+
+    if (role === 'admin' && !workspace.isOwnedBy(userId)) {
+      throw new Error('Access denied: Only the workspace owner can invite admins');
+    }
+
+    const existingUser = await userService.findByEmail(normalizedEmail);
+
+    if (existingUser && workspace.isMember(existingUser._id)) {
+      throw new Error('User is already a member of this workspace');
+    }
+
+    // A new invitation replaces any pending one for the same address
+    await WorkspaceInvitation.deleteMany({
+      workspace: workspace._id,
+      email: normalizedEmail,
+      acceptedAt: null
+    });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + this.getInvitationExpiryDays() * 24 * 60 * 60 * 1000);
+
+    const invitation = await WorkspaceInvitation.create({
+      workspace: workspace._id,
+      email: normalizedEmail,
+      role,
+      tokenHash: WorkspaceInvitation.hashToken(token),
+      invitedBy: userId,
+      expiresAt
+    });
+
+    // The plain token only travels in the email to the invitee, never back to the inviter
+    const inviter = await userService.findById(userId);
+    const acceptUrl = `${process.env.WORKSPACE_INVITE_URL || 'http://localhost:4200/invitations/accept'}?token=${token}`;
+
+    mailService.send({
+      to: normalizedEmail,
+      subject: `You have been invited to ${workspace.name}`,
+      text: [
+        'Hi,',
+        '',
+        `${inviter ? inviter.username : 'A workspace admin'} invited you to join the workspace "${workspace.name}" as ${role === 'admin' ? 'an admin' : `a ${role}`}.`,
+        'Open this link to accept (sign up first with this email address if you have no account):',
+        '',
+        acceptUrl,
+        '',
+        `The invitation expires in ${this.getInvitationExpiryDays()} days.`
+      ].join('\n')
+    }).catch(error => console.error('Failed to send workspace invitation email:', error.message));
+
+    return { invitation };
+  }
+
+
+  async getInvitations(workspace) {
+    return await WorkspaceInvitation.find({
+      workspace: workspace._id,
+      acceptedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('invitedBy', 'username')
+      .sort({ createdAt: -1 });
+  }
+
+
+  async revokeInvitation(workspace, invitationId) {
+    const invitation = await WorkspaceInvitation.findOneAndDelete({
+      _id: invitationId,
+      workspace: workspace._id,
+      acceptedAt: null
+    });
+
+    if (!invitation) {
+      throw new Error('Invitation not found');
+    }
+
+    return { message: 'Invitation revoked successfully' };
+  }
+
+
+  async acceptInvitation(token, user) {
+    const invitation = await WorkspaceInvitation.findOne({
+      tokenHash: WorkspaceInvitation.hashToken(token)
+    });
+
+    if (!invitation || !invitation.isPending()) {
+      throw new Error('Invitation is invalid or has expired');
+    }
+
+    if (invitation.email !== user.email) {
+      throw new Error('Access denied: This invitation was sent to a different email address');
+    }
+
+    const workspace = await Workspace.findById(invitation.workspace);
+
+    if (!workspace) {
+      throw new Error('Workspace not found');
+    }
+
+    if (!workspace.isMember(user._id)) {
+      workspace.members.push({ user: user._id, role: invitation.role });
+      await workspace.save();
+
+      webSocketService.updateWorkspaceMember(workspace._id, user._id, invitation.role);
+    }
+
+    invitation.acceptedAt = new Date();
+    invitation.acceptedBy = user._id;
+    await invitation.save();
+
+    return {
+      ...workspace.toJSON(),
+      role: workspace.getRoleFor(user._id)
+    };
+  }
+}
+
+module.exports = new WorkspaceService();
@@ -0,0 +1,56 @@
+const { z } = require('zod');
+
+/**
+ * Activity related Zod validation schemas
+ */
+
+// Pagination query shared by history and feed
+const paginationQuery = {
+  page: z
+    .string()
+    .regex(/^\d+$/, 'Page must be a positive number')
+    .transform(Number)
+    .refine(val => val > 0, 'Page must be greater than 0')
+    .optional()
+    .default('1'),
+  
+  limit: z
+    .string()
+    .regex(/^\d+$/, 'Limit must be a positive number')
+    .transform(Number)
+    .refine(val => val > 0 && val <= 100, 'Limit must be between 1 and 100')
+    .optional()
+    .default('20')
+};
+
+// Task history schema
+const getTaskHistorySchema = z.object({
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid task ID format')
+  }),
+  
+  query: z.object(paginationQuery)
+});
+
+// User-wide activity feed schema
+const getActivityFeedSchema = z.object({
+  query: z.object({
+    ...paginationQuery,
+    
+    action: z
+      .enum(['created', 'updated', 'completed', 'assigned', 'deleted', 'restored', 'purged'])
+      .optional(),
+    
+    task: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid task ID format')
+      .optional()
+  })
+});
+
+module.exports = {
+  getTaskHistorySchema,
+  getActivityFeedSchema
+};
@@ -0,0 +1,31 @@
+const { z } = require('zod');
+
+/**
+ * Attachment related Zod validation schemas
+ */
+
+// Task ID params
+const taskIdParams = z.object({
+  id: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid task ID format')
+});
+
+// Upload / list attachments schema
+const taskAttachmentsSchema = z.object({
+  params: taskIdParams
+});
+
+// Download / delete attachment schema
+const attachmentByIdSchema = z.object({
+  params: taskIdParams.extend({
+    attachmentId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid attachment ID format')
+  })
+});
+
+module.exports = {
+  taskAttachmentsSchema,
+  attachmentByIdSchema
+};
@@ -66,6 +66,35 @@ const changePasswordSchema = z.object({
   })
 });
 
+// Refresh token schema
+const refreshTokenSchema = z.object({
+  body: z.object({
+    refreshToken: z
+      .string({ required_error: 'Refresh token is required' })
+      .min(1, 'Refresh token is required')
+      .max(2048, 'Refresh token is too long')
+  })
+});
+
+// Logout schema (the refresh token of the device, so it stops working too)
+const logoutSchema = z.object({
+  body: z.object({
+    refreshToken: z
+      .string()
+      .max(2048, 'Refresh token is too long')
+      .optional()
+  })
+});
+
+// Session ID params schema
+const sessionIdSchema = z.object({
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid session ID format')
+  })
+});
+
 // Forgot password schema
 const forgotPasswordSchema = z.object({
   body: z.object({
@@ -78,9 +107,54 @@ const forgotPasswordSchema = z.object({
   })
 });
 
+// Reset password schema (token from the emailed link)
+const resetPasswordSchema = z.object({
+  body: z.object({
+    token: z
+      .string({ required_error: 'Reset token is required' })
+      .regex(/^[0-9a-f]{64}$/, 'Invalid reset token'),
+    
+    newPassword: z
+      .string()
+      .min(8, 'New password must be at least 8 characters long')
+      .max(128, 'New password must not exceed 128 characters')
+      .regex(
+        /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/,
+        'New password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'
+      )
+  })
+});
+
+// Verify email schema (token from the emailed link)
+const verifyEmailSchema = z.object({
+  query: z.object({
+    token: z
+      .string({ required_error: 'Verification token is required' })
+      .regex(/^[0-9a-f]{64}$/, 'Invalid verification token')
+  })
+});
+
+// Resend verification email schema
+const resendVerificationSchema = z.object({
+  body: z.object({
+    email: z
+      .string()
+      .email('Please provide a valid email address')
+      .min(5, 'Email must be at least 5 characters long')
+      .max(255, 'Email must not exceed 255 characters')
+      .toLowerCase()
+  })
+});
+
 module.exports = {
   registerSchema,
   loginSchema,
   changePasswordSchema,
-  forgotPasswordSchema
+  refreshTokenSchema,
+  logoutSchema,
+  sessionIdSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  resendVerificationSchema
 };
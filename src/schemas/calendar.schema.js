@@ -0,0 +1,46 @@
+const { z } = require('zod');
+const { TaskPriority } = require('./task.schema');
+
+/**
+ * Calendar feed related Zod validation schemas
+ */
+
+// Comma separated list of values, e.g. "high,urgent"
+const listOf = (item, message) => z
+  .string()
+  .transform(value => value.split(',').map(entry => entry.trim()).filter(Boolean))
+  .pipe(z.array(item).min(1, message).max(10, 'Cannot filter by more than 10 values'));
+
+// Get calendar feed schema (public, the token is the only credential)
+const getCalendarFeedSchema = z.object({
+  params: z.object({
+    token: z
+      .string()
+      .regex(/^[0-9a-f]{64}$/, 'Invalid feed token')
+  }),
+
+  query: z.object({
+    // Project ID or 'none'
+    project: z
+      .string()
+      .regex(/^([0-9a-fA-F]{24}|none)$/, 'Project must be a valid project ID or "none"')
+      .optional(),
+
+    tag: listOf(z.string().max(50, 'Tag must not exceed 50 characters'), 'At least one tag is required')
+      .optional(),
+
+    priority: listOf(TaskPriority, 'At least one priority is required')
+      .optional(),
+
+    type: z
+      .enum(['todo', 'event'], {
+        errorMap: () => ({ message: 'iCalendar type must be either todo or event' })
+      })
+      .optional()
+      .default('todo')
+  })
+});
+
+module.exports = {
+  getCalendarFeedSchema
+};
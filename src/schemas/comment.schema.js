@@ -0,0 +1,85 @@
+const { z } = require('zod');
+
+/**
+ * Comment related Zod validation schemas
+ */
+
+// Task ID params
+const taskIdParams = z.object({
+  id: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid task ID format')
+});
+
+// Task + comment ID params
+const commentParams = taskIdParams.extend({
+  commentId: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid comment ID format')
+});
+
+// Comment body
+const CommentBody = z
+  .string()
+  .min(1, 'Comment cannot be empty')
+  .max(2000, 'Comment must not exceed 2000 characters')
+  .trim();
+
+// Create comment schema
+const createCommentSchema = z.object({
+  params: taskIdParams,
+  
+  body: z.object({
+    body: CommentBody,
+    
+    parentId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid parent comment ID format')
+      .optional()
+      .nullable()
+  })
+});
+
+// Update comment schema
+const updateCommentSchema = z.object({
+  params: commentParams,
+  
+  body: z.object({
+    body: CommentBody
+  })
+});
+
+// Delete comment schema
+const deleteCommentSchema = z.object({
+  params: commentParams
+});
+
+// Get comments query schema
+const getCommentsSchema = z.object({
+  params: taskIdParams,
+  
+  query: z.object({
+    page: z
+      .string()
+      .regex(/^\d+$/, 'Page must be a positive number')
+      .transform(Number)
+      .refine(val => val > 0, 'Page must be greater than 0')
+      .optional()
+      .default('1'),
+    
+    limit: z
+      .string()
+      .regex(/^\d+$/, 'Limit must be a positive number')
+      .transform(Number)
+      .refine(val => val > 0 && val <= 100, 'Limit must be between 1 and 100')
+      .optional()
+      .default('20')
+  })
+});
+
+module.exports = {
+  createCommentSchema,
+  updateCommentSchema,
+  deleteCommentSchema,
+  getCommentsSchema
+};
@@ -0,0 +1,125 @@
+const { z } = require('zod');
+
+/**
+ * Project related Zod validation schemas
+ */
+
+// Project ID params
+const projectIdParams = z.object({
+  id: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid project ID format')
+});
+
+// Create project schema
+const createProjectSchema = z.object({
+  body: z.object({
+    name: z
+      .string()
+      .min(1, 'Project name is required')
+      .max(100, 'Project name must not exceed 100 characters')
+      .trim(),
+    
+    description: z
+      .string()
+      .max(500, 'Project description must not exceed 500 characters')
+      .trim()
+      .optional(),
+    
+    color: z
+      .string()
+      .regex(/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #1E90FF')
+      .optional()
+  })
+});
+
+// Update project schema
+const updateProjectSchema = z.object({
+  params: projectIdParams,
+  
+  body: z.object({
+    name: z
+      .string()
+      .min(1, 'Project name is required')
+      .max(100, 'Project name must not exceed 100 characters')
+      .trim()
+      .optional(),
+    
+    description: z
+      .string()
+      .max(500, 'Project description must not exceed 500 characters')
+      .trim()
+      .optional(),
+    
+    color: z
+      .string()
+      .regex(/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #1E90FF')
+      .optional()
+  }).refine(
+    (data) => Object.keys(data).length > 0,
+    { message: 'At least one field must be provided for update' }
+  )
+});
+
+// Get / delete / archive project by ID schema
+const projectByIdSchema = z.object({
+  params: projectIdParams
+});
+
+// Get projects query schema
+const getProjectsQuerySchema = z.object({
+  query: z.object({
+    archived: z
+      .enum(['true', 'false', 'all'])
+      .optional()
+      .default('false')
+  })
+});
+
+// Workflow status schema
+const workflowStatusSchema = z.object({
+  key: z
+    .string()
+    .trim()
+    .toLowerCase()
+    .regex(/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Status key must be a lowercase slug like "in-review"')
+    .max(30, 'Status key must not exceed 30 characters'),
+
+  name: z
+    .string()
+    .min(1, 'Status name is required')
+    .max(50, 'Status name must not exceed 50 characters')
+    .trim(),
+
+  category: z.enum(['todo', 'active', 'done'], {
+    errorMap: () => ({ message: 'Category must be either todo, active, or done' })
+  })
+});
+
+// Update workflow schema (an empty transitions list allows every transition)
+const updateWorkflowSchema = z.object({
+  params: projectIdParams,
+
+  body: z.object({
+    statuses: z
+      .array(workflowStatusSchema)
+      .min(1, 'A workflow needs at least one status')
+      .max(20, 'A workflow must not have more than 20 statuses'),
+
+    transitions: z
+      .array(z.object({
+        from: z.string().trim().min(1, 'Transition source is required'),
+        to: z.string().trim().min(1, 'Transition target is required')
+      }))
+      .optional()
+      .default([])
+  })
+});
+
+module.exports = {
+  createProjectSchema,
+  updateProjectSchema,
+  projectByIdSchema,
+  getProjectsQuerySchema,
+  updateWorkflowSchema
+};
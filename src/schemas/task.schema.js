@@ -1,8 +1,16 @@
 const { z } = require('zod');
 
-// Task status enum
-const TaskStatus = z.enum(['pending', 'in-progress', 'completed'], {
-  errorMap: () => ({ message: 'Status must be either pending, in-progress, or completed' })
+// Task status key (statuses are defined by the project workflow and checked by the service)
+const TaskStatus = z
+  .string()
+  .trim()
+  .toLowerCase()
+  .regex(/^[a-z0-9]+(-[a-z0-9]+)*$/, 'Status must be a lowercase slug like "in-progress"')
+  .max(30, 'Status must not exceed 30 characters');
+
+// Task status category enum
+const StatusCategory = z.enum(['todo', 'active', 'done'], {
+  errorMap: () => ({ message: 'Category must be either todo, active, or done' })
 });
 
 // Task priority enum
@@ -10,6 +18,64 @@ const TaskPriority = z.enum(['low', 'medium', 'high', 'urgent'], {
   errorMap: () => ({ message: 'Priority must be either low, medium, high, or urgent' })
 });
 
+// Subtask title schema
+const SubtaskTitle = z
+  .string()
+  .min(1, 'Subtask title is required')
+  .max(100, 'Subtask title must not exceed 100 characters')
+  .trim();
+
+// Recurrence rule schema
+const RecurrenceRule = z.object({
+  frequency: z.enum(['daily', 'weekly', 'monthly', 'custom'], {
+    errorMap: () => ({ message: 'Frequency must be either daily, weekly, monthly, or custom' })
+  }),
+
+  interval: z
+    .number()
+    .int('Interval must be a whole number')
+    .min(1, 'Interval must be at least 1')
+    .max(365, 'Interval must not exceed 365')
+    .optional()
+    .default(1),
+
+  unit: z
+    .enum(['day', 'week', 'month'], {
+      errorMap: () => ({ message: 'Unit must be either day, week, or month' })
+    })
+    .optional(),
+
+  weekdays: z
+    .array(z.number().int().min(0, 'Weekday must be between 0 and 6').max(6, 'Weekday must be between 0 and 6'))
+    .max(7, 'Cannot have more than 7 weekdays')
+    .optional(),
+
+  dayOfMonth: z
+    .number()
+    .int()
+    .min(1, 'Day of month must be between 1 and 31')
+    .max(31, 'Day of month must be between 1 and 31')
+    .optional(),
+
+  endDate: z
+    .string()
+    .datetime({ message: 'End date must be a valid ISO 8601 datetime' })
+    .transform(date => new Date(date))
+    .optional()
+    .nullable(),
+
+  count: z
+    .number()
+    .int()
+    .min(1, 'Count must be at least 1')
+    .max(1000, 'Count must not exceed 1000')
+    .optional()
+    .nullable()
+}).refine(
+  (rule) => rule.frequency !== 'custom' || rule.unit,
+  { message: 'Custom recurrence requires a unit', path: ['unit'] }
+);
+
 // Create task schema
 const createTaskSchema = z.object({
   body: z.object({
@@ -25,7 +91,7 @@ const createTaskSchema = z.object({
       .max(500, 'Task description must not exceed 500 characters')
       .trim(),
     
-    status: TaskStatus.optional().default('pending'),
+    status: TaskStatus.optional(),
     
     priority: TaskPriority.optional().default('medium'),
     
@@ -40,7 +106,27 @@ const createTaskSchema = z.object({
       .array(z.string().min(1, 'Tag cannot be empty').max(50, 'Tag must not exceed 50 characters'))
       .max(10, 'Cannot have more than 10 tags')
       .optional()
-      .default([])
+      .default([]),
+
+    subtasks: z
+      .array(z.object({ title: SubtaskTitle }))
+      .max(50, 'Cannot have more than 50 subtasks')
+      .optional()
+      .default([]),
+
+    autoComplete: z
+      .boolean()
+      .optional(),
+
+    recurrence: RecurrenceRule
+      .optional()
+      .nullable(),
+
+    project: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid project ID format')
+      .optional()
+      .nullable()
   })
 });
 
@@ -81,6 +167,25 @@ const updateTaskSchema = z.object({
     tags: z
       .array(z.string().min(1, 'Tag cannot be empty').max(50, 'Tag must not exceed 50 characters'))
       .max(10, 'Cannot have more than 10 tags')
+      .optional(),
+
+    autoComplete: z
+      .boolean()
+      .optional(),
+
+    recurrence: RecurrenceRule
+      .optional()
+      .nullable(),
+
+    project: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid project ID format')
+      .optional()
+      .nullable(),
+
+    // Allow moving to an active or done status while blockers are still open
+    ignoreBlockers: z
+      .boolean()
       .optional()
   }).refine(
     (data) => Object.keys(data).length > 0,
@@ -111,6 +216,8 @@ const getTasksQuerySchema = z.object({
   query: z.object({
     status: TaskStatus.optional(),
     
+    category: StatusCategory.optional(),
+    
     priority: TaskPriority.optional(),
     
     page: z
@@ -130,7 +237,7 @@ const getTasksQuerySchema = z.object({
       .default('10'),
     
     sortBy: z
-      .enum(['createdAt', 'updatedAt', 'title', 'status'])
+      .enum(['createdAt', 'updatedAt', 'title', 'status', 'rank'])
       .optional()
       .default('createdAt'),
     
@@ -143,26 +250,531 @@ const getTasksQuerySchema = z.object({
       .string()
       .max(100, 'Search term must not exceed 100 characters')
       .trim()
+      .optional(),
+    
+    ready: z
+      .enum(['true', 'false'])
+      .transform(val => val === 'true')
+      .optional(),
+    
+    project: z
+      .string()
+      .regex(/^([0-9a-fA-F]{24}|none)$/, 'Project must be a valid project ID or "none"')
+      .optional(),
+    
+    assignee: z
+      .string()
+      .regex(/^([0-9a-fA-F]{24}|me|none)$/, 'Assignee must be a valid user ID, "me" or "none"')
+      .optional(),
+    
+    // Cursor mode: nextCursor / prevCursor of a previous response (page is then ignored)
+    after: z
+      .string()
+      .max(500, 'Cursor must not exceed 500 characters')
+      .regex(/^[A-Za-z0-9_-]+$/, 'Invalid cursor')
+      .optional(),
+    
+    before: z
+      .string()
+      .max(500, 'Cursor must not exceed 500 characters')
+      .regex(/^[A-Za-z0-9_-]+$/, 'Invalid cursor')
       .optional()
   })
 });
 
+// Export tasks query schema (same filters as the task list, without pagination)
+const exportTasksQuerySchema = z.object({
+  query: getTasksQuerySchema.shape.query
+    .omit({ page: true, limit: true, after: true, before: true })
+    .extend({
+      format: z
+        .enum(['csv', 'json', 'ics'], {
+          errorMap: () => ({ message: 'Format must be either csv, json, or ics' })
+        })
+        .optional()
+        .default('csv'),
+      
+      // iCalendar component for tasks with a due date
+      icsType: z
+        .enum(['todo', 'event'], {
+          errorMap: () => ({ message: 'iCalendar type must be either todo or event' })
+        })
+        .optional()
+        .default('todo')
+    })
+});
+
+// Task fields an import can fill; the mapping names the source column of each
+const IMPORT_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'tags', 'project'];
+
+// Import tasks schema (multipart form fields next to the uploaded file)
+const importTasksSchema = z.object({
+  body: z.object({
+    format: z
+      .enum(['csv', 'json'], {
+        errorMap: () => ({ message: 'Format must be either csv or json' })
+      })
+      .optional(),
+    
+    // JSON object of task field -> source column, e.g. {"title":"Summary","dueDate":"Due"}
+    mapping: z
+      .string()
+      .transform((value, ctx) => {
+        try {
+          return JSON.parse(value);
+        } catch (error) {
+          ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Mapping must be a JSON object' });
+          return z.NEVER;
+        }
+      })
+      .pipe(
+        z.record(
+          z.enum(IMPORT_FIELDS, {
+            errorMap: () => ({ message: `Mapping keys must be one of ${IMPORT_FIELDS.join(', ')}` })
+          }),
+          z.string().min(1, 'Mapped column name cannot be empty').max(100, 'Mapped column name must not exceed 100 characters')
+        )
+      )
+      .optional(),
+    
+    // Validate every row and report errors without creating tasks
+    dryRun: z
+      .enum(['true', 'false'])
+      .transform(val => val === 'true')
+      .optional()
+      .default('false'),
+    
+    // Create the valid rows and report invalid ones as skipped instead of rejecting the import
+    skipInvalid: z
+      .enum(['true', 'false'])
+      .transform(val => val === 'true')
+      .optional()
+      .default('false')
+  })
+});
+
+// Get tasks by status schema
+const getTasksByStatusSchema = z.object({
+  params: z.object({
+    status: TaskStatus
+  }),
+  
+  query: getTasksQuerySchema.shape.query
+});
+
+// Search tasks query schema (q uses the search language, see search.util)
+const searchTasksQuerySchema = z.object({
+  query: getTasksQuerySchema.shape.query.extend({
+    q: z
+      .string()
+      .trim()
+      .min(1, 'Search query is required')
+      .max(500, 'Search query must not exceed 500 characters'),
+    
+    // text: full-text search ranked by relevance; regex: substring matching
+    mode: z
+      .enum(['text', 'regex'])
+      .optional()
+      .default('text'),
+    
+    sortBy: z
+      .enum(['relevance', 'createdAt', 'updatedAt', 'title', 'status', 'rank'])
+      .optional()
+      .default('relevance')
+  })
+});
+
 // Mark task as complete schema
 const markTaskCompleteSchema = z.object({
   params: z.object({
     id: z
       .string()
       .regex(/^[0-9a-fA-F]{24}$/, 'Invalid task ID format')
+  }),
+
+  body: z.object({
+    ignoreBlockers: z
+      .boolean()
+      .optional()
+  }).optional()
+});
+
+// Subtask route params
+const subtaskParams = z.object({
+  id: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid task ID format'),
+
+  subtaskId: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid subtask ID format')
+});
+
+// Add subtask schema
+const addSubtaskSchema = z.object({
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid task ID format')
+  }),
+
+  body: z.object({
+    title: SubtaskTitle
+  })
+});
+
+// Update subtask schema
+const updateSubtaskSchema = z.object({
+  params: subtaskParams,
+
+  body: z.object({
+    title: SubtaskTitle.optional(),
+
+    done: z
+      .boolean()
+      .optional()
+  }).refine(
+    (data) => Object.keys(data).length > 0,
+    { message: 'At least one field must be provided for update' }
+  )
+});
+
+// Delete subtask schema
+const deleteSubtaskSchema = z.object({
+  params: subtaskParams
+});
+
+// Reorder subtasks schema
+const reorderSubtasksSchema = z.object({
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid task ID format')
+  }),
+
+  body: z.object({
+    subtaskIds: z
+      .array(z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid subtask ID format'))
+      .min(1, 'Subtask IDs array is required')
+  })
+});
+
+// Add dependency schema
+const addDependencySchema = z.object({
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid task ID format')
+  }),
+
+  body: z.object({
+    blockerId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid blocker task ID format')
+  })
+});
+
+// Remove dependency schema
+const removeDependencySchema = z.object({
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid task ID format'),
+
+    blockerId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid blocker task ID format')
+  })
+});
+
+// Update whole recurring series schema
+const updateSeriesSchema = z.object({
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid task ID format')
+  }),
+
+  body: z.object({
+    title: z
+      .string()
+      .min(1, 'Task title is required')
+      .max(100, 'Task title must not exceed 100 characters')
+      .trim()
+      .optional(),
+
+    description: z
+      .string()
+      .min(1, 'Task description is required')
+      .max(500, 'Task description must not exceed 500 characters')
+      .trim()
+      .optional(),
+
+    priority: TaskPriority.optional(),
+
+    tags: z
+      .array(z.string().min(1, 'Tag cannot be empty').max(50, 'Tag must not exceed 50 characters'))
+      .max(10, 'Cannot have more than 10 tags')
+      .optional(),
+
+    autoComplete: z
+      .boolean()
+      .optional(),
+
+    recurrence: RecurrenceRule.optional()
+  }).refine(
+    (data) => Object.keys(data).length > 0,
+    { message: 'At least one field must be provided for update' }
+  )
+});
+
+// Preview upcoming occurrences schema
+const previewOccurrencesSchema = z.object({
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid task ID format')
+  }),
+
+  query: z.object({
+    count: z
+      .string()
+      .regex(/^\d+$/, 'Count must be a positive number')
+      .transform(Number)
+      .refine(val => val > 0 && val <= 50, 'Count must be between 1 and 50')
+      .optional()
+      .default('5')
+  })
+});
+
+// Move task on the board schema
+const moveTaskSchema = z.object({
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid task ID format')
+  }),
+
+  body: z.object({
+    status: TaskStatus.optional(),
+
+    // Task that should end up directly above the moved task
+    beforeId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid before task ID format')
+      .optional()
+      .nullable(),
+
+    // Task that should end up directly below the moved task
+    afterId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid after task ID format')
+      .optional()
+      .nullable(),
+
+    ignoreBlockers: z
+      .boolean()
+      .optional()
+  })
+});
+
+// Get board query schema
+const getBoardQuerySchema = z.object({
+  query: z.object({
+    priority: TaskPriority.optional(),
+
+    project: z
+      .string()
+      .regex(/^([0-9a-fA-F]{24}|none)$/, 'Project must be a valid project ID or "none"')
+      .optional(),
+
+    limit: z
+      .string()
+      .regex(/^\d+$/, 'Limit must be a positive number')
+      .transform(Number)
+      .refine(val => val > 0 && val <= 500, 'Limit must be between 1 and 500')
+      .optional()
+      .default('100')
+  })
+});
+
+// Get trash query schema
+const getTrashQuerySchema = z.object({
+  query: z.object({
+    page: z
+      .string()
+      .regex(/^\d+$/, 'Page must be a positive number')
+      .transform(Number)
+      .refine(val => val > 0, 'Page must be greater than 0')
+      .optional()
+      .default('1'),
+
+    limit: z
+      .string()
+      .regex(/^\d+$/, 'Limit must be a positive number')
+      .transform(Number)
+      .refine(val => val > 0 && val <= 100, 'Limit must be between 1 and 100')
+      .optional()
+      .default('10')
+  })
+});
+
+// Assign task schema (null unassigns the task)
+const assignTaskSchema = z.object({
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid task ID format')
+  }),
+
+  body: z.object({
+    assignee: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid assignee ID format')
+      .nullable()
+  })
+});
+
+// Task analytics query schema
+const getAnalyticsQuerySchema = z.object({
+  query: z.object({
+    by: z
+      .enum(['creator', 'assignee'])
+      .optional()
+      .default('creator')
+  })
+});
+
+// Collaborator role enum
+const CollaboratorRole = z.enum(['viewer', 'editor'], {
+  errorMap: () => ({ message: 'Role must be either viewer or editor' })
+});
+
+const collaboratorParams = z.object({
+  id: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid task ID format'),
+
+  userId: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID format')
+});
+
+// Share task schema (invite by username or email)
+const addCollaboratorSchema = z.object({
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid task ID format')
+  }),
+
+  body: z.object({
+    username: z
+      .string()
+      .trim()
+      .min(1, 'Username cannot be empty')
+      .optional(),
+
+    email: z
+      .string()
+      .trim()
+      .email('Please provide a valid email address')
+      .optional(),
+
+    role: CollaboratorRole.optional().default('viewer')
+  }).refine(
+    data => Boolean(data.username) !== Boolean(data.email),
+    'Provide either a username or an email'
+  )
+});
+
+// Change collaborator role schema
+const updateCollaboratorSchema = z.object({
+  params: collaboratorParams,
+
+  body: z.object({
+    role: CollaboratorRole
+  })
+});
+
+// Remove collaborator schema
+const removeCollaboratorSchema = z.object({
+  params: collaboratorParams
+});
+
+// Task IDs of a bulk operation
+const bulkTaskIds = z
+  .array(z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid task ID format'), {
+    required_error: 'Task IDs array is required'
+  })
+  .min(1, 'Task IDs array is required')
+  .max(100, 'Cannot change more than 100 tasks at once')
+  .refine(ids => new Set(ids).size === ids.length, { message: 'Task IDs must be unique' });
+
+// Bulk update schema: the fields a single update may change, except the recurrence
+// rule (series are edited through PATCH /:id/series)
+const bulkUpdateTasksSchema = z.object({
+  body: z.object({
+    taskIds: bulkTaskIds,
+
+    updateData: updateTaskSchema.shape.body.innerType()
+      .pick({
+        title: true,
+        description: true,
+        status: true,
+        priority: true,
+        dueDate: true,
+        tags: true,
+        autoComplete: true,
+        project: true,
+        ignoreBlockers: true
+      })
+      .strict()
+      .refine(
+        (data) => Object.keys(data).some(key => key !== 'ignoreBlockers'),
+        { message: 'At least one field must be provided for update' }
+      )
+  })
+});
+
+// Bulk delete and restore schema
+const bulkTaskIdsSchema = z.object({
+  body: z.object({
+    taskIds: bulkTaskIds
   })
 });
 
 module.exports = {
   TaskStatus,
+  StatusCategory,
   TaskPriority,
+  IMPORT_FIELDS,
   createTaskSchema,
   updateTaskSchema,
   getTaskByIdSchema,
   deleteTaskSchema,
   getTasksQuerySchema,
-  markTaskCompleteSchema
+  markTaskCompleteSchema,
+  addSubtaskSchema,
+  updateSubtaskSchema,
+  deleteSubtaskSchema,
+  reorderSubtasksSchema,
+  addDependencySchema,
+  removeDependencySchema,
+  updateSeriesSchema,
+  previewOccurrencesSchema,
+  moveTaskSchema,
+  getBoardQuerySchema,
+  getTrashQuerySchema,
+  assignTaskSchema,
+  getAnalyticsQuerySchema,
+  addCollaboratorSchema,
+  updateCollaboratorSchema,
+  removeCollaboratorSchema,
+  searchTasksQuerySchema,
+  getTasksByStatusSchema,
+  exportTasksQuerySchema,
+  importTasksSchema,
+  bulkUpdateTasksSchema,
+  bulkTaskIdsSchema
 };
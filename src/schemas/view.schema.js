@@ -0,0 +1,154 @@
+const { z } = require('zod');
+const { TaskStatus, StatusCategory, TaskPriority } = require('./task.schema');
+
+/**
+ * Saved view related Zod validation schemas
+ */
+
+// View ID params
+const viewIdParams = z.object({
+  id: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid view ID format')
+});
+
+// View filters (same meaning as the GET /api/tasks query)
+const ViewFilters = z.object({
+  status: TaskStatus.optional(),
+
+  category: StatusCategory.optional(),
+
+  priority: TaskPriority.optional(),
+
+  dueDate: z
+    .string()
+    .datetime({ message: 'Due date must be a valid ISO 8601 datetime' })
+    .transform(date => new Date(date))
+    .optional(),
+
+  search: z
+    .string()
+    .max(100, 'Search term must not exceed 100 characters')
+    .trim()
+    .optional(),
+
+  ready: z
+    .boolean()
+    .optional(),
+
+  project: z
+    .string()
+    .regex(/^([0-9a-fA-F]{24}|none)$/, 'Project must be a valid project ID or "none"')
+    .optional(),
+
+  assignee: z
+    .string()
+    .regex(/^([0-9a-fA-F]{24}|me|none)$/, 'Assignee must be a valid user ID, "me" or "none"')
+    .optional()
+}).strict();
+
+// View sort field enum
+const ViewSortBy = z.enum(['createdAt', 'updatedAt', 'title', 'status', 'rank'], {
+  errorMap: () => ({ message: 'Sort field must be either createdAt, updatedAt, title, status, or rank' })
+});
+
+// View sort order enum
+const ViewSortOrder = z.enum(['asc', 'desc'], {
+  errorMap: () => ({ message: 'Sort order must be either asc or desc' })
+});
+
+// Create view schema
+const createViewSchema = z.object({
+  body: z.object({
+    name: z
+      .string()
+      .min(1, 'View name is required')
+      .max(100, 'View name must not exceed 100 characters')
+      .trim(),
+
+    workspace: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid workspace ID format')
+      .optional()
+      .nullable(),
+
+    filters: ViewFilters.optional().default({}),
+
+    sortBy: ViewSortBy.optional().default('createdAt'),
+
+    sortOrder: ViewSortOrder.optional().default('desc'),
+
+    isDefault: z
+      .boolean()
+      .optional()
+      .default(false)
+  })
+});
+
+// Update view schema (filters, when given, replace the saved ones)
+const updateViewSchema = z.object({
+  params: viewIdParams,
+
+  body: z.object({
+    name: z
+      .string()
+      .min(1, 'View name is required')
+      .max(100, 'View name must not exceed 100 characters')
+      .trim()
+      .optional(),
+
+    workspace: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid workspace ID format')
+      .optional()
+      .nullable(),
+
+    filters: ViewFilters.optional(),
+
+    sortBy: ViewSortBy.optional(),
+
+    sortOrder: ViewSortOrder.optional(),
+
+    isDefault: z
+      .boolean()
+      .optional()
+  }).refine(
+    (data) => Object.keys(data).length > 0,
+    { message: 'At least one field must be provided for update' }
+  )
+});
+
+// Get / delete view by ID schema
+const viewByIdSchema = z.object({
+  params: viewIdParams
+});
+
+// Run view schema
+const getViewTasksSchema = z.object({
+  params: viewIdParams,
+
+  query: z.object({
+    page: z
+      .string()
+      .regex(/^\d+$/, 'Page must be a positive number')
+      .transform(Number)
+      .refine(val => val > 0, 'Page must be greater than 0')
+      .optional()
+      .default('1'),
+
+    limit: z
+      .string()
+      .regex(/^\d+$/, 'Limit must be a positive number')
+      .transform(Number)
+      .refine(val => val > 0 && val <= 100, 'Limit must be between 1 and 100')
+      .optional()
+      .default('10')
+  })
+});
+
+module.exports = {
+  createViewSchema,
+  updateViewSchema,
+  viewByIdSchema,
+  getViewTasksSchema
+};
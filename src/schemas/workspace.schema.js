@@ -0,0 +1,127 @@
+const { z } = require('zod');
+
+/**
+ * Workspace related Zod validation schemas
+ */
+
+// Workspace ID params
+const workspaceIdParams = z.object({
+  workspaceId: z
+    .string()
+    .regex(/^[0-9a-fA-F]{24}$/, 'Invalid workspace ID format')
+});
+
+// Roles a member can be given (ownership is never handed out this way)
+const MemberRole = z.enum(['admin', 'member', 'guest'], {
+  errorMap: () => ({ message: 'Role must be either admin, member, or guest' })
+});
+
+// Create workspace schema
+const createWorkspaceSchema = z.object({
+  body: z.object({
+    name: z
+      .string()
+      .min(1, 'Workspace name is required')
+      .max(100, 'Workspace name must not exceed 100 characters')
+      .trim(),
+
+    description: z
+      .string()
+      .max(500, 'Workspace description must not exceed 500 characters')
+      .trim()
+      .optional()
+  })
+});
+
+// Update workspace schema
+const updateWorkspaceSchema = z.object({
+  params: workspaceIdParams,
+
+  body: z.object({
+    name: z
+      .string()
+      .min(1, 'Workspace name is required')
+      .max(100, 'Workspace name must not exceed 100 characters')
+      .trim()
+      .optional(),
+
+    description: z
+      .string()
+      .max(500, 'Workspace description must not exceed 500 characters')
+      .trim()
+      .optional()
+  }).refine(
+    (data) => Object.keys(data).length > 0,
+    { message: 'At least one field must be provided for update' }
+  )
+});
+
+// Workspace by ID schema (get, delete, members, invitations)
+const workspaceByIdSchema = z.object({
+  params: workspaceIdParams
+});
+
+// Change member role schema
+const updateMemberSchema = z.object({
+  params: workspaceIdParams.extend({
+    userId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID format')
+  }),
+
+  body: z.object({
+    role: MemberRole
+  })
+});
+
+// Remove member schema
+const removeMemberSchema = z.object({
+  params: workspaceIdParams.extend({
+    userId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID format')
+  })
+});
+
+// Invite member schema
+const inviteMemberSchema = z.object({
+  params: workspaceIdParams,
+
+  body: z.object({
+    email: z
+      .string()
+      .trim()
+      .email('Please provide a valid email address'),
+
+    role: MemberRole.optional().default('member')
+  })
+});
+
+// Revoke invitation schema
+const revokeInvitationSchema = z.object({
+  params: workspaceIdParams.extend({
+    invitationId: z
+      .string()
+      .regex(/^[0-9a-fA-F]{24}$/, 'Invalid invitation ID format')
+  })
+});
+
+// Accept invitation schema
+const acceptInvitationSchema = z.object({
+  body: z.object({
+    token: z
+      .string()
+      .regex(/^[0-9a-f]{64}$/, 'Invalid invitation token')
+  })
+});
+
+module.exports = {
+  createWorkspaceSchema,
+  updateWorkspaceSchema,
+  workspaceByIdSchema,
+  updateMemberSchema,
+  removeMemberSchema,
+  inviteMemberSchema,
+  revokeInvitationSchema,
+  acceptInvitationSchema
+};
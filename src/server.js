@@ -15,10 +15,18 @@ const {
   securityHeaders 
 } = require('./middleware/security.middleware');
 const webSocketService = require('./services/websocket.service');
+const trashPurgeService = require('./services/trash-purge.service');
+const Task = require('./models/Task.model');
+const User = require('./models/User.model');
 
 // Import routers
 const authRouter = require('./modules/auth/auth.router');
 const taskRouter = require('./modules/task/task.router');
+const projectRouter = require('./modules/project/project.router');
+const activityRouter = require('./modules/activity/activity.router');
+const workspaceRouter = require('./modules/workspace/workspace.router');
+const viewRouter = require('./modules/view/view.router');
+const calendarRouter = require('./modules/calendar/calendar.router');
 
 /**
  * Task Management Application Server
@@ -78,6 +86,12 @@ class Server {
     // API routes with specific rate limiting
     this.app.use('/api/auth', rateLimiters.auth, authRouter);
     this.app.use('/api/tasks', rateLimiters.tasks, taskRouter);
+    this.app.use('/api/projects', rateLimiters.tasks, projectRouter);
+    this.app.use('/api/activity', rateLimiters.tasks, activityRouter);
+    this.app.use('/api/workspaces/:workspaceId/tasks', rateLimiters.tasks, taskRouter);
+    this.app.use('/api/workspaces', rateLimiters.tasks, workspaceRouter);
+    this.app.use('/api/views', rateLimiters.tasks, viewRouter);
+    this.app.use('/api/calendar', rateLimiters.tasks, calendarRouter);
     
     // Apply bulk operation rate limiting to specific endpoints
     this.app.use('/api/tasks/bulk/*', rateLimiters.bulk);
@@ -91,6 +105,11 @@ class Server {
         endpoints: {
           auth: '/api/auth',
           tasks: '/api/tasks',
+          projects: '/api/projects',
+          activity: '/api/activity',
+          workspaces: '/api/workspaces',
+          views: '/api/views',
+          calendar: '/api/calendar',
           health: '/health'
         },
         documentation: 'https://github.com/your-repo/task-management-api'
@@ -124,6 +143,27 @@ class Server {
       // Connect to database
       await databaseConfig.connect();
       
+      // Split legacy task owners into creator and assignee
+      const migratedTasks = await Task.migrateLegacyOwnership();
+      if (migratedTasks > 0) {
+        console.log(`Migrated ${migratedTasks} task(s) to creator/assignee ownership`);
+      }
+      
+      // Give legacy tasks the category of their default workflow status
+      const categorizedTasks = await Task.migrateStatusCategories();
+      if (categorizedTasks > 0) {
+        console.log(`Migrated ${categorizedTasks} task(s) to workflow status categories`);
+      }
+      
+      // Accounts created before email verification count as verified
+      const verifiedUsers = await User.migrateEmailVerification();
+      if (verifiedUsers > 0) {
+        console.log(`Marked ${verifiedUsers} existing user(s) as email verified`);
+      }
+      
+      // Start background jobs
+      trashPurgeService.start();
+      
       // Start server
       this.server.listen(this.port,'0.0.0.0', () => {
         const securityInfo = getSecurityInfo();
@@ -137,6 +177,10 @@ class Server {
         if (process.env.NODE_ENV === 'development') {
           console.log(`Auth Endpoints: http://localhost:${this.port}/api/auth`);
           console.log(`Task Endpoints: http://localhost:${this.port}/api/tasks`);
+          console.log(`Project Endpoints: http://localhost:${this.port}/api/projects`);
+          console.log(`Workspace Endpoints: http://localhost:${this.port}/api/workspaces`);
+          console.log(`View Endpoints: http://localhost:${this.port}/api/views`);
+          console.log(`Calendar Endpoints: http://localhost:${this.port}/api/calendar`);
           if (!securityInfo.rateLimitingEnabled) {
             console.log(`Rate limiting is DISABLED for development`);
           }
@@ -155,6 +199,9 @@ class Server {
     try {
       console.log('Shutting down server gracefully...');
       
+      // Stop background jobs
+      trashPurgeService.stop();
+      
       // Close database connection
       await databaseConfig.disconnect();
       
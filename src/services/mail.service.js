@@ -0,0 +1,28 @@
+const SmtpMailTransport = require('./mail/smtp.transport');
+const FileMailTransport = require('./mail/file.transport');
+const ConsoleMailTransport = require('./mail/console.transport');
+
+/**
+ * Mail Service
+ * Selects the mail transport from MAIL_TRANSPORT
+ * - console (default): prints messages to the log, for development
+ * - file: writes .eml files to MAIL_DIR, for development and tests
+ * - smtp: delivers through SMTP_HOST
+ */
+const transports = {
+  smtp: () => new SmtpMailTransport(),
+  file: () => new FileMailTransport(),
+  console: () => new ConsoleMailTransport()
+};
+
+const createMailTransport = (driver = process.env.MAIL_TRANSPORT || 'console') => {
+  const factory = transports[driver];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${driver}`);
+  }
+
+  return factory();
+};
+
+module.exports = createMailTransport();
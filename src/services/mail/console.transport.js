@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+const MailTransport = require('./mail.transport');
+
+/**
+ * Console Mail Transport
+ * Prints messages to the server log instead of sending them, for development.
+ * Sent messages are also kept in memory (last 50) so tests can read them back.
+ */
+class ConsoleMailTransport extends MailTransport {
+  constructor(options = {}) {
+    super(options);
+    this.sent = [];
+  }
+
+  async send(message) {
+    const entry = { messageId: crypto.randomUUID(), from: this.from, ...message, sentAt: new Date() };
+
+    this.sent.push(entry);
+    this.sent = this.sent.slice(-50);
+
+    console.log(`Mail to ${entry.to}: ${entry.subject}\n${entry.text}`);
+
+    return { messageId: entry.messageId };
+  }
+}
+
+module.exports = ConsoleMailTransport;
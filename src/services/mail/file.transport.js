@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const MailTransport = require('./mail.transport');
+const { formatMessage } = require('../../utils/mail.util');
+
+/**
+ * File Mail Transport
+ * Writes every message as a .eml file under MAIL_DIR instead of sending it, for
+ * development and tests (any mail client opens the files)
+ */
+class FileMailTransport extends MailTransport {
+  constructor(options = {}) {
+    super(options);
+    this.directory = path.resolve(options.directory || process.env.MAIL_DIR || './mail');
+  }
+
+  async send(message) {
+    const messageId = crypto.randomUUID();
+    const filePath = path.join(this.directory, `${Date.now()}-${messageId}.eml`);
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    await fs.promises.writeFile(filePath, formatMessage({ from: this.from, ...message }));
+
+    return { messageId, path: filePath };
+  }
+}
+
+module.exports = FileMailTransport;
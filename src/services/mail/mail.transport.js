@@ -0,0 +1,21 @@
+/**
+ * Mail Transport
+ * Interface every mail delivery backend implements (SMTP, file, console, ...)
+ * Messages are plain text; the sender defaults to MAIL_FROM
+ */
+class MailTransport {
+  constructor(options = {}) {
+    this.from = options.from || process.env.MAIL_FROM || 'Task Management <no-reply@localhost>';
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { to, subject, text } and optionally { from }
+   * @returns {Promise<Object>} - Delivery info ({ messageId } or transport specific)
+   */
+  async send(message) {
+    throw new Error(`${this.constructor.name} does not implement send()`);
+  }
+}
+
+module.exports = MailTransport;
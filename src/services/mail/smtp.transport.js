@@ -0,0 +1,44 @@
+const nodemailer = require('nodemailer');
+const MailTransport = require('./mail.transport');
+
+/**
+ * SMTP Mail Transport
+ * Delivers messages to an SMTP server through nodemailer. Uses implicit TLS when
+ * SMTP_SECURE=true (port 465), otherwise upgrades with STARTTLS. When SMTP_USER is
+ * set, the upgrade is required so credentials never cross an unencrypted connection,
+ * unless SMTP_ALLOW_INSECURE_AUTH=true (e.g. a local relay without TLS).
+ */
+class SmtpMailTransport extends MailTransport {
+  constructor(options = {}) {
+    super(options);
+
+    const secure = options.secure !== undefined ? options.secure : process.env.SMTP_SECURE === 'true';
+    const user = options.user || process.env.SMTP_USER || null;
+    const allowInsecureAuth = options.allowInsecureAuth !== undefined
+      ? options.allowInsecureAuth
+      : process.env.SMTP_ALLOW_INSECURE_AUTH === 'true';
+    const timeout = options.timeout || parseInt(process.env.SMTP_TIMEOUT_MS) || 10000;
+
+    this.transporter = nodemailer.createTransport({
+      host: options.host || process.env.SMTP_HOST || 'localhost',
+      port: options.port || parseInt(process.env.SMTP_PORT) || (secure ? 465 : 587),
+      secure,
+      requireTLS: Boolean(user) && !secure && !allowInsecureAuth,
+      auth: user ? { user, pass: options.password || process.env.SMTP_PASSWORD || '' } : undefined,
+      connectionTimeout: timeout,
+      greetingTimeout: timeout,
+      socketTimeout: timeout
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail({
+      from: this.from,
+      ...message
+    });
+
+    return { messageId: info.messageId, response: info.response };
+  }
+}
+
+module.exports = SmtpMailTransport;
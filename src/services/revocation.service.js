@@ -0,0 +1,25 @@
+const MongoRevocationAdapter = require('./revocation/mongo.adapter');
+const MemoryRevocationAdapter = require('./revocation/memory.adapter');
+
+/**
+ * Revocation Service
+ * Selects the access token revocation store from REVOCATION_DRIVER
+ * - mongo (default): TTL collection, shared by every server instance
+ * - memory: in-process, for tests and single-instance local setups
+ */
+const adapters = {
+  mongo: () => new MongoRevocationAdapter(),
+  memory: () => new MemoryRevocationAdapter()
+};
+
+const createRevocationAdapter = (driver = process.env.REVOCATION_DRIVER || 'mongo') => {
+  const factory = adapters[driver];
+
+  if (!factory) {
+    throw new Error(`Unknown revocation driver: ${driver}`);
+  }
+
+  return factory();
+};
+
+module.exports = createRevocationAdapter();
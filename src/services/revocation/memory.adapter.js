@@ -0,0 +1,64 @@
+const RevocationAdapter = require('./revocation.adapter');
+
+/**
+ * In-Memory Revocation Adapter
+ * Keeps revocations in the process, for tests and single-instance local setups.
+ * Entries are dropped once expired; nothing survives a restart.
+ */
+class MemoryRevocationAdapter extends RevocationAdapter {
+  constructor() {
+    super();
+    this.tokens = new Map(); // jti -> expiresAt
+    this.sessions = new Map(); // sessionId -> expiresAt
+    this.users = new Map(); // userId -> { issuedBefore, expiresAt }
+  }
+
+  async revokeToken(jti, expiresAt) {
+    this.tokens.set(jti, expiresAt);
+  }
+
+  async revokeSession(sessionId, expiresAt) {
+    this.sessions.set(sessionId.toString(), expiresAt);
+  }
+
+  async revokeUserTokens(userId, issuedBefore, expiresAt) {
+    this.users.set(userId.toString(), { issuedBefore, expiresAt });
+  }
+
+  async isRevoked(payload) {
+    this.prune();
+
+    if (payload.jti && this.tokens.has(payload.jti)) {
+      return true;
+    }
+
+    if (payload.sid && this.sessions.has(String(payload.sid))) {
+      return true;
+    }
+
+    const entry = this.users.get(String(payload.id));
+
+    return Boolean(entry && RevocationAdapter.isIssuedBefore(entry.issuedBefore, payload));
+  }
+
+  /**
+   * Drop entries whose tokens have expired anyway
+   */
+  prune() {
+    const now = new Date();
+
+    [this.tokens, this.sessions].forEach(entries => entries.forEach((expiresAt, key) => {
+      if (expiresAt <= now) {
+        entries.delete(key);
+      }
+    }));
+
+    this.users.forEach((entry, userId) => {
+      if (entry.expiresAt <= now) {
+        this.users.delete(userId);
+      }
+    });
+  }
+}
+
+module.exports = MemoryRevocationAdapter;
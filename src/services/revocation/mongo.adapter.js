@@ -0,0 +1,53 @@
+const RevokedToken = require('../../models/RevokedToken.model');
+const RevocationAdapter = require('./revocation.adapter');
+
+/**
+ * MongoDB Revocation Adapter
+ * Keeps revocations in a TTL collection shared by every server instance
+ */
+class MongoRevocationAdapter extends RevocationAdapter {
+  async revokeToken(jti, expiresAt, userId = null) {
+    await RevokedToken.updateOne(
+      { key: `jti:${jti}` },
+      { $set: { user: userId, expiresAt } },
+      { upsert: true }
+    );
+  }
+
+  async revokeSession(sessionId, expiresAt) {
+    await RevokedToken.updateOne(
+      { key: `sid:${sessionId}` },
+      { $set: { expiresAt } },
+      { upsert: true }
+    );
+  }
+
+  async revokeUserTokens(userId, issuedBefore, expiresAt) {
+    await RevokedToken.updateOne(
+      { key: `user:${userId}` },
+      { $set: { user: userId, issuedBefore, expiresAt } },
+      { upsert: true }
+    );
+  }
+
+  async isRevoked(payload) {
+    const keys = [`user:${payload.id}`];
+
+    if (payload.jti) {
+      keys.push(`jti:${payload.jti}`);
+    }
+
+    if (payload.sid) {
+      keys.push(`sid:${payload.sid}`);
+    }
+
+    const entries = await RevokedToken.find({ key: { $in: keys } }).lean();
+
+    // Token and session entries revoke outright, the user entry only tokens issued before it
+    return entries.some(entry =>
+      !entry.key.startsWith('user:') || RevocationAdapter.isIssuedBefore(entry.issuedBefore, payload)
+    );
+  }
+}
+
+module.exports = MongoRevocationAdapter;
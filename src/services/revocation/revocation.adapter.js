@@ -0,0 +1,66 @@
+/**
+ * Revocation Adapter
+ * Interface every access token revocation store implements (MongoDB TTL collection, in-memory, ...)
+ * Tokens are revoked one by one (by jti), per session (by sid) or all at once per user (by issue time)
+ */
+class RevocationAdapter {
+  /**
+   * Revoke a single token
+   * @param {string} jti - Token ID
+   * @param {Date} expiresAt - When the token expires (the entry can be dropped after that)
+   * @param {string} userId - Owner of the token
+   * @returns {Promise<void>}
+   */
+  async revokeToken(jti, expiresAt, userId = null) {
+    throw new Error(`${this.constructor.name} does not implement revokeToken()`);
+  }
+
+  /**
+   * Revoke every token of a session
+   * @param {string} sessionId - Session ID (sid claim)
+   * @param {Date} expiresAt - When the last of the session's tokens expires
+   * @returns {Promise<void>}
+   */
+  async revokeSession(sessionId, expiresAt) {
+    throw new Error(`${this.constructor.name} does not implement revokeSession()`);
+  }
+
+  /**
+   * Revoke every token of a user issued at or before a point in time
+   * @param {string} userId - User ID
+   * @param {Date} issuedBefore - Cut-off time
+   * @param {Date} expiresAt - When the last of those tokens expires
+   * @returns {Promise<void>}
+   */
+  async revokeUserTokens(userId, issuedBefore, expiresAt) {
+    throw new Error(`${this.constructor.name} does not implement revokeUserTokens()`);
+  }
+
+  /**
+   * Check if a verified token has been revoked
+   * @param {Object} payload - Decoded token ({ id, jti, sid, iat, iatMs })
+   * @returns {Promise<boolean>} - True if the token must be rejected
+   */
+  async isRevoked(payload) {
+    throw new Error(`${this.constructor.name} does not implement isRevoked()`);
+  }
+
+  /**
+   * Check if a user-wide cut-off covers a token
+   * Compared in milliseconds, so a token issued right after the cut-off (e.g. a new login
+   * following logout-all) stays valid. Tokens without iatMs only have second precision and
+   * count as revoked when issued in the cut-off second.
+   * @param {Date} issuedBefore - Cut-off time
+   * @param {Object} payload - Decoded token ({ iat, iatMs })
+   * @returns {boolean} - True if the token is revoked
+   */
+  static isIssuedBefore(issuedBefore, payload) {
+    if (Number.isFinite(payload.iatMs)) {
+      return issuedBefore.getTime() >= payload.iatMs;
+    }
+
+    return Math.floor(issuedBefore.getTime() / 1000) >= payload.iat;
+  }
+}
+
+module.exports = RevocationAdapter;
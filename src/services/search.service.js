@@ -0,0 +1,25 @@
+const MongoSearchAdapter = require('./search/mongo.adapter');
+const MemorySearchAdapter = require('./search/memory.adapter');
+
+/**
+ * Search Service
+ * Selects the full-text search backend from SEARCH_DRIVER
+ * - mongo (default): MongoDB text index
+ * - memory: in-process inverted index, for local deployments
+ */
+const adapters = {
+  mongo: () => new MongoSearchAdapter(),
+  memory: () => new MemorySearchAdapter()
+};
+
+const createSearchAdapter = (driver = process.env.SEARCH_DRIVER || 'mongo') => {
+  const factory = adapters[driver];
+
+  if (!factory) {
+    throw new Error(`Unknown search driver: ${driver}`);
+  }
+
+  return factory();
+};
+
+module.exports = createSearchAdapter();
@@ -0,0 +1,153 @@
+const Task = require('../../models/Task.model');
+const SearchAdapter = require('./search.adapter');
+const { analyze } = require('../../utils/text.util');
+
+// Same field weights as the MongoDB text index
+const FIELD_WEIGHTS = {
+  title: 10,
+  tags: 5,
+  description: 1
+};
+
+/**
+ * In-Memory Search Adapter
+ * Keeps an inverted index (stem -> task -> weight) in the process, for local
+ * deployments without text index support. Before each search the index picks up
+ * tasks changed since the last sync; results are always re-checked against the
+ * MongoDB filter, so stale entries of deleted tasks never surface.
+ */
+class MemorySearchAdapter extends SearchAdapter {
+  constructor() {
+    super();
+    this.postings = new Map();
+    this.documents = new Map();
+    this.syncedAt = null;
+    this.syncing = null;
+  }
+
+  /**
+   * Add a task to the index, replacing its previous entry
+   * @param {Object} task - Task with _id, title, description and tags
+   */
+  indexTask(task) {
+    const id = task._id.toString();
+    this.removeTask(id);
+
+    const weights = new Map();
+    const add = (text, weight) => analyze(text).forEach(term => {
+      weights.set(term, (weights.get(term) || 0) + weight);
+    });
+
+    add(task.title, FIELD_WEIGHTS.title);
+    add(task.description, FIELD_WEIGHTS.description);
+    (task.tags || []).forEach(tag => add(tag, FIELD_WEIGHTS.tags));
+
+    weights.forEach((weight, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(id, weight);
+    });
+
+    this.documents.set(id, [...weights.keys()]);
+  }
+
+  /**
+   * Remove a task from the index
+   * @param {string} id - Task ID
+   */
+  removeTask(id) {
+    (this.documents.get(id) || []).forEach(term => {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    });
+
+    this.documents.delete(id);
+  }
+
+  async sync() {
+    // Concurrent searches share one sync
+    if (!this.syncing) {
+      this.syncing = (async () => {
+        const startedAt = new Date();
+        const query = this.syncedAt ? { updatedAt: { $gte: this.syncedAt } } : {};
+        const tasks = await Task.find(query).select('title description tags').lean();
+
+        tasks.forEach(task => this.indexTask(task));
+        this.syncedAt = startedAt;
+      })().finally(() => {
+        this.syncing = null;
+      });
+    }
+
+    return await this.syncing;
+  }
+
+  /**
+   * Score the indexed tasks against search terms (weight x inverse document frequency)
+   * @param {Object} terms - { words, phrases }
+   * @returns {Map<string, number>} - Task ID -> score
+   */
+  score(terms) {
+    const scores = new Map();
+    const stems = new Set([...terms.words, ...terms.phrases].flatMap(text => analyze(text)));
+
+    stems.forEach(term => {
+      const posting = this.postings.get(term);
+
+      if (!posting) {
+        return;
+      }
+
+      const idf = Math.log(1 + this.documents.size / posting.size);
+      posting.forEach((weight, id) => {
+        scores.set(id, (scores.get(id) || 0) + weight * idf);
+      });
+    });
+
+    return scores;
+  }
+
+  async search(filter, terms, options = {}) {
+    const { sort, skip = 0, limit = 10 } = options;
+
+    await this.sync();
+
+    const scores = this.score(terms);
+
+    if (scores.size === 0) {
+      return { tasks: [], total: 0 };
+    }
+
+    const query = { ...filter, _id: { $in: [...scores.keys()] } };
+    const withScore = task => ({ ...task, score: scores.get(task._id.toString()) });
+
+    if (sort) {
+      const [tasks, total] = await Promise.all([
+        Task.find(query).select('-attachments.storageKey').sort(sort).skip(skip).limit(limit).lean(),
+        Task.countDocuments(query)
+      ]);
+
+      return { tasks: tasks.map(withScore), total };
+    }
+
+    // Relevance order: rank the matching IDs here, then load only the requested page
+    const ids = (await Task.distinct('_id', query))
+      .map(id => id.toString())
+      .sort((a, b) => scores.get(b) - scores.get(a));
+    const pageIds = ids.slice(skip, skip + limit);
+    const tasks = await Task.find({ _id: { $in: pageIds } }).select('-attachments.storageKey').lean();
+    const byId = new Map(tasks.map(task => [task._id.toString(), task]));
+
+    return {
+      tasks: pageIds.filter(id => byId.has(id)).map(id => withScore(byId.get(id))),
+      total: ids.length
+    };
+  }
+}
+
+module.exports = MemorySearchAdapter;
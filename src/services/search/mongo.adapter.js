@@ -0,0 +1,37 @@
+const Task = require('../../models/Task.model');
+const SearchAdapter = require('./search.adapter');
+
+/**
+ * MongoDB Search Adapter
+ * Uses the task_text_search text index (stemming, stop words and field weights by MongoDB)
+ * Words match any of them; phrases are passed on quoted so they count towards the score
+ */
+class MongoSearchAdapter extends SearchAdapter {
+
+  buildSearchString(terms) {
+    return [
+      ...terms.words,
+      ...terms.phrases.map(phrase => `"${phrase.replace(/"/g, '')}"`)
+    ].join(' ');
+  }
+
+  async search(filter, terms, options = {}) {
+    const { sort, skip = 0, limit = 10 } = options;
+    const score = { $meta: 'textScore' };
+    const query = { ...filter, $text: { $search: this.buildSearchString(terms) } };
+
+    const [tasks, total] = await Promise.all([
+      Task.find(query)
+        .select({ score, 'attachments.storageKey': 0 })
+        .sort(sort || { score })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      Task.countDocuments(query)
+    ]);
+
+    return { tasks, total };
+  }
+}
+
+module.exports = MongoSearchAdapter;
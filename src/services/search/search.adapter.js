@@ -0,0 +1,19 @@
+/**
+ * Search Adapter
+ * Interface every full-text search backend implements (MongoDB text index, in-memory index, ...)
+ * Backends rank tasks; visibility and the other filters always come from the MongoDB filter
+ */
+class SearchAdapter {
+  /**
+   * Find the tasks matching a filter and search terms, with relevance scores
+   * @param {Object} filter - MongoDB filter every result must match
+   * @param {Object} terms - { words, phrases } to rank by
+   * @param {Object} options - { sort (null sorts by relevance), skip, limit }
+   * @returns {Promise<Object>} - { tasks: lean tasks with a score, total }
+   */
+  async search(filter, terms, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement search()`);
+  }
+}
+
+module.exports = SearchAdapter;
@@ -0,0 +1,22 @@
+const LocalStorageAdapter = require('./storage/local.adapter');
+
+/**
+ * Storage Service
+ * Selects the file storage backend from STORAGE_DRIVER
+ * New backends (e.g. an S3-compatible adapter) extend StorageAdapter and register here
+ */
+const adapters = {
+  local: () => new LocalStorageAdapter()
+};
+
+const createStorageAdapter = (driver = process.env.STORAGE_DRIVER || 'local') => {
+  const factory = adapters[driver];
+
+  if (!factory) {
+    throw new Error(`Unknown storage driver: ${driver}`);
+  }
+
+  return factory();
+};
+
+module.exports = createStorageAdapter();
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+const StorageAdapter = require('./storage.adapter');
+
+/**
+ * Local Filesystem Storage Adapter
+ * Stores files below a root directory (UPLOAD_DIR, defaults to ./uploads)
+ */
+class LocalStorageAdapter extends StorageAdapter {
+  constructor(rootDir = process.env.UPLOAD_DIR || path.join(process.cwd(), 'uploads')) {
+    super();
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * Resolve a key to an absolute path inside the root directory
+   * @param {string} key - Storage key
+   * @returns {string} - Absolute file path
+   */
+  resolvePath(key) {
+    const filePath = path.resolve(this.rootDir, key);
+
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error('Invalid storage key');
+    }
+
+    return filePath;
+  }
+
+  async save(key, buffer, options = {}) {
+    const filePath = this.resolvePath(key);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    return { key, size: buffer.length };
+  }
+
+  async createReadStream(key) {
+    const filePath = this.resolvePath(key);
+
+    if (!(await this.exists(key))) {
+      throw new Error('File not found in storage');
+    }
+
+    return fs.createReadStream(filePath);
+  }
+
+  async delete(key) {
+    const filePath = this.resolvePath(key);
+
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  async exists(key) {
+    try {
+      await fs.promises.access(this.resolvePath(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = LocalStorageAdapter;
@@ -0,0 +1,46 @@
+/**
+ * Storage Adapter
+ * Interface every file storage backend implements (local filesystem, S3-compatible, ...)
+ * Keys are opaque, slash-separated paths chosen by the caller
+ */
+class StorageAdapter {
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - Metadata such as contentType
+   * @returns {Promise<Object>} - Stored file info ({ key, size })
+   */
+  async save(key, buffer, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement save()`);
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<Readable>} - Readable stream of the file contents
+   */
+  async createReadStream(key) {
+    throw new Error(`${this.constructor.name} does not implement createReadStream()`);
+  }
+
+  /**
+   * Delete a stored file (no-op if it does not exist)
+   * @param {string} key - Storage key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  /**
+   * Check whether a file exists
+   * @param {string} key - Storage key
+   * @returns {Promise<boolean>} - True if the file exists
+   */
+  async exists(key) {
+    throw new Error(`${this.constructor.name} does not implement exists()`);
+  }
+}
+
+module.exports = StorageAdapter;
@@ -0,0 +1,57 @@
+const taskService = require('../modules/task/task.service');
+
+/**
+ * Trash Purge Service
+ * Periodically deletes tasks that have been in the trash longer than TRASH_RETENTION_DAYS
+ */
+class TrashPurgeService {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    const minutes = parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60;
+
+    this.timer = setInterval(() => this.runOnce(), minutes * 60 * 1000);
+    // Don't keep the process alive just for the purge
+    this.timer.unref();
+
+    // Catch up on anything that expired while the server was down
+    this.runOnce();
+
+    console.log(`Trash purge scheduled every ${minutes} minute(s), retention ${taskService.getTrashRetentionDays()} day(s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async runOnce() {
+    // Skip a tick if the previous purge is still going
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    try {
+      const { purgedCount } = await taskService.purgeExpiredTrash();
+      if (purgedCount > 0) {
+        console.log(`Trash purge removed ${purgedCount} task(s)`);
+      }
+    } catch (error) {
+      console.error('Trash purge failed:', error.message);
+    } finally {
+      this.running = false;
+    }
+  }
+}
+
+module.exports = new TrashPurgeService();
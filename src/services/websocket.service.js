@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User.model');
+const Workspace = require('../models/Workspace.model');
+const revocationService = require('./revocation.service');
 
 class WebSocketService {
   constructor() {
@@ -38,6 +40,11 @@ class WebSocketService {
         }
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        if (await revocationService.isRevoked(decoded)) {
+          return next(new Error('Authentication error: Token revoked'));
+        }
+
         const user = await User.findById(decoded.id).select('-password');
         
         if (!user) {
@@ -45,6 +52,7 @@ class WebSocketService {
         }
 
         socket.userId = user._id.toString();
+        socket.sessionId = decoded.sid || null;
         socket.user = user;
         next();
       } catch (error) {
@@ -63,6 +71,16 @@ class WebSocketService {
       
       // Join user's personal room
       socket.join(`user_${socket.userId}`);
+
+      // Join the login session's room, so revoking the session closes its sockets
+      if (socket.sessionId) {
+        socket.join(`session_${socket.sessionId}`);
+      }
+
+      // Join the rooms of workspaces whose tasks the user sees
+      this.joinWorkspaceRooms(socket).catch(error => {
+        console.error('Failed to join workspace rooms:', error.message);
+      });
       
       // Handle user joining their room
       socket.on('join_user_room', (userId) => {
@@ -79,22 +97,146 @@ class WebSocketService {
     });
   }
 
-  // Emit task created event to user
+  // Workspace members other than guests see every workspace task (see Task.scopeFor)
+  async joinWorkspaceRooms(socket) {
+    const workspaces = await Workspace.find({
+      members: { $elemMatch: { user: socket.userId, role: { $ne: 'guest' } } }
+    }).select('_id').lean();
+
+    workspaces.forEach(workspace => socket.join(`workspace_${workspace._id}`));
+  }
+
+  // Move a user's live sockets in or out of a workspace room after a membership change
+  updateWorkspaceMember(workspaceId, userId, role = null) {
+    if (!this.io) {
+      return;
+    }
+
+    const sockets = this.io.in(`user_${userId}`);
+    const room = `workspace_${workspaceId}`;
+
+    if (role && role !== 'guest') {
+      sockets.socketsJoin(room);
+    } else {
+      sockets.socketsLeave(room);
+    }
+  }
+
+  // Empty a workspace room (workspace deleted)
+  closeWorkspaceRoom(workspaceId) {
+    if (!this.io) {
+      return;
+    }
+
+    this.io.in(`workspace_${workspaceId}`).socketsLeave(`workspace_${workspaceId}`);
+  }
+
+  // Rooms of the acting user, the task creator, the assignee, every collaborator
+  // and, for workspace tasks, the workspace
+  getTaskRooms(userId, task) {
+    const userIds = new Set([userId.toString()]);
+
+    [task && task.createdBy, task && task.assignee].filter(Boolean).forEach(member => {
+      userIds.add((member._id || member).toString());
+    });
+
+    ((task && task.collaborators) || []).forEach(collaborator => {
+      userIds.add((collaborator.user._id || collaborator.user).toString());
+    });
+
+    const rooms = [...userIds].map(id => `user_${id}`);
+
+    if (task && task.workspace) {
+      rooms.push(`workspace_${task.workspace._id || task.workspace}`);
+    }
+
+    return rooms;
+  }
+
+  // Emit task created event to user and collaborators
   emitTaskCreated(userId, task) {
-    this.io.to(`user_${userId}`).emit('task_created', task);
-    console.log(`Task created event sent to user ${userId}`);
+    const rooms = this.getTaskRooms(userId, task);
+    this.io.to(rooms).emit('task_created', task);
+    console.log(`Task created event sent to ${rooms.length} user(s)`);
   }
 
-  // Emit task updated event to user
+  // Emit task updated event to user and collaborators
   emitTaskUpdated(userId, task) {
-    this.io.to(`user_${userId}`).emit('task_updated', task);
-    console.log(`Task updated event sent to user ${userId}`);
+    const rooms = this.getTaskRooms(userId, task);
+    this.io.to(rooms).emit('task_updated', task);
+    console.log(`Task updated event sent to ${rooms.length} user(s)`);
+  }
+
+  // Emit task deleted event to user, and to collaborators when the task is given
+  emitTaskDeleted(userId, taskId, task = null) {
+    const rooms = this.getTaskRooms(userId, task);
+    this.io.to(rooms).emit('task_deleted', taskId);
+    console.log(`Task deleted event sent to ${rooms.length} user(s)`);
+  }
+
+  // Emit task restored (from trash) event to user and collaborators
+  emitTaskRestored(userId, task) {
+    const rooms = this.getTaskRooms(userId, task);
+    this.io.to(rooms).emit('task_restored', task);
+    console.log(`Task restored event sent to ${rooms.length} user(s)`);
+  }
+
+  // Emit task moved (board column/position change) event to user and collaborators
+  emitTaskMoved(userId, payload) {
+    const rooms = this.getTaskRooms(userId, payload.task);
+    this.io.to(rooms).emit('task_moved', payload);
+    console.log(`Task moved event sent to ${rooms.length} user(s)`);
   }
 
-  // Emit task deleted event to user
-  emitTaskDeleted(userId, taskId) {
-    this.io.to(`user_${userId}`).emit('task_deleted', taskId);
-    console.log(`Task deleted event sent to user ${userId}`);
+  // Emit task assigned event to the new assignee
+  emitTaskAssigned(userId, payload) {
+    this.io.to(`user_${userId}`).emit('task_assigned', payload);
+    console.log(`Task assigned event sent to user ${userId}`);
+  }
+
+  // Emit task shared event to a newly added collaborator
+  emitTaskShared(userId, payload) {
+    this.io.to(`user_${userId}`).emit('task_shared', payload);
+    console.log(`Task shared event sent to user ${userId}`);
+  }
+
+  // Emit task unshared event to a removed collaborator
+  emitTaskUnshared(userId, taskId) {
+    this.io.to(`user_${userId}`).emit('task_unshared', taskId);
+    console.log(`Task unshared event sent to user ${userId}`);
+  }
+
+  // Emit comment added event to every user who can see the task
+  emitCommentAdded(userIds, payload, workspaceId = null) {
+    const rooms = userIds.map(userId => `user_${userId}`);
+
+    if (workspaceId) {
+      rooms.push(`workspace_${workspaceId}`);
+    }
+
+    this.io.to(rooms).emit('comment_added', payload);
+    console.log(`Comment added event sent to ${rooms.length} room(s)`);
+  }
+
+  // Disconnect every live socket of a user (log out everywhere)
+  disconnectUser(userId) {
+    if (!this.io) {
+      return;
+    }
+
+    this.io.in(`user_${userId}`).disconnectSockets(true);
+    this.connectedUsers.delete(userId.toString());
+    console.log(`Disconnected all sockets of user ${userId}`);
+  }
+
+  // Disconnect every live socket of a login session (session revoked)
+  disconnectSession(sessionId) {
+    if (!this.io) {
+      return;
+    }
+
+    this.io.in(`session_${sessionId}`).disconnectSockets(true);
+    console.log(`Disconnected all sockets of session ${sessionId}`);
   }
 
   // Emit to all connected users (for admin notifications, etc.)
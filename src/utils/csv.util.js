@@ -0,0 +1,195 @@
+/**
+ * CSV utility (RFC 4180)
+ * Formats rows as comma separated lines with CRLF line endings, and parses them back
+ */
+
+// Cells starting with these would be run as formulas by spreadsheet apps; formatCell
+// guards them with a leading ' and parseRecords removes it again, so an export
+// imports back unchanged
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Columns of a task export, in order
+const TASK_COLUMNS = [
+  { header: 'id', value: task => task._id },
+  { header: 'title', value: task => task.title },
+  { header: 'description', value: task => task.description },
+  { header: 'status', value: task => task.status },
+  { header: 'category', value: task => task.statusCategory },
+  { header: 'priority', value: task => task.priority },
+  { header: 'dueDate', value: task => task.dueDate },
+  { header: 'completedAt', value: task => task.completedAt },
+  { header: 'tags', value: task => (task.tags || []).join(';') },
+  { header: 'project', value: task => task.project },
+  { header: 'assignee', value: task => task.assignee },
+  { header: 'createdAt', value: task => task.createdAt },
+  { header: 'updatedAt', value: task => task.updatedAt }
+];
+
+/**
+ * Format a single cell
+ * @param {*} value - Cell value (dates become ISO strings, null/undefined empty)
+ * @returns {string} - Quoted when needed
+ */
+const formatCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format a row
+ * @param {Array} values - Cell values
+ * @returns {string} - CSV line, CRLF terminated
+ */
+const formatRow = (values) => {
+  return values.map(formatCell).join(',') + '\r\n';
+};
+
+/**
+ * Get the header line of a task export
+ * @returns {string} - CSV line
+ */
+const taskHeader = () => {
+  return formatRow(TASK_COLUMNS.map(column => column.header));
+};
+
+/**
+ * Format a task as a line of a task export
+ * @param {Object} task - Task
+ * @returns {string} - CSV line
+ */
+const formatTask = (task) => {
+  return formatRow(TASK_COLUMNS.map(column => column.value(task)));
+};
+
+/**
+ * Parse CSV text into rows of cells
+ * Accepts CRLF or LF line endings, quoted cells with embedded commas, quotes and
+ * line breaks, and a leading byte order mark. Blank lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows
+ * @throws {Error} - 'Invalid CSV: ...' for unterminated quotes or stray characters
+ */
+const parseCsv = (text) => {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let index = 0;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  while (index < input.length) {
+    const char = input[index];
+
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        cell += '"';
+        index += 2;
+        continue;
+      }
+
+      if (char === '"') {
+        quoted = false;
+
+        const next = input[index + 1];
+        if (next !== undefined && next !== ',' && next !== '\r' && next !== '\n') {
+          throw new Error(`Invalid CSV: unexpected character after closing quote on line ${line}`);
+        }
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        cell += char;
+      }
+
+      index++;
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\r' || char === '\n') {
+      endRow();
+      line++;
+
+      if (char === '\r' && input[index + 1] === '\n') {
+        index++;
+      }
+    } else {
+      cell += char;
+    }
+
+    index++;
+  }
+
+  if (quoted) {
+    throw new Error(`Invalid CSV: unterminated quote on line ${line}`);
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Undo the formula protection added by formatCell ('=1+1 -> =1+1)
+ * @param {string} value - Cell text
+ * @returns {string} - Original text
+ */
+const parseCell = (value) => {
+  return value.startsWith("'") && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+};
+
+/**
+ * Parse CSV text with a header line into records keyed by header
+ * @param {string} text - CSV text
+ * @returns {Object} - { headers, records }
+ * @throws {Error} - 'Invalid CSV: ...' for malformed text
+ */
+const parseRecords = (text) => {
+  const [headerRow = [], ...rows] = parseCsv(text);
+  const headers = headerRow.map(header => header.trim());
+
+  const records = rows.map(row => headers.reduce((record, header, index) => {
+    if (header) {
+      record[header] = parseCell(row[index] === undefined ? '' : row[index]);
+    }
+    return record;
+  }, {}));
+
+  return { headers, records };
+};
+
+module.exports = {
+  TASK_COLUMNS,
+  formatCell,
+  formatRow,
+  taskHeader,
+  formatTask,
+  parseCsv,
+  parseCell,
+  parseRecords
+};
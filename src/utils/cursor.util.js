@@ -0,0 +1,153 @@
+/**
+ * Cursor utility for keyset pagination
+ * Cursors are opaque base64url tokens. A cursor names one task of a listing by its
+ * sort key value plus _id, so the next page starts right after it no matter how many
+ * tasks were created or deleted in the meantime.
+ *
+ * Payload shape:
+ * - s: sort field the cursor was made for
+ * - v: the task's value of that field
+ * - id: the task's _id (tie breaker, so equal sort values never skip or repeat tasks)
+ */
+
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+
+/**
+ * Encode a cursor payload
+ * @param {Object} payload - Cursor payload
+ * @returns {string} - Opaque cursor token
+ */
+const encodeCursor = (payload) => {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor token
+ * @param {string} token - Cursor token
+ * @returns {Object} - Cursor payload
+ * @throws {Error} - 'Invalid cursor' for malformed tokens
+ */
+const decodeCursor = (token) => {
+  try {
+    const payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      throw new Error('Invalid cursor');
+    }
+
+    return payload;
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+};
+
+/**
+ * Create the cursor of a task in a listing sorted by a field
+ * @param {Object} task - Task (plain or document)
+ * @param {string} sortBy - Sort field
+ * @returns {string} - Cursor token
+ */
+const createCursor = (task, sortBy) => {
+  const value = task[sortBy];
+
+  return encodeCursor({
+    s: sortBy,
+    v: value === undefined ? null : value,
+    id: task._id.toString()
+  });
+};
+
+/**
+ * Read a keyset cursor made for a sort field
+ * @param {string} token - Cursor token
+ * @param {string} sortBy - Sort field of the current listing
+ * @returns {Object} - { value, id }
+ * @throws {Error} - 'Invalid cursor' for malformed tokens or another sort field
+ */
+const readCursor = (token, sortBy) => {
+  const payload = decodeCursor(token);
+
+  if (payload.s !== sortBy || !OBJECT_ID.test(payload.id) || !('v' in payload)) {
+    throw new Error('Invalid cursor');
+  }
+
+  return { value: payload.v, id: payload.id };
+};
+
+/**
+ * Get the sort of a keyset page (reversed when paging backwards)
+ * @param {string} sortBy - Sort field
+ * @param {string} sortOrder - 'asc' | 'desc'
+ * @param {string} direction - 'after' | 'before'
+ * @returns {Object} - MongoDB sort with _id as tie breaker
+ */
+const cursorSort = (sortBy, sortOrder, direction = 'after') => {
+  const ascending = (sortOrder === 'asc') === (direction === 'after');
+  const order = ascending ? 1 : -1;
+
+  return { [sortBy]: order, _id: order };
+};
+
+/**
+ * Build the filter selecting the tasks after (or before) a cursor
+ * Null values sort first in MongoDB and are handled explicitly
+ * @param {string} sortBy - Sort field
+ * @param {string} sortOrder - 'asc' | 'desc'
+ * @param {Object} cursor - { value, id } from readCursor
+ * @param {string} direction - 'after' | 'before'
+ * @returns {Object} - MongoDB clause
+ */
+const cursorFilter = (sortBy, sortOrder, cursor, direction = 'after') => {
+  const { value, id } = cursor;
+  const greater = (sortOrder === 'asc') === (direction === 'after');
+  const operator = greater ? '$gt' : '$lt';
+
+  if (value === null) {
+    return greater
+      ? { $or: [{ [sortBy]: null, _id: { $gt: id } }, { [sortBy]: { $ne: null } }] }
+      : { [sortBy]: null, _id: { $lt: id } };
+  }
+
+  const clauses = [
+    { [sortBy]: { [operator]: value } },
+    { [sortBy]: value, _id: { [operator]: id } }
+  ];
+
+  if (!greater) {
+    clauses.push({ [sortBy]: null });
+  }
+
+  return { $or: clauses };
+};
+
+/**
+ * Build the cursors of a keyset page
+ * @param {Array<Object>} tasks - Page tasks, in display order
+ * @param {Object} options - { sortBy, direction, hasMore }
+ * @returns {Object} - { nextCursor, prevCursor }
+ */
+const getPageCursors = (tasks, options) => {
+  const { sortBy, direction = 'after', hasMore } = options;
+
+  if (tasks.length === 0) {
+    return { nextCursor: null, prevCursor: null };
+  }
+
+  const first = createCursor(tasks[0], sortBy);
+  const last = createCursor(tasks[tasks.length - 1], sortBy);
+
+  // Coming from a cursor there is always a page on the side we came from
+  return direction === 'after'
+    ? { nextCursor: hasMore ? last : null, prevCursor: first }
+    : { nextCursor: last, prevCursor: hasMore ? first : null };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  createCursor,
+  readCursor,
+  cursorSort,
+  cursorFilter,
+  getPageCursors
+};
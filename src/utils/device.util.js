@@ -0,0 +1,52 @@
+/**
+ * Device utility
+ * Turns a User-Agent header into a short device name for the session list,
+ * e.g. "Chrome on Windows" or "Safari on iPhone". Only the common browsers and
+ * platforms are recognised; anything else falls back to "Unknown device".
+ */
+
+// Checked in order: Edge and Opera also claim to be Chrome, Chrome also claims Safari
+const BROWSERS = [
+  { name: 'Edge', pattern: /Edg(e|A|iOS)?\//i },
+  { name: 'Opera', pattern: /OPR\/|Opera/i },
+  { name: 'Firefox', pattern: /Firefox\/|FxiOS\//i },
+  { name: 'Chrome', pattern: /Chrome\/|CriOS\//i },
+  { name: 'Safari', pattern: /Safari\//i },
+  { name: 'Postman', pattern: /PostmanRuntime\//i },
+  { name: 'curl', pattern: /^curl\//i },
+  { name: 'Node.js', pattern: /^node|axios\/|undici/i }
+];
+
+const PLATFORMS = [
+  { name: 'iPhone', pattern: /iPhone/i },
+  { name: 'iPad', pattern: /iPad/i },
+  { name: 'Android', pattern: /Android/i },
+  { name: 'Windows', pattern: /Windows/i },
+  { name: 'macOS', pattern: /Macintosh|Mac OS X/i },
+  { name: 'ChromeOS', pattern: /CrOS/i },
+  { name: 'Linux', pattern: /Linux/i }
+];
+
+/**
+ * Get a readable device name from a User-Agent header
+ * @param {string} userAgent - User-Agent header value
+ * @returns {string} - Device name
+ */
+const parseDeviceName = (userAgent = '') => {
+  const browser = BROWSERS.find(item => item.pattern.test(userAgent));
+  const platform = PLATFORMS.find(item => item.pattern.test(userAgent));
+
+  if (browser && platform) {
+    return `${browser.name} on ${platform.name}`;
+  }
+
+  if (browser || platform) {
+    return (browser || platform).name;
+  }
+
+  return 'Unknown device';
+};
+
+module.exports = {
+  parseDeviceName
+};
@@ -0,0 +1,162 @@
+/**
+ * iCalendar utility (RFC 5545)
+ * Formats tasks as VTODO or VEVENT components of a VCALENDAR
+ *
+ * Only tasks with a dueDate can be placed in a calendar:
+ * - VTODO: DUE is the due date, STATUS/COMPLETED follow the status category
+ * - VEVENT: starts (and ends) at the due date
+ */
+
+const PRODUCT_ID = '-//Task Management API//Tasks//EN';
+
+// Task priority -> iCalendar PRIORITY (1 highest, 9 lowest)
+const PRIORITY_LEVELS = {
+  urgent: 1,
+  high: 3,
+  medium: 5,
+  low: 9
+};
+
+// Status category -> VTODO STATUS
+const TODO_STATUSES = {
+  todo: 'NEEDS-ACTION',
+  active: 'IN-PROCESS',
+  done: 'COMPLETED'
+};
+
+/**
+ * Escape a TEXT value
+ * @param {string} value - Text
+ * @returns {string} - Escaped text
+ */
+const escapeText = (value = '') => {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+/**
+ * Format a date as a UTC DATE-TIME (e.g. 20261101T090000Z)
+ * @param {Date|string} date - Date
+ * @returns {string} - iCalendar date-time
+ */
+const formatDateTime = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+};
+
+/**
+ * Fold a content line to at most 75 octets per line
+ * @param {string} line - Content line
+ * @returns {string} - Folded line, CRLF terminated
+ */
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    // Continuation lines start with a space, which counts towards their 75 octets
+    const limit = parts.length === 0 ? 75 : 74;
+
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ') + '\r\n';
+};
+
+/**
+ * Get the opening lines of a calendar
+ * @param {Object} options - { name } shown by calendar apps
+ * @returns {string} - VCALENDAR header
+ */
+const calendarHeader = (options = {}) => {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(options.name ? [`X-WR-CALNAME:${escapeText(options.name)}`] : [])
+  ].map(foldLine).join('');
+};
+
+/**
+ * Get the closing line of a calendar
+ * @returns {string} - VCALENDAR footer
+ */
+const calendarFooter = () => {
+  return foldLine('END:VCALENDAR');
+};
+
+/**
+ * Format a task as a calendar component
+ * @param {Object} task - Task with a dueDate
+ * @param {Object} options - { type: 'todo' | 'event', now }
+ * @returns {string} - VTODO or VEVENT, or '' for tasks without a due date
+ */
+const formatTask = (task, options = {}) => {
+  const { type = 'todo', now = new Date() } = options;
+
+  if (!task.dueDate) {
+    return '';
+  }
+
+  const component = type === 'event' ? 'VEVENT' : 'VTODO';
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:${task._id}@task-management`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    `SUMMARY:${escapeText(task.title)}`
+  ];
+
+  if (task.description) {
+    lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  }
+
+  if (task.createdAt) {
+    lines.push(`CREATED:${formatDateTime(task.createdAt)}`);
+  }
+
+  if (task.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(task.updatedAt)}`);
+  }
+
+  if (task.tags && task.tags.length > 0) {
+    lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`);
+  }
+
+  if (PRIORITY_LEVELS[task.priority]) {
+    lines.push(`PRIORITY:${PRIORITY_LEVELS[task.priority]}`);
+  }
+
+  if (component === 'VTODO') {
+    lines.push(`DUE:${formatDateTime(task.dueDate)}`);
+    lines.push(`STATUS:${TODO_STATUSES[task.statusCategory] || TODO_STATUSES.todo}`);
+
+    if (task.completedAt) {
+      lines.push(`COMPLETED:${formatDateTime(task.completedAt)}`);
+    }
+  } else {
+    lines.push(`DTSTART:${formatDateTime(task.dueDate)}`);
+    lines.push('TRANSP:TRANSPARENT');
+  }
+
+  lines.push(`END:${component}`);
+
+  return lines.map(foldLine).join('');
+};
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  calendarHeader,
+  calendarFooter,
+  formatTask
+};
@@ -1,35 +1,102 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
+/**
+ * Get the secret refresh tokens are signed with
+ * Falls back to a key derived from JWT_SECRET, so a refresh token never verifies
+ * as an access token (and the other way round) even when no separate secret is set
+ * @returns {string} - Refresh token secret
+ */
+const getRefreshSecret = () => {
+  return process.env.JWT_REFRESH_SECRET
+    || crypto.createHmac('sha256', process.env.JWT_SECRET).update('refresh-token').digest('hex');
+};
+
 const generateToken = (userId, options = {}) => {
+  const now = Date.now();
   const payload = {
     id: userId,
-    iat: Math.floor(Date.now() / 1000) // Current timestamp
+    iat: Math.floor(now / 1000), // Current timestamp
+    iatMs: now // Millisecond issue time, compared against user-wide revocations
   };
 
+  // Login session the token belongs to (see Session model)
+  if (options.sessionId) {
+    payload.sid = options.sessionId.toString();
+  }
+
   const tokenOptions = {
     expiresIn: options.expiresIn || process.env.JWT_EXPIRES_IN || '7d',
     issuer: options.issuer || 'task-management-app',
-    audience: options.audience || 'task-management-users'
+    audience: options.audience || 'task-management-users',
+    jwtid: crypto.randomUUID() // Lets a single token be revoked (see revocation.service)
   };
 
   return jwt.sign(payload, process.env.JWT_SECRET, tokenOptions);
 };
 
+/**
+ * Get how long access tokens are valid
+ * @param {string} expiresIn - Duration as accepted by jsonwebtoken (e.g. '7d', '12h')
+ * @returns {number} - Lifetime in milliseconds
+ */
+const getTokenLifetime = (expiresIn = process.env.JWT_EXPIRES_IN || '7d') => {
+  // Let jsonwebtoken parse the duration, so the result always matches issued tokens
+  const { iat, exp } = jwt.decode(jwt.sign({}, 'lifetime', { expiresIn }));
+  return (exp - iat) * 1000;
+};
+
 
-const generateRefreshToken = (userId) => {
+/**
+ * Generate a refresh token
+ * Every token gets a unique ID (jti), so two tokens issued in the same second differ
+ * @param {string} userId - User ID
+ * @param {Object} options - { family } the token belongs to (a new one by default), { sessionId }
+ * @returns {string} - Signed refresh token
+ */
+const generateRefreshToken = (userId, options = {}) => {
   const payload = {
     id: userId,
     type: 'refresh',
+    family: options.family || crypto.randomUUID(),
     iat: Math.floor(Date.now() / 1000)
   };
 
+  if (options.sessionId) {
+    payload.sid = options.sessionId.toString();
+  }
+
   const tokenOptions = {
-    expiresIn: '30d', // Refresh tokens last longer
+    expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d', // Refresh tokens last longer
     issuer: 'task-management-app',
-    audience: 'task-management-users'
+    audience: 'task-management-users',
+    jwtid: crypto.randomUUID()
   };
 
-  return jwt.sign(payload, process.env.JWT_SECRET, tokenOptions);
+  return jwt.sign(payload, getRefreshSecret(), tokenOptions);
+};
+
+/**
+ * Verify a refresh token's signature, expiry and type
+ * @param {string} token - Refresh token
+ * @returns {Object} - Decoded token payload
+ * @throws {Error} - 'Invalid or expired refresh token'
+ */
+const verifyRefreshToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getRefreshSecret(), {
+      issuer: 'task-management-app',
+      audience: 'task-management-users'
+    });
+
+    if (decoded.type !== 'refresh' || !decoded.family) {
+      throw new Error('Invalid refresh token');
+    }
+
+    return decoded;
+  } catch (error) {
+    throw new Error('Invalid or expired refresh token');
+  }
 };
 
 /**
@@ -98,12 +165,13 @@ const getTokenExpiration = (token) => {
 /**
  * Generate both access and refresh tokens
  * @param {string} userId - User ID
+ * @param {Object} options - { family } of the refresh token (a new one by default), { sessionId } of both
  * @returns {Object} - Object containing both tokens
  */
-const generateTokenPair = (userId) => {
+const generateTokenPair = (userId, options = {}) => {
   return {
-    accessToken: generateToken(userId),
-    refreshToken: generateRefreshToken(userId)
+    accessToken: generateToken(userId, { sessionId: options.sessionId }),
+    refreshToken: generateRefreshToken(userId, options)
   };
 };
 
@@ -139,6 +207,7 @@ const createTokenResponse = (user, accessToken, refreshToken = null) => {
       id: user._id, // Keep both for compatibility
       username: user.username,
       email: user.email,
+      emailVerified: user.emailVerified,
       createdAt: user.createdAt
     },
     tokens: {
@@ -157,10 +226,12 @@ const createTokenResponse = (user, accessToken, refreshToken = null) => {
 module.exports = {
   generateToken,
   generateRefreshToken,
+  verifyRefreshToken,
   verifyToken,
   decodeToken,
   isTokenExpired,
   getTokenExpiration,
+  getTokenLifetime,
   generateTokenPair,
   extractTokenFromHeader,
   createTokenResponse
@@ -0,0 +1,57 @@
+/**
+ * Mail utility (RFC 5322 / MIME)
+ * Formats plain text messages as complete emails, e.g. to write them to a .eml file.
+ * Bodies are UTF-8, base64 encoded, so any text is safe.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Encode a header value as a MIME encoded-word when it is not plain ASCII
+ * @param {string} value - Header value
+ * @returns {string} - Header-safe value
+ */
+const encodeHeader = (value = '') => {
+  const text = String(value).replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`;
+};
+
+/**
+ * Get the bare address of a "Name <address>" mailbox
+ * @param {string} mailbox - Mailbox
+ * @returns {string} - Address
+ */
+const getAddress = (mailbox = '') => {
+  const match = /<([^>]+)>/.exec(mailbox);
+  return (match ? match[1] : mailbox).trim();
+};
+
+/**
+ * Format a message as an email
+ * @param {Object} message - { from, to, subject, text }
+ * @returns {string} - Email with CRLF line endings
+ */
+const formatMessage = (message) => {
+  const { from, to, subject, text = '' } = message;
+  const domain = getAddress(from).split('@')[1] || 'localhost';
+  const body = Buffer.from(text).toString('base64').replace(/.{1,76}/g, '$&\r\n');
+
+  return [
+    `From: ${encodeHeader(from)}`,
+    `To: ${encodeHeader(to)}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+};
+
+module.exports = {
+  encodeHeader,
+  getAddress,
+  formatMessage
+};
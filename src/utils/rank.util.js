@@ -0,0 +1,55 @@
+/**
+ * Rank utility for manual (drag-and-drop) ordering
+ * Ranks are sparse numbers; a moved item takes the midpoint of its neighbours
+ * and the column is rebalanced once neighbours get too close together
+ */
+
+const RANK_STEP = 1024;
+const MIN_RANK_GAP = 1e-6;
+
+/**
+ * Calculate a rank between two neighbours
+ * @param {number|null|undefined} prevRank - Rank of the item above (undefined if none)
+ * @param {number|null|undefined} nextRank - Rank of the item below (undefined if none)
+ * @returns {number|null} - New rank, or null if the column needs rebalancing
+ */
+const rankBetween = (prevRank, nextRank) => {
+  // Neighbours without a rank (legacy tasks) can't be placed relative to
+  if (prevRank === null || nextRank === null) {
+    return null;
+  }
+
+  if (prevRank === undefined && nextRank === undefined) {
+    return RANK_STEP;
+  }
+
+  if (prevRank === undefined) {
+    return nextRank - RANK_STEP;
+  }
+
+  if (nextRank === undefined) {
+    return prevRank + RANK_STEP;
+  }
+
+  if (nextRank - prevRank < MIN_RANK_GAP) {
+    return null;
+  }
+
+  return (prevRank + nextRank) / 2;
+};
+
+/**
+ * Calculate evenly spaced ranks for a column of the given size
+ * @param {number} count - Number of items in the column
+ * @returns {Array<number>} - Ranks in order
+ */
+const evenlySpacedRanks = (count) => {
+  return Array.from({ length: count }, (_, index) => (index + 1) * RANK_STEP);
+};
+
+module.exports = {
+  RANK_STEP,
+  MIN_RANK_GAP,
+  rankBetween,
+  evenlySpacedRanks
+};
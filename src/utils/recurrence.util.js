@@ -0,0 +1,174 @@
+/**
+ * Recurrence utility for repeating tasks
+ * Computes occurrence dates from a task's recurrence rule
+ *
+ * Rule shape:
+ * - frequency: 'daily' | 'weekly' | 'monthly' | 'custom'
+ * - interval: repeat every N days/weeks/months (default 1)
+ * - unit: 'day' | 'week' | 'month' (custom frequency only)
+ * - weekdays: [0-6] days of the week, Sunday = 0 (weekly only)
+ * - dayOfMonth: 1-31, clamped to the month's last day (monthly or custom by month)
+ * - endDate / count: optional end of the series
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Add days to a date, keeping the time of day
+ * @param {Date} date - Base date
+ * @param {number} days - Number of days to add
+ * @returns {Date} - New date
+ */
+const addDays = (date, days) => {
+  return new Date(date.getTime() + days * DAY_MS);
+};
+
+/**
+ * Add months to a date, clamping the day to the target month's length
+ * @param {Date} date - Base date
+ * @param {number} months - Number of months to add
+ * @param {number} dayOfMonth - Preferred day of month (defaults to the date's day)
+ * @returns {Date} - New date
+ */
+const addMonths = (date, months, dayOfMonth = date.getUTCDate()) => {
+  const result = new Date(date.getTime());
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(dayOfMonth, lastDay));
+
+  return result;
+};
+
+/**
+ * Get the start (Sunday, 00:00 UTC) of the week containing a date
+ * @param {Date} date - Date inside the week
+ * @returns {number} - Timestamp of the week start
+ */
+const startOfWeek = (date) => {
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - date.getUTCDay());
+};
+
+/**
+ * Find the next weekly occurrence after a date
+ * Only weeks that are a multiple of `interval` away from the current one qualify
+ * @param {Date} date - Current occurrence date
+ * @param {Object} rule - Recurrence rule
+ * @returns {Date} - Next occurrence date
+ */
+const nextWeekly = (date, rule) => {
+  const interval = rule.interval || 1;
+  const weekdays = rule.weekdays && rule.weekdays.length > 0
+    ? rule.weekdays
+    : [date.getUTCDay()];
+  const currentWeek = startOfWeek(date);
+
+  for (let offset = 1; offset <= 7 * interval; offset++) {
+    const candidate = addDays(date, offset);
+    const weeksApart = Math.round((startOfWeek(candidate) - currentWeek) / (7 * DAY_MS));
+
+    if (weeksApart % interval === 0 && weekdays.includes(candidate.getUTCDay())) {
+      return candidate;
+    }
+  }
+
+  return addDays(date, 7 * interval);
+};
+
+/**
+ * Calculate the occurrence date following a given date
+ * @param {Date} date - Current occurrence date
+ * @param {Object} rule - Recurrence rule
+ * @returns {Date} - Next occurrence date
+ */
+const getNextOccurrenceDate = (date, rule) => {
+  const interval = rule.interval || 1;
+
+  switch (rule.frequency) {
+    case 'daily':
+      return addDays(date, interval);
+    case 'weekly':
+      return nextWeekly(date, rule);
+    case 'monthly':
+      return addMonths(date, interval, rule.dayOfMonth || date.getUTCDate());
+    case 'custom':
+      if (rule.unit === 'week') {
+        return addDays(date, 7 * interval);
+      }
+      if (rule.unit === 'month') {
+        return addMonths(date, interval, rule.dayOfMonth || date.getUTCDate());
+      }
+      return addDays(date, interval);
+    default:
+      throw new Error(`Unsupported recurrence frequency: ${rule.frequency}`);
+  }
+};
+
+/**
+ * Check whether a series has ended before a given occurrence
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} date - Candidate occurrence date
+ * @param {number} occurrenceIndex - 1-based index of the candidate occurrence
+ * @returns {boolean} - True if the candidate falls outside the series
+ */
+const isPastSeriesEnd = (rule, date, occurrenceIndex) => {
+  if (rule.count && occurrenceIndex > rule.count) {
+    return true;
+  }
+
+  if (rule.endDate && date > new Date(rule.endDate)) {
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Get the next occurrence of a series, or null when the series has ended
+ * @param {Date} date - Current occurrence date
+ * @param {Object} rule - Recurrence rule
+ * @param {number} occurrenceIndex - 1-based index of the current occurrence
+ * @returns {Object|null} - { dueDate, occurrenceIndex } or null
+ */
+const getNextOccurrence = (date, rule, occurrenceIndex = 1) => {
+  const dueDate = getNextOccurrenceDate(new Date(date), rule);
+  const nextIndex = occurrenceIndex + 1;
+
+  if (isPastSeriesEnd(rule, dueDate, nextIndex)) {
+    return null;
+  }
+
+  return { dueDate, occurrenceIndex: nextIndex };
+};
+
+/**
+ * Preview upcoming occurrences of a series
+ * @param {Date} date - Current occurrence date
+ * @param {Object} rule - Recurrence rule
+ * @param {number} occurrenceIndex - 1-based index of the current occurrence
+ * @param {number} limit - Maximum number of occurrences to return
+ * @returns {Array<Object>} - Array of { dueDate, occurrenceIndex }
+ */
+const getUpcomingOccurrences = (date, rule, occurrenceIndex = 1, limit = 5) => {
+  const occurrences = [];
+  let current = { dueDate: new Date(date), occurrenceIndex };
+
+  while (occurrences.length < limit) {
+    current = getNextOccurrence(current.dueDate, rule, current.occurrenceIndex);
+
+    if (!current) {
+      break;
+    }
+
+    occurrences.push(current);
+  }
+
+  return occurrences;
+};
+
+module.exports = {
+  getNextOccurrenceDate,
+  getNextOccurrence,
+  getUpcomingOccurrences
+};
@@ -39,17 +39,33 @@ const sendError = (res, message = 'Internal Server Error', statusCode = 500, err
 
 
 const sendPaginatedResponse = (res, data, pagination, message = 'Data retrieved successfully', statusCode = 200) => {
-  const response = {
-    success: true,
-    message,
-    data,
-    pagination: {
+  const nextCursor = pagination.nextCursor || null;
+  const prevCursor = pagination.prevCursor || null;
+
+  // Cursor pages (after/before) have no page numbers or totals
+  const meta = pagination.current === undefined
+    ? {
+      limit: pagination.limit,
+      hasNext: Boolean(nextCursor),
+      hasPrev: Boolean(prevCursor)
+    }
+    : {
       current: pagination.current,
       pages: pagination.pages,
       total: pagination.total,
       limit: pagination.limit,
       hasNext: pagination.current < pagination.pages,
       hasPrev: pagination.current > 1
+    };
+
+  const response = {
+    success: true,
+    message,
+    data,
+    pagination: {
+      ...meta,
+      nextCursor,
+      prevCursor
     },
     timestamp: new Date().toISOString()
   };
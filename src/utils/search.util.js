@@ -0,0 +1,351 @@
+/**
+ * Search utility for task queries
+ * Parses the task search language into MongoDB filter clauses
+ *
+ * Syntax (terms are ANDed, whitespace separated):
+ * - word / "exact phrase": matches title, description or tags
+ * - status:pending,in-progress / category:todo,active: any of the listed values
+ * - priority:high,urgent / priority:>=high: listed values or a comparison
+ * - tag:backend,api: tasks with any of the tags (case-insensitive)
+ * - project:<id>|none, assignee:me|none|<id>
+ * - due:<2026-11-01, due:today, due:none, created:>=2026-01-01 (dates are UTC days)
+ * - is:open|done|overdue|unassigned|recurring
+ * - a leading "-" negates any term, e.g. -tag:wontfix
+ *
+ * In full-text mode positive words are left to the text search engine (see
+ * getTextTerms); phrases still have to match exactly.
+ */
+
+const { STATUS_CATEGORIES } = require('./workflow.util');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const OBJECT_ID = /^[0-9a-fA-F]{24}$/;
+const STATUS_KEY = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const COMPARISON = /^(<=|>=|<|>|=)?(.*)$/;
+const MAX_TERMS = 20;
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string
+ */
+const escapeRegex = (value) => {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Create a search error that points at the offending token
+ * @param {string} message - Error message
+ * @param {Object} token - Token with raw text and position
+ * @returns {Error} - Error with code INVALID_QUERY, token and position
+ */
+const queryError = (message, token) => {
+  const error = new Error(message);
+  error.code = 'INVALID_QUERY';
+  error.token = token.raw;
+  error.position = token.position;
+  return error;
+};
+
+/**
+ * Split a query string into tokens
+ * @param {string} input - Query string
+ * @returns {Array<Object>} - Tokens { raw, position, negated, field, value, quoted }
+ */
+const tokenize = (input) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < input.length) {
+    if (/\s/.test(input[index])) {
+      index++;
+      continue;
+    }
+
+    const start = index;
+    let negated = false;
+    let field = null;
+    let value = '';
+    let quoted = false;
+
+    if (input[index] === '-' && index + 1 < input.length && !/\s/.test(input[index + 1])) {
+      negated = true;
+      index++;
+    }
+
+    const fieldMatch = /^([a-zA-Z]+):/.exec(input.slice(index));
+    if (fieldMatch) {
+      field = fieldMatch[1].toLowerCase();
+      index += fieldMatch[0].length;
+    }
+
+    if (input[index] === '"') {
+      const end = input.indexOf('"', index + 1);
+
+      if (end === -1) {
+        throw queryError('Unterminated quote', { raw: input.slice(start), position: start });
+      }
+
+      value = input.slice(index + 1, end);
+      quoted = true;
+      index = end + 1;
+    } else {
+      while (index < input.length && !/\s/.test(input[index])) {
+        value += input[index];
+        index++;
+      }
+    }
+
+    tokens.push({ raw: input.slice(start, index), position: start, negated, field, value, quoted });
+  }
+
+  return tokens;
+};
+
+/**
+ * Split a comma separated value list, rejecting empty entries
+ * @param {Object} token - Token
+ * @returns {Array<string>} - Values
+ */
+const listValues = (token) => {
+  const values = token.value.split(',').map(value => value.trim());
+
+  if (values.some(value => !value)) {
+    throw queryError(`Empty value in "${token.raw}"`, token);
+  }
+
+  return values;
+};
+
+/**
+ * Parse a date value (YYYY-MM-DD, a full ISO datetime or "today") into a UTC day
+ * @param {string} value - Date value
+ * @param {Object} token - Token, for errors
+ * @param {Date} now - Current time
+ * @returns {Date} - Start of the day
+ */
+const parseDay = (value, token, now) => {
+  if (value === 'today') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }
+
+  const date = /^\d{4}-\d{2}-\d{2}/.test(value) ? new Date(value) : new Date(NaN);
+
+  if (Number.isNaN(date.getTime())) {
+    throw queryError(`Invalid date "${value}" in "${token.raw}", expected YYYY-MM-DD or "today"`, token);
+  }
+
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Build the clause of a date field (due, created)
+ * @param {string} path - Document field
+ * @param {Object} token - Token
+ * @param {Date} now - Current time
+ * @returns {Object} - MongoDB clause
+ */
+const dateClause = (path, token, now) => {
+  if (token.value === 'none') {
+    return { [path]: null };
+  }
+
+  const [, operator = '=', value] = COMPARISON.exec(token.value);
+  const day = parseDay(value, token, now);
+  const nextDay = new Date(day.getTime() + DAY_MS);
+
+  const ranges = {
+    '<': { $lt: day },
+    '<=': { $lt: nextDay },
+    '>': { $gte: nextDay },
+    '>=': { $gte: day },
+    '=': { $gte: day, $lt: nextDay }
+  };
+
+  return { [path]: ranges[operator] };
+};
+
+/**
+ * Build the clause of a priority term (list or comparison)
+ * @param {Object} token - Token
+ * @returns {Object} - MongoDB clause
+ */
+const priorityClause = (token) => {
+  const [, operator, value] = COMPARISON.exec(token.value);
+  const values = operator ? [value] : listValues(token);
+  const unknown = values.find(item => !PRIORITIES.includes(item));
+
+  if (unknown !== undefined) {
+    throw queryError(`Unknown priority "${unknown}" in "${token.raw}", expected one of ${PRIORITIES.join(', ')}`, token);
+  }
+
+  if (!operator || operator === '=') {
+    return { priority: { $in: values } };
+  }
+
+  const level = PRIORITIES.indexOf(value);
+  const matches = {
+    '<': index => index < level,
+    '<=': index => index <= level,
+    '>': index => index > level,
+    '>=': index => index >= level
+  };
+
+  return { priority: { $in: PRIORITIES.filter((item, index) => matches[operator](index)) } };
+};
+
+/**
+ * Build the clause of a free text word or phrase
+ * @param {string} text - Word or phrase
+ * @returns {Object} - MongoDB clause
+ */
+const textClause = (text) => {
+  const regex = new RegExp(escapeRegex(text), 'i');
+
+  return {
+    $or: [
+      { title: regex },
+      { description: regex },
+      { tags: { $in: [regex] } }
+    ]
+  };
+};
+
+/**
+ * Build the clause of a single token
+ * @param {Object} token - Token
+ * @param {Object} context - { userId, now }
+ * @returns {Object} - MongoDB clause
+ */
+const tokenClause = (token, context) => {
+  if (!token.field) {
+    return textClause(token.value);
+  }
+
+  if (!token.value) {
+    throw queryError(`Missing value for "${token.field}:"`, token);
+  }
+
+  switch (token.field) {
+    case 'status': {
+      const values = listValues(token).map(value => value.toLowerCase());
+      const invalid = values.find(value => !STATUS_KEY.test(value));
+
+      if (invalid) {
+        throw queryError(`Invalid status "${invalid}" in "${token.raw}"`, token);
+      }
+
+      return { status: { $in: values } };
+    }
+
+    case 'category': {
+      const values = listValues(token);
+      const unknown = values.find(value => !STATUS_CATEGORIES.includes(value));
+
+      if (unknown) {
+        throw queryError(`Unknown category "${unknown}" in "${token.raw}", expected one of ${STATUS_CATEGORIES.join(', ')}`, token);
+      }
+
+      return { statusCategory: { $in: values } };
+    }
+
+    case 'priority':
+      return priorityClause(token);
+
+    case 'tag':
+    case 'tags':
+      return { tags: { $in: listValues(token).map(value => new RegExp(`^${escapeRegex(value)}$`, 'i')) } };
+
+    case 'project':
+      if (token.value !== 'none' && !OBJECT_ID.test(token.value)) {
+        throw queryError(`Project must be a project ID or "none" in "${token.raw}"`, token);
+      }
+
+      return { project: token.value === 'none' ? null : token.value };
+
+    case 'assignee': {
+      const values = listValues(token);
+      const invalid = values.find(value => !['me', 'none'].includes(value) && !OBJECT_ID.test(value));
+
+      if (invalid) {
+        throw queryError(`Assignee must be a user ID, "me" or "none" in "${token.raw}"`, token);
+      }
+
+      const assigneeIds = { me: context.userId, none: null };
+      return { assignee: { $in: values.map(value => (value in assigneeIds ? assigneeIds[value] : value)) } };
+    }
+
+    case 'due':
+      return dateClause('dueDate', token, context.now);
+
+    case 'created':
+      return dateClause('createdAt', token, context.now);
+
+    case 'is': {
+      const states = {
+        open: { statusCategory: { $ne: 'done' } },
+        done: { statusCategory: 'done' },
+        overdue: { dueDate: { $lt: context.now }, statusCategory: { $ne: 'done' } },
+        unassigned: { assignee: null },
+        recurring: { recurrence: { $ne: null } }
+      };
+
+      if (!states[token.value]) {
+        throw queryError(`Unknown state "${token.value}" in "${token.raw}", expected one of ${Object.keys(states).join(', ')}`, token);
+      }
+
+      return states[token.value];
+    }
+
+    default:
+      throw queryError(`Unknown field "${token.field}" in "${token.raw}"`, token);
+  }
+};
+
+/**
+ * Parse a search query into MongoDB filter clauses
+ * Every value is validated or regex-escaped, so the result is safe to query with
+ * @param {string} input - Query string
+ * @param {Object} context - { userId, now } used by "me" and relative dates; fullText skips plain words
+ * @returns {Array<Object>} - Clauses to combine with $and
+ * @throws {Error} - code INVALID_QUERY with the offending token and its position
+ */
+const parseSearchQuery = (input, context = {}) => {
+  const tokens = tokenize(input);
+
+  if (tokens.length > MAX_TERMS) {
+    throw queryError(`Search queries are limited to ${MAX_TERMS} terms`, tokens[MAX_TERMS]);
+  }
+
+  const options = { userId: context.userId, now: context.now || new Date() };
+
+  return tokens
+    .filter(token => token.field || token.value)
+    .filter(token => !(context.fullText && !token.field && !token.negated && !token.quoted))
+    .map(token => {
+      const clause = tokenClause(token, options);
+      return token.negated ? { $nor: [clause] } : clause;
+    });
+};
+
+/**
+ * Get the free text a query searches for (negated words are left out)
+ * @param {string} input - Query string
+ * @returns {Object} - { words, phrases }
+ */
+const getTextTerms = (input) => {
+  const tokens = tokenize(input).filter(token => !token.field && !token.negated && token.value);
+
+  return {
+    words: tokens.filter(token => !token.quoted).map(token => token.value),
+    phrases: tokens.filter(token => token.quoted).map(token => token.value)
+  };
+};
+
+module.exports = {
+  escapeRegex,
+  tokenize,
+  parseSearchQuery,
+  getTextTerms
+};
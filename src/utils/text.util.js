@@ -0,0 +1,197 @@
+/**
+ * Text utility for full-text search
+ * Word splitting, a light English stemmer and highlighted snippets
+ *
+ * The stemmer only strips common suffixes (plurals, -ing, -ed, -ly, ...), which is
+ * enough to match "tests", "testing" and "tested" against "test". It is used by the
+ * in-memory search index and to find the words to highlight.
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+const SNIPPET_LENGTH = 120;
+
+/**
+ * Reduce a word to its stem
+ * @param {string} word - Word (any case)
+ * @returns {string} - Lowercase stem
+ */
+const stem = (word) => {
+  let result = word.toLowerCase();
+
+  if (result.length <= 3) {
+    return result;
+  }
+
+  if (/ies$/.test(result)) {
+    result = result.replace(/ies$/, 'y');
+  } else if (/(x|ch|sh|ss|z)es$/.test(result)) {
+    result = result.slice(0, -2);
+  } else if (/[^su]s$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+
+  const suffix = ['ingly', 'edly', 'ing', 'ed', 'ly'].find(item => result.endsWith(item));
+
+  // Only strip when a syllable is left (keeps "red", "sing", "fly" intact)
+  if (suffix && /[aeiouy]/.test(result.slice(0, -suffix.length)) && result.length - suffix.length >= 3) {
+    result = result.slice(0, -suffix.length);
+
+    // "running" -> "runn" -> "run"
+    if (/([^aeiouslz])\1$/.test(result)) {
+      result = result.slice(0, -1);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Split text into words with their positions
+ * @param {string} text - Text
+ * @returns {Array<Object>} - Words { word, stem, start, end }
+ */
+const tokenizeText = (text = '') => {
+  const words = [];
+  const pattern = /[\p{L}\p{N}]+/gu;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    words.push({
+      word: match[0],
+      stem: stem(match[0]),
+      start: match.index,
+      end: match.index + match[0].length
+    });
+  }
+
+  return words;
+};
+
+/**
+ * Get the stems of the searchable words of a text (stop words left out)
+ * @param {string} text - Text
+ * @returns {Array<string>} - Stems, in text order
+ */
+const analyze = (text = '') => {
+  return tokenizeText(text)
+    .filter(item => !STOP_WORDS.has(item.word.toLowerCase()))
+    .map(item => item.stem);
+};
+
+/**
+ * Find the ranges of a text that match search terms
+ * Words match by stem or as a prefix; phrases match case-insensitively as a whole
+ * @param {string} text - Text
+ * @param {Object} terms - { words, phrases }
+ * @returns {Array<Object>} - Sorted, non-overlapping ranges { start, end }
+ */
+const findMatches = (text, terms) => {
+  const stems = new Set(terms.words.flatMap(word => analyze(word)));
+  const lower = text.toLowerCase();
+  const ranges = [];
+
+  tokenizeText(text).forEach(item => {
+    const word = item.word.toLowerCase();
+
+    if (stems.has(item.stem) || [...stems].some(value => value.length >= 3 && word.startsWith(value))) {
+      ranges.push({ start: item.start, end: item.end });
+    }
+  });
+
+  terms.phrases.filter(Boolean).forEach(phrase => {
+    const needle = phrase.toLowerCase();
+    let index = lower.indexOf(needle);
+
+    while (index !== -1) {
+      ranges.push({ start: index, end: index + needle.length });
+      index = lower.indexOf(needle, index + needle.length);
+    }
+  });
+
+  ranges.sort((a, b) => a.start - b.start);
+
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+
+    return merged;
+  }, []);
+};
+
+/**
+ * Cut a snippet around the first match of a text
+ * @param {string} text - Text
+ * @param {Array<Object>} matches - Ranges from findMatches
+ * @param {number} length - Maximum snippet length
+ * @returns {Object} - { snippet, matches } with ranges relative to the snippet
+ */
+const buildSnippet = (text, matches, length = SNIPPET_LENGTH) => {
+  if (text.length <= length) {
+    return { snippet: text, matches };
+  }
+
+  // Start a little before the first match, on a word boundary
+  let start = Math.max(0, matches[0].start - Math.floor(length / 4));
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < matches[0].start ? space + 1 : start;
+  }
+
+  const end = Math.min(text.length, start + length);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return {
+    snippet: prefix + text.slice(start, end) + suffix,
+    matches: matches
+      .filter(range => range.start >= start && range.end <= end)
+      .map(range => ({ start: range.start - start + prefix.length, end: range.end - start + prefix.length }))
+  };
+};
+
+/**
+ * Build highlighted snippets of the fields of a task that match search terms
+ * @param {Object} task - Task (title, description, tags)
+ * @param {Object} terms - { words, phrases }
+ * @returns {Array<Object>} - Highlights { field, snippet, matches: [{ start, end }] }
+ */
+const buildHighlights = (task, terms) => {
+  const highlights = [];
+
+  ['title', 'description'].forEach(field => {
+    const text = task[field] || '';
+    const matches = findMatches(text, terms);
+
+    if (matches.length > 0) {
+      highlights.push({ field, ...buildSnippet(text, matches) });
+    }
+  });
+
+  (task.tags || []).forEach(tag => {
+    const matches = findMatches(tag, terms);
+
+    if (matches.length > 0) {
+      highlights.push({ field: 'tags', snippet: tag, matches });
+    }
+  });
+
+  return highlights;
+};
+
+module.exports = {
+  STOP_WORDS,
+  stem,
+  tokenizeText,
+  analyze,
+  findMatches,
+  buildHighlights
+};
@@ -0,0 +1,109 @@
+/**
+ * Workflow utility for task statuses
+ * A workflow is an ordered list of statuses, each mapped to a category, plus the
+ * transitions allowed between them. Projects may define their own workflow;
+ * every other task follows DEFAULT_WORKFLOW.
+ *
+ * Workflow shape:
+ * - statuses: [{ key, name, category }] in board order
+ * - transitions: [{ from, to }]; an empty list allows every transition
+ */
+
+// Categories drive completion: entering "done" completes a task, "active" and "done" need open blockers resolved
+const STATUS_CATEGORIES = ['todo', 'active', 'done'];
+
+const DEFAULT_WORKFLOW = {
+  statuses: [
+    { key: 'pending', name: 'Pending', category: 'todo' },
+    { key: 'in-progress', name: 'In Progress', category: 'active' },
+    { key: 'completed', name: 'Completed', category: 'done' }
+  ],
+  transitions: []
+};
+
+/**
+ * Find a status of a workflow by key
+ * @param {Object} workflow - Workflow definition
+ * @param {string} key - Status key
+ * @returns {Object|null} - Status definition or null
+ */
+const findStatus = (workflow, key) => {
+  return workflow.statuses.find(status => status.key === key) || null;
+};
+
+/**
+ * Get the category of a status
+ * @param {Object} workflow - Workflow definition
+ * @param {string} key - Status key
+ * @returns {string|null} - 'todo', 'active', 'done' or null for unknown statuses
+ */
+const getCategory = (workflow, key) => {
+  const status = findStatus(workflow, key);
+  return status ? status.category : null;
+};
+
+/**
+ * Get the first status of a category, in workflow order
+ * @param {Object} workflow - Workflow definition
+ * @param {string} category - Status category
+ * @returns {string|null} - Status key or null when the category has no status
+ */
+const getFirstStatus = (workflow, category) => {
+  const status = workflow.statuses.find(item => item.category === category);
+  return status ? status.key : null;
+};
+
+/**
+ * Check whether a task may move from one status to another
+ * @param {Object} workflow - Workflow definition
+ * @param {string} from - Current status key
+ * @param {string} to - Target status key
+ * @returns {boolean} - True if the transition is allowed
+ */
+const canTransition = (workflow, from, to) => {
+  if (from === to || !workflow.transitions || workflow.transitions.length === 0) {
+    return true;
+  }
+
+  return workflow.transitions.some(transition => transition.from === from && transition.to === to);
+};
+
+/**
+ * Check a workflow definition for consistency
+ * @param {Object} workflow - Workflow definition
+ * @returns {string|null} - Description of the first problem, or null when valid
+ */
+const validateWorkflow = (workflow) => {
+  const keys = workflow.statuses.map(status => status.key);
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+
+  if (duplicate) {
+    return `status "${duplicate}" is defined more than once`;
+  }
+
+  const missing = ['todo', 'done'].find(category => !getFirstStatus(workflow, category));
+
+  if (missing) {
+    return `at least one status must be in the "${missing}" category`;
+  }
+
+  const unknown = (workflow.transitions || [])
+    .flatMap(transition => [transition.from, transition.to])
+    .find(key => !keys.includes(key));
+
+  if (unknown) {
+    return `transition refers to unknown status "${unknown}"`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  STATUS_CATEGORIES,
+  DEFAULT_WORKFLOW,
+  findStatus,
+  getCategory,
+  getFirstStatus,
+  canTransition,
+  validateWorkflow
+};
@@ -0,0 +1,108 @@
+const http = require('http');
+const Task = require('../../../src/models/Task.model');
+const taskController = require('../../../src/modules/task/task.controller');
+
+/**
+ * Stand-in for a Mongoose query cursor: yields tasks until closed (or `total` is reached)
+ */
+const createCursor = (total = Infinity) => {
+  const cursor = {
+    closed: false,
+    close: jest.fn(async () => {
+      cursor.closed = true;
+    }),
+    async *[Symbol.asyncIterator]() {
+      for (let index = 0; index < total && !cursor.closed; index++) {
+        await new Promise(resolve => setImmediate(resolve));
+        yield { _id: `task-${index}`, title: `Task ${index}`, status: 'todo', subtasks: [] };
+      }
+    }
+  };
+
+  return cursor;
+};
+
+const mockFind = (cursor) => {
+  const query = {
+    select: () => query,
+    sort: () => query,
+    lean: () => query,
+    cursor: () => cursor
+  };
+
+  jest.spyOn(Task, 'find').mockReturnValue(query);
+};
+
+const waitFor = async (condition, timeout = 2000) => {
+  const startedAt = Date.now();
+
+  while (!condition()) {
+    if (Date.now() - startedAt > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('task export', () => {
+  let server;
+  let port;
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      req.user = { _id: '507f1f77bcf86cd799439011' };
+      req.query = { format: 'json' };
+      taskController.exportTasks(req, res);
+    });
+
+    server.listen(0, () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Task, 'buildTaskQuery').mockResolvedValue({ $and: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('streams every task and closes the cursor at the end', async () => {
+    const cursor = createCursor(3);
+    mockFind(cursor);
+
+    const response = await fetch(`http://127.0.0.1:${port}/`);
+    const tasks = await response.json();
+
+    expect(response.headers.get('content-type')).toBe('application/json; charset=utf-8');
+    expect(response.headers.get('content-disposition')).toMatch(/^attachment; filename="tasks-\d{4}-\d{2}-\d{2}\.json"$/);
+    expect(tasks.map(task => task.title)).toEqual(['Task 0', 'Task 1', 'Task 2']);
+    expect(cursor.close).toHaveBeenCalledTimes(1);
+  });
+
+  it('closes the cursor when the client disconnects mid-export', async () => {
+    const cursor = createCursor();
+    mockFind(cursor);
+
+    await new Promise((resolve, reject) => {
+      const request = http.get(`http://127.0.0.1:${port}/`, (response) => {
+        response.once('data', () => {
+          request.destroy();
+          resolve();
+        });
+      });
+
+      request.on('error', error => (error.code === 'ECONNRESET' ? resolve() : reject(error)));
+    });
+
+    await waitFor(() => cursor.close.mock.calls.length > 0);
+
+    expect(cursor.close).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,113 @@
+const express = require('express');
+
+// Every controller method answers with its own name, so a test can see which route matched
+jest.mock('../../../src/modules/task/task.controller', () => new Proxy({}, {
+  get: (target, name) => (typeof name === 'string' && name !== '__esModule'
+    ? (req, res) => res.json({ handler: name, params: req.params })
+    : undefined)
+}));
+
+jest.mock('../../../src/middleware/auth.middleware', () => {
+  const pass = () => (req, res, next) => next();
+
+  return {
+    protect: (req, res, next) => {
+      req.user = { _id: '507f1f77bcf86cd799439011', role: 'user' };
+      next();
+    },
+    optionalAuth: (req, res, next) => next(),
+    restrictTo: pass,
+    requireVerifiedEmail: pass
+  };
+});
+
+jest.mock('../../../src/middleware/workspace.middleware', () => ({
+  resolveWorkspace: () => (req, res, next) => next()
+}));
+
+const taskRouter = require('../../../src/modules/task/task.router');
+
+const TASK_IDS = ['507f1f77bcf86cd799439012', '507f1f77bcf86cd799439013'];
+
+describe('task router', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll((done) => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/tasks', taskRouter);
+
+    server = app.listen(0, () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/api/tasks`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    return { status: response.status, body: await response.json() };
+  };
+
+  describe('bulk routes', () => {
+    it('routes POST /bulk/restore to bulkRestoreTasks, not restoreTask', async () => {
+      const response = await request('POST', '/bulk/restore', { taskIds: TASK_IDS });
+
+      expect(response.status).toBe(200);
+      expect(response.body.handler).toBe('bulkRestoreTasks');
+    });
+
+    it('routes PATCH /bulk/update to bulkUpdateTasks', async () => {
+      const response = await request('PATCH', '/bulk/update', {
+        taskIds: TASK_IDS,
+        updateData: { status: 'in-progress' }
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.handler).toBe('bulkUpdateTasks');
+    });
+
+    it('routes DELETE /bulk/delete to bulkDeleteTasks', async () => {
+      const response = await request('DELETE', '/bulk/delete', { taskIds: TASK_IDS });
+
+      expect(response.status).toBe(200);
+      expect(response.body.handler).toBe('bulkDeleteTasks');
+    });
+
+    it('still routes POST /:id/restore to restoreTask', async () => {
+      const response = await request('POST', `/${TASK_IDS[0]}/restore`);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ handler: 'restoreTask', params: { id: TASK_IDS[0] } });
+    });
+
+    it.each([
+      ['a missing taskIds array', {}],
+      ['an empty taskIds array', { taskIds: [] }],
+      ['an invalid task ID', { taskIds: ['not-an-id'] }],
+      ['duplicate task IDs', { taskIds: [TASK_IDS[0], TASK_IDS[0]] }]
+    ])('rejects a bulk restore with %s', async (label, body) => {
+      const response = await request('POST', '/bulk/restore', body);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Validation failed');
+    });
+
+    it('rejects a bulk delete of more than 100 tasks', async () => {
+      const taskIds = Array.from({ length: 101 }, (item, index) => index.toString(16).padStart(24, '0'));
+
+      const response = await request('DELETE', '/bulk/delete', { taskIds });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const { bulkUpdateTasksSchema } = require('../../src/schemas/task.schema');
+
+const TASK_IDS = ['507f1f77bcf86cd799439012', '507f1f77bcf86cd799439013'];
+
+const parseBulkUpdate = (updateData) => bulkUpdateTasksSchema.safeParse({
+  body: { taskIds: TASK_IDS, updateData }
+});
+
+describe('bulkUpdateTasksSchema', () => {
+  it('accepts the fields a single update may change', () => {
+    const result = parseBulkUpdate({
+      status: 'in-progress',
+      priority: 'high',
+      tags: ['release'],
+      project: '507f1f77bcf86cd799439014',
+      dueDate: null
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data.body.updateData).toMatchObject({ status: 'in-progress', priority: 'high', dueDate: null });
+  });
+
+  it.each([
+    ['createdBy', { createdBy: '507f1f77bcf86cd799439011' }],
+    ['workspace', { workspace: '507f1f77bcf86cd799439011' }],
+    ['seriesId', { seriesId: '507f1f77bcf86cd799439011' }],
+    ['deletedAt', { deletedAt: null }],
+    ['rank', { rank: 1 }],
+    ['recurrence', { recurrence: { frequency: 'daily' } }]
+  ])('rejects %s', (field, updateData) => {
+    const result = parseBulkUpdate({ status: 'todo', ...updateData });
+
+    expect(result.success).toBe(false);
+    expect(result.error.issues[0].code).toBe('unrecognized_keys');
+  });
+
+  it('rejects values a single update would reject', () => {
+    expect(parseBulkUpdate({ priority: 'urgent-ish' }).success).toBe(false);
+    expect(parseBulkUpdate({ title: '' }).success).toBe(false);
+    expect(parseBulkUpdate({ project: 'not-an-id' }).success).toBe(false);
+  });
+
+  it('requires a field to change besides ignoreBlockers', () => {
+    expect(parseBulkUpdate({}).success).toBe(false);
+    expect(parseBulkUpdate({ ignoreBlockers: true }).success).toBe(false);
+    expect(parseBulkUpdate({ status: 'completed', ignoreBlockers: true }).success).toBe(true);
+  });
+
+  it('requires valid, unique task IDs', () => {
+    const parse = (taskIds) => bulkUpdateTasksSchema.safeParse({
+      body: { taskIds, updateData: { status: 'todo' } }
+    });
+
+    expect(parse([]).success).toBe(false);
+    expect(parse(['not-an-id']).success).toBe(false);
+    expect(parse([TASK_IDS[0], TASK_IDS[0]]).success).toBe(false);
+  });
+});
@@ -0,0 +1,115 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const RevokedToken = require('../../src/models/RevokedToken.model');
+const RevocationAdapter = require('../../src/services/revocation/revocation.adapter');
+const MemoryRevocationAdapter = require('../../src/services/revocation/memory.adapter');
+const MongoRevocationAdapter = require('../../src/services/revocation/mongo.adapter');
+const { generateToken, verifyToken } = require('../../src/utils/jwt.util');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+const LOGOUT_AT = new Date('2026-03-01T12:00:00.400Z');
+const EXPIRES_AT = new Date('2026-03-08T12:00:00.000Z');
+
+// Issue a real access token at a given time
+const issueTokenAt = (time, options = {}) => {
+  jest.setSystemTime(time);
+  return verifyToken(generateToken(USER_ID, options));
+};
+
+describe('RevocationAdapter.isIssuedBefore', () => {
+  it('compares tokens with a millisecond issue time in milliseconds', () => {
+    const cutoffMs = LOGOUT_AT.getTime();
+    const iat = Math.floor(cutoffMs / 1000);
+
+    expect(RevocationAdapter.isIssuedBefore(LOGOUT_AT, { iat, iatMs: cutoffMs - 1 })).toBe(true);
+    expect(RevocationAdapter.isIssuedBefore(LOGOUT_AT, { iat, iatMs: cutoffMs })).toBe(true);
+    expect(RevocationAdapter.isIssuedBefore(LOGOUT_AT, { iat, iatMs: cutoffMs + 1 })).toBe(false);
+  });
+
+  it('treats tokens without a millisecond issue time as revoked within the cut-off second', () => {
+    const iat = Math.floor(LOGOUT_AT.getTime() / 1000);
+
+    expect(RevocationAdapter.isIssuedBefore(LOGOUT_AT, { iat })).toBe(true);
+    expect(RevocationAdapter.isIssuedBefore(LOGOUT_AT, { iat: iat + 1 })).toBe(false);
+  });
+});
+
+describe('MemoryRevocationAdapter', () => {
+  let adapter;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    adapter = new MemoryRevocationAdapter();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('keeps tokens issued later in the same second as a logout-all valid', async () => {
+    const before = issueTokenAt(LOGOUT_AT.getTime() - 100);
+    await adapter.revokeUserTokens(USER_ID, LOGOUT_AT, EXPIRES_AT);
+    const after = issueTokenAt(LOGOUT_AT.getTime() + 100);
+
+    expect(before.iat).toBe(after.iat);
+    expect(await adapter.isRevoked(before)).toBe(true);
+    expect(await adapter.isRevoked(after)).toBe(false);
+  });
+
+  it('revokes a single token by jti and a session by sid', async () => {
+    const token = issueTokenAt(LOGOUT_AT.getTime(), { sessionId: 'session-1' });
+    const otherToken = issueTokenAt(LOGOUT_AT.getTime());
+
+    await adapter.revokeToken(otherToken.jti, EXPIRES_AT);
+    expect(await adapter.isRevoked(otherToken)).toBe(true);
+    expect(await adapter.isRevoked(token)).toBe(false);
+
+    await adapter.revokeSession('session-1', EXPIRES_AT);
+    expect(await adapter.isRevoked(token)).toBe(true);
+  });
+
+  it('drops revocations once they expire', async () => {
+    const token = issueTokenAt(LOGOUT_AT.getTime() - 100);
+    await adapter.revokeUserTokens(USER_ID, LOGOUT_AT, EXPIRES_AT);
+
+    jest.setSystemTime(EXPIRES_AT.getTime() + 1);
+
+    expect(await adapter.isRevoked(token)).toBe(false);
+  });
+});
+
+describe('MongoRevocationAdapter', () => {
+  const adapter = new MongoRevocationAdapter();
+
+  const mockEntries = (entries) => {
+    jest.spyOn(RevokedToken, 'find').mockReturnValue({ lean: () => Promise.resolve(entries) });
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('keeps tokens issued later in the same second as a logout-all valid', async () => {
+    const before = issueTokenAt(LOGOUT_AT.getTime() - 100);
+    const after = issueTokenAt(LOGOUT_AT.getTime() + 100);
+    mockEntries([{ key: `user:${USER_ID}`, issuedBefore: LOGOUT_AT, expiresAt: EXPIRES_AT }]);
+
+    expect(await adapter.isRevoked(before)).toBe(true);
+    expect(await adapter.isRevoked(after)).toBe(false);
+  });
+
+  it('looks up the user, token and session keys', async () => {
+    const token = issueTokenAt(LOGOUT_AT.getTime(), { sessionId: 'session-1' });
+    mockEntries([{ key: 'sid:session-1', expiresAt: EXPIRES_AT }]);
+
+    expect(await adapter.isRevoked(token)).toBe(true);
+    expect(RevokedToken.find).toHaveBeenCalledWith({
+      key: { $in: [`user:${USER_ID}`, `jti:${token.jti}`, 'sid:session-1'] }
+    });
+  });
+});